@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+// Command-line front end for the research workflow. Runs the same
+// ResearchEngine as the page: progress goes to stderr as the workflow log
+// messages, the report goes to stdout.
+//
+//   node cli.js "Quantum Computing" --depth basic --format json
+//   node cli.js --topics topics.csv --history research.json > report.md
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ResearchEngine,
+    ResearchBatch,
+    MemoryHistoryStore,
+    MemoryStorage,
+    ResearchSchema,
+    ResearchExporter,
+    CredibilityScorer,
+    RESEARCH_DEPTHS
+} = require('./script.js');
+
+const FORMATS = ['markdown', 'json'];
+
+const USAGE = `Usage: node cli.js [options] [topic ...]
+
+Options:
+  -d, --depth <depth>        basic, detailed or comprehensive (default: detailed)
+  -s, --sources <ids>        comma-separated source ids (default: the enabled sources)
+      --live                 query the live Wikipedia and HackerNews APIs instead of mock data
+      --min-credibility <n>  leave out sources rated below n% credibility (0-100, default: 0)
+      --exclude-domains <d>  comma-separated domains whose sources are left out
+  -f, --format <format>      markdown or json (default: markdown)
+  -t, --topics <file>        read topics from a file, one per line with an optional
+                             ",depth" column (CSV works too); "-" reads stdin
+  -H, --history <file>       load history from this JSON file and append new runs to it
+      --reuse                print a completed run from the history file instead of
+                             researching a topic again (same topic, depth, sources
+                             and credibility filters)
+  -c, --concurrency <n>      topics researched at once (default: 1)
+  -q, --quiet                no progress output
+  -h, --help                 show this help
+
+Exit status is 0 when every topic completed, 1 when one failed or was
+cancelled and 2 for usage errors.`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// History store backed by a JSON file in the export format, so the file
+// can also be imported into the page. Every change rewrites the file.
+class FileHistoryStore extends MemoryHistoryStore {
+    constructor(file, { exporter = new ResearchExporter() } = {}) {
+        super();
+        this.file = file;
+        this.exporter = exporter;
+        this.loaded = false;
+    }
+
+    async getAll() {
+        if (!this.loaded) {
+            this.loaded = true;
+            if (fs.existsSync(this.file)) {
+                const text = fs.readFileSync(this.file, 'utf8');
+                const records = text.trim() ? ResearchSchema.extractRecords(JSON.parse(text)) : [];
+                records.forEach(raw => {
+                    if (raw && raw.id) this.records.set(raw.id, raw);
+                });
+            }
+        }
+        return super.getAll();
+    }
+
+    async put(research) {
+        await super.put(research);
+        this.write();
+    }
+
+    async putMany(records) {
+        await super.putMany(records);
+        this.write();
+    }
+
+    async delete(id) {
+        await super.delete(id);
+        this.write();
+    }
+
+    async deleteMany(ids) {
+        await super.deleteMany(ids);
+        this.write();
+    }
+
+    async clear() {
+        await super.clear();
+        this.write();
+    }
+
+    // Written to a temporary file first so an interrupted run cannot leave
+    // half a history behind
+    write() {
+        const records = Array.from(this.records.values())
+            .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, this.exporter.toJSON(records));
+        fs.renameSync(temp, this.file);
+    }
+}
+
+function parseArgs(argv) {
+    const options = {
+        topics: [],
+        depth: 'detailed',
+        sources: null,
+        live: false,
+        minCredibility: 0,
+        excludeDomains: null,
+        format: 'markdown',
+        topicsFile: null,
+        history: null,
+        reuse: false,
+        concurrency: 1,
+        quiet: false,
+        help: false
+    };
+    const flags = {
+        '-d': 'depth', '--depth': 'depth',
+        '-s': 'sources', '--sources': 'sources',
+        '-f': 'format', '--format': 'format',
+        '-t': 'topicsFile', '--topics': 'topicsFile',
+        '-H': 'history', '--history': 'history',
+        '-c': 'concurrency', '--concurrency': 'concurrency',
+        '--min-credibility': 'minCredibility',
+        '--exclude-domains': 'excludeDomains'
+    };
+    const switches = {
+        '--live': 'live',
+        '--reuse': 'reuse',
+        '-q': 'quiet', '--quiet': 'quiet',
+        '-h': 'help', '--help': 'help'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [arg, inline] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+
+        if (arg === '--') {
+            options.topics.push(...argv.slice(i + 1));
+            break;
+        } else if (flags[arg]) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new UsageError(`${arg} needs a value`);
+            options[flags[arg]] = value;
+        } else if (switches[arg]) {
+            options[switches[arg]] = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            options.topics.push(argv[i]);
+        }
+    }
+
+    options.depth = options.depth.toLowerCase();
+    if (!RESEARCH_DEPTHS.includes(options.depth)) {
+        throw new UsageError(`Unknown depth "${options.depth}" (use ${RESEARCH_DEPTHS.join(', ')})`);
+    }
+    options.format = options.format.toLowerCase();
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`Unknown format "${options.format}" (use ${FORMATS.join(', ')})`);
+    }
+    options.concurrency = Number(options.concurrency);
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new UsageError('--concurrency must be a whole number of at least 1');
+    }
+    if (options.reuse && !options.history) {
+        throw new UsageError('--reuse needs a --history file');
+    }
+    options.minCredibility = Number(options.minCredibility);
+    if (isNaN(options.minCredibility) || options.minCredibility < 0 || options.minCredibility > 100) {
+        throw new UsageError('--min-credibility must be a number from 0 to 100');
+    }
+    const domains = options.excludeDomains === null
+        ? []
+        : options.excludeDomains.split(',').map(domain => domain.trim()).filter(Boolean);
+    const invalid = domains.filter(domain => !CredibilityScorer.normalizeDomain(domain));
+    if (invalid.length) throw new UsageError(`Not a domain name: ${invalid.join(', ')}`);
+    options.filters = CredibilityScorer.normalizeFilters({
+        minCredibility: options.minCredibility / 100,
+        excludeDomains: domains
+    });
+    if (options.sources !== null) {
+        options.sources = options.sources.split(',').map(id => id.trim()).filter(Boolean);
+    }
+
+    return options;
+}
+
+// Topics from the command line use --depth; rows of a topics file may
+// name their own
+function readTopics(options) {
+    const rows = options.topics
+        .map(topic => topic.trim())
+        .filter(Boolean)
+        .map(topic => ({ topic, depth: options.depth }));
+
+    if (options.topicsFile) {
+        const text = options.topicsFile === '-'
+            ? fs.readFileSync(0, 'utf8')
+            : fs.readFileSync(options.topicsFile, 'utf8');
+        const parsed = ResearchBatch.parse(text, options.depth);
+        if (parsed.errors.length) {
+            throw new UsageError(`${options.topicsFile}:\n  ${parsed.errors.join('\n  ')}`);
+        }
+        rows.push(...parsed.rows);
+    }
+
+    if (rows.length === 0) throw new UsageError('No topic given');
+    return rows;
+}
+
+function resolveSources(engine, ids) {
+    if (ids === null) return engine.sources.defaultIds();
+
+    const unknown = ids.filter(id => !engine.sources.has(id));
+    if (unknown.length) {
+        const known = engine.sources.list().map(adapter => adapter.id).join(', ');
+        throw new UsageError(`Unknown source ${unknown.join(', ')} (use ${known})`);
+    }
+    if (ids.length === 0) throw new UsageError('Select at least one source');
+    return ids;
+}
+
+// The newest completed run of the same topic, depth, sources, data mode
+// and credibility filters
+function findReusable(engine, item, sources, filters) {
+    const topic = item.topic.toLowerCase();
+    const sourceKey = [...sources].sort().join(',');
+    const filterKey = filters => `${filters.minCredibility}:${[...filters.excludeDomains].sort().join(',')}`;
+
+    return engine.researchHistory.find(research =>
+        research.status === 'completed' &&
+        research.topic.toLowerCase() === topic &&
+        research.depth === item.depth &&
+        (research.sourceMode || 'mock') === engine.sourceMode &&
+        [...research.sources].sort().join(',') === sourceKey &&
+        filterKey(research.filters) === filterKey(filters)
+    );
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return 0;
+    }
+
+    const rows = readTopics(options);
+    const historyStore = options.history
+        ? new FileHistoryStore(path.resolve(options.history))
+        : new MemoryHistoryStore();
+    const storage = new MemoryStorage();
+    // The history file is the user's; nothing in it is pruned
+    storage.setItem('aiResearchRetention', JSON.stringify({ maxEntries: 0, maxAgeDays: 0 }));
+
+    const engine = new ResearchEngine({
+        historyStore,
+        storage,
+        sourceMode: options.live ? 'live' : 'mock'
+    });
+
+    const progress = message => {
+        if (!options.quiet) process.stderr.write(message + '\n');
+    };
+
+    engine.on('history:error', ({ message }) => progress(`Warning: ${message}`));
+    await engine.ready;
+
+    // Invalid entries are dropped from the history file; keep them next to
+    // it rather than losing them
+    if (engine.quarantine.length && options.history) {
+        const file = `${options.history}.quarantine.json`;
+        fs.writeFileSync(file, JSON.stringify(engine.quarantine, null, 2));
+        progress(`Warning: ${engine.quarantine.length} history entries failed validation and were moved to ${file}:`);
+        engine.quarantine.forEach(entry => progress(`  ${entry.raw && entry.raw.id || 'unknown id'}: ${entry.errors.join('; ')}`));
+    }
+
+    const sources = resolveSources(engine, options.sources);
+    const batch = new ResearchBatch(rows, { concurrency: options.concurrency, sources, filters: options.filters });
+
+    if (options.reuse) {
+        batch.items.forEach(item => {
+            const research = findReusable(engine, item, sources, options.filters);
+            if (research) {
+                item.status = 'done';
+                item.researchId = research.id;
+                progress(`Reusing "${research.topic}" (${research.id}) from history`);
+            }
+        });
+    }
+
+    // With several topics each line says which one it belongs to
+    engine.on('log', ({ research, entry }) => {
+        const prefix = batch.items.length > 1 ? `[${research.topic}] ` : '';
+        progress(`${entry.timestamp} ${entry.level.toUpperCase().padEnd(5)} ${prefix}${entry.message}`);
+    });
+
+    const interrupt = () => {
+        progress('Interrupted, cancelling research...');
+        batch.cancel();
+    };
+    process.once('SIGINT', interrupt);
+
+    try {
+        await engine.runBatch(batch);
+    } finally {
+        process.removeListener('SIGINT', interrupt);
+    }
+
+    const researches = batch.items
+        .map(item => engine.researchHistory.find(research => research.id === item.researchId))
+        .filter(Boolean);
+
+    // A single topic prints its own report, and only once it completed;
+    // several print the batch report, which lists failed runs too
+    let output = null;
+    if (batch.items.length > 1) {
+        output = options.format === 'json'
+            ? engine.exporter.toJSON(researches)
+            : engine.exporter.toBatchMarkdown(batch, researches);
+    } else if (batch.items[0].status === 'done') {
+        output = options.format === 'json'
+            ? engine.exporter.toJSON(researches[0])
+            : engine.exporter.toMarkdown(researches[0]);
+    }
+    if (output) process.stdout.write(output.endsWith('\n') ? output : output + '\n');
+
+    batch.items
+        .filter(item => item.status !== 'done')
+        .forEach(item => progress(`"${item.topic}" ${item.status}${item.error ? `: ${item.error}` : ''}`));
+
+    return batch.items.every(item => item.status === 'done') ? 0 : 1;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        process.stderr.write(`${error.message}\n`);
+        if (error instanceof UsageError) process.stderr.write('Run with --help for usage.\n');
+        process.exitCode = error instanceof UsageError ? 2 : 1;
+    });
+}
+
+module.exports = { main, parseArgs, FileHistoryStore };
@@ -1,30 +1,253 @@
 // AI Research Agent - Main JavaScript File
 
+// The page: renders the engine's research, progress and history and turns
+// user input into engine calls. Options not used here (history store,
+// sources, policies, pipeline...) are passed on to the ResearchEngine.
 class AIResearchAgent {
-    constructor() {
+    constructor(options = {}) {
+        this.engine = options.engine || new ResearchEngine(options);
         this.currentResearch = null;
-        this.researchHistory = this.loadHistory();
-        this.mockAPIs = new MockAPIService();
-        this.init();
+        // The research shown in the progress section while it runs
+        this.foregroundResearch = null;
+        this.runController = null;
+        this.historyQuery = { text: '', filter: 'all' };
+        this.logFilter = { level: 'debug', step: 'all', query: '' };
+        this.selectedHistoryIds = new Set();
+        this.historySelectMode = false;
+        // The hash route on show, and the snapshot text while a share link
+        // is open (see handleRoute)
+        this.route = { name: 'form' };
+        this.routeHash = null;
+        this.sharedView = null;
+        this.subscribe();
+        // Resolves once history has been loaded from the store
+        this.ready = this.init();
     }
 
-    init() {
+    async init() {
+        this.formError = new ErrorNotice(document.getElementById('formError'));
+        this.progressError = new ErrorNotice(document.getElementById('progressError'));
+        this.historyNotice = new ErrorNotice(document.getElementById('historyNotice'));
+        this.batchError = new ErrorNotice(document.getElementById('batchError'));
+        this.resultsNotice = new ErrorNotice(document.getElementById('resultsNotice'));
         this.bindEvents();
-        this.renderHistory();
+        this.renderSourceOptions();
         this.setupProgressTracking();
+        this.updateOnlineState();
+        this.registerServiceWorker();
+        
+        await this.engine.ready;
+        this.renderHistory();
+        this.renderQuarantine();
+        this.engine.startWatchScheduler();
+        
+        window.addEventListener('hashchange', () => this.handleRoute());
+        await this.handleRoute();
+    }
+
+    // Engine events for the foreground run update the progress section;
+    // background runs (batch items, watched topics) only show up in history
+    subscribe() {
+        const engine = this.engine;
+        const foreground = ({ research }) => research === this.foregroundResearch;
+        
+        engine.on('step:start', event => {
+            if (foreground(event)) this.updateProgressUI(event.stepNumber, event.step.name);
+        });
+        engine.on('step:skip', event => {
+            if (foreground(event)) this.markStepSkipped(event.stepNumber);
+        });
+        engine.on('step:complete', event => {
+            if (foreground(event)) this.markStepCompleted(event.stepNumber);
+        });
+        engine.on('step:error', event => {
+            if (foreground(event)) this.markStepFailed(event.stepNumber);
+        });
+        engine.on('progress', event => {
+            if (foreground(event)) this.updateProgressBar();
+        });
+        engine.on('sources:start', event => {
+            if (foreground(event)) this.renderSourceStatus(event.adapters);
+        });
+        engine.on('source:update', event => {
+            if (foreground(event)) this.updateSourceStatus(event.id, event.changes);
+        });
+        engine.on('sources:found', event => {
+            if (foreground(event)) this.addPreviewSources(event.articles);
+        });
+        // Warnings (a source failing, the run being cancelled) are read out
+        // as they happen; errors come with an alert of their own
+        engine.on('log', event => {
+            if (foreground(event) && event.entry.level === 'warn') this.announce(event.entry.message);
+        });
+        engine.on('complete', event => {
+            if (!foreground(event)) return;
+            this.currentResearch = event.research;
+            this.sharedView = null;
+            // The running route would be stale once the results are up
+            this.setRoute({ name: 'research', id: event.research.id, tab: this.activeTab() }, { replace: true });
+            const count = event.research.results.sources.length;
+            this.announce(`Research on ${event.research.topic} completed with ${count} source${count === 1 ? '' : 's'}`);
+            this.showResults();
+        });
+        engine.on('cancel', event => {
+            if (foreground(event)) this.returnToForm();
+        });
+        engine.on('error', event => {
+            if (foreground(event)) this.showFailure(event.research, event.error);
+        });
+        engine.on('history:change', () => this.renderHistory());
+        engine.on('history:error', ({ title, message, tone }) => this.historyNotice.show(message, { title, tone }));
+        engine.on('batch:update', () => this.renderBatchQueue());
+        engine.on('watch:change', () => this.renderHistory());
     }
 
     bindEvents() {
         const form = document.getElementById('researchForm');
         form.addEventListener('submit', (e) => this.handleSubmit(e));
         
-        // Load research from history
+        document.getElementById('pauseBtn').addEventListener('click', () => this.togglePause());
+        document.getElementById('cancelBtn').addEventListener('click', () => this.cancelResearch());
+        
+        // Export menu
+        const exportMenu = document.getElementById('exportMenu');
+        const exportBtn = document.getElementById('exportBtn');
+        const setExportMenuOpen = open => {
+            exportMenu.classList.toggle('open', open);
+            exportBtn.setAttribute('aria-expanded', open ? 'true' : 'false');
+        };
+        exportBtn.addEventListener('click', () => {
+            setExportMenuOpen(!exportMenu.classList.contains('open'));
+        });
+        exportMenu.querySelectorAll('[data-format]').forEach(item => {
+            item.addEventListener('click', () => {
+                setExportMenuOpen(false);
+                this.exportResearch(item.dataset.format);
+            });
+        });
+        exportMenu.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || !exportMenu.classList.contains('open')) return;
+            setExportMenuOpen(false);
+            exportBtn.focus();
+        });
         document.addEventListener('click', (e) => {
-            if (e.target.closest('.history-item')) {
-                const researchId = e.target.closest('.history-item').dataset.researchId;
-                this.loadResearchFromHistory(researchId);
+            if (!e.target.closest('#exportMenu')) setExportMenuOpen(false);
+        });
+        
+        // Results tabs
+        const resultsTabs = document.getElementById('resultsTabs');
+        resultsTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.tab-btn');
+            if (tab) showTab(tab.dataset.tab);
+        });
+        resultsTabs.addEventListener('keydown', (e) => this.handleTabKey(e));
+        
+        // Command palette
+        this.commandPalette = new CommandPalette(document.getElementById('commandPalette'), {
+            commands: query => this.paletteCommands(query)
+        });
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.commandPalette.toggle();
             }
         });
+        
+        // Workflow log filters and trace export
+        document.getElementById('logLevelFilter').addEventListener('change', (e) => {
+            this.logFilter.level = e.target.value;
+            this.filterLogs();
+        });
+        document.getElementById('logStepFilter').addEventListener('change', (e) => {
+            this.logFilter.step = e.target.value;
+            this.filterLogs();
+        });
+        document.getElementById('logSearch').addEventListener('input', (e) => {
+            this.logFilter.query = e.target.value;
+            this.filterLogs();
+        });
+        document.getElementById('traceExportBtn').addEventListener('click', () => this.exportTrace());
+        
+        // Import research sessions from exported JSON files
+        const importInput = document.getElementById('importInput');
+        document.getElementById('importBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            await this.importFiles(Array.from(importInput.files));
+            importInput.value = '';
+        });
+        
+        document.getElementById('minCredibility').addEventListener('input', () => this.updateCredibilityLabel());
+        
+        const sourceMode = document.getElementById('sourceMode');
+        sourceMode.value = this.engine.sourceMode;
+        sourceMode.addEventListener('change', (e) => this.setSourceMode(e.target.value));
+        
+        // History list: item actions, tag editing, selection and loading
+        const historyList = document.getElementById('historyList');
+        historyList.addEventListener('click', (e) => this.handleHistoryClick(e));
+        historyList.addEventListener('keydown', (e) => {
+            if (e.target.classList.contains('tag-input')) this.handleTagInput(e);
+        });
+        historyList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('watch-input')) this.handleWatchInput(e);
+        });
+        
+        document.getElementById('historySearch').addEventListener('input', (e) => {
+            this.historyQuery.text = e.target.value;
+            this.renderHistory();
+        });
+        document.getElementById('historyFilter').addEventListener('change', (e) => {
+            this.historyQuery.filter = e.target.value;
+            this.renderHistory();
+        });
+        document.getElementById('historySelectBtn').addEventListener('click', () => this.toggleHistorySelectMode());
+        document.getElementById('historyDeleteBtn').addEventListener('click', () => this.confirmDeleteResearch(Array.from(this.selectedHistoryIds)));
+        document.getElementById('historyCompareBtn').addEventListener('click', () => this.compareResearch(...this.selectedHistoryIds));
+        document.getElementById('compareSwapBtn').addEventListener('click', () => {
+            if (this.comparison) this.compareResearch(this.comparison.after.id, this.comparison.before.id, { keepOrder: true });
+        });
+        document.getElementById('compareCloseBtn').addEventListener('click', () => this.closeComparison());
+        document.getElementById('newResearchBtn').addEventListener('click', () => resetForm());
+        document.getElementById('refineBtn').addEventListener('click', () => this.openRefinePanel());
+        document.getElementById('shareBtn').addEventListener('click', () => this.shareResearch());
+        document.getElementById('shareCopyBtn').addEventListener('click', () => this.copyShareLink());
+        document.getElementById('shareCloseBtn').addEventListener('click', () => this.closeSharePanel());
+        
+        // Batch research
+        const batchFile = document.getElementById('batchFile');
+        document.getElementById('batchForm').addEventListener('submit', (e) => this.handleBatchSubmit(e));
+        document.getElementById('batchUploadBtn').addEventListener('click', () => batchFile.click());
+        batchFile.addEventListener('change', async () => {
+            await this.loadBatchFile(batchFile.files[0]);
+            batchFile.value = '';
+        });
+        document.getElementById('batchCancelBtn').addEventListener('click', () => this.cancelBatch());
+        document.querySelectorAll('[data-batch-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportBatch(button.dataset.batchFormat));
+        });
+        document.getElementById('batchQueue').addEventListener('click', (e) => {
+            const open = e.target.closest('[data-open-research]');
+            if (open) this.loadResearchFromHistory(open.dataset.openResearch);
+        });
+        
+        // Offline research from cached source responses
+        window.addEventListener('online', () => this.updateOnlineState());
+        window.addEventListener('offline', () => this.updateOnlineState());
+        document.getElementById('clearSourceCacheBtn').addEventListener('click', () => {
+            this.engine.sourceCache.clear();
+            this.updateStorageUsage();
+        });
+        
+        // Retention settings
+        document.getElementById('retentionMaxEntries').value = this.engine.retention.maxEntries;
+        document.getElementById('retentionMaxAge').value = this.engine.retention.maxAgeDays;
+        document.getElementById('retentionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateRetention({
+                maxEntries: Number(document.getElementById('retentionMaxEntries').value),
+                maxAgeDays: Number(document.getElementById('retentionMaxAge').value)
+            });
+        });
     }
 
     async handleSubmit(e) {
@@ -32,182 +255,263 @@ class AIResearchAgent {
         
         const topic = document.getElementById('researchTopic').value.trim();
         const depth = document.getElementById('researchDepth').value;
+        const sources = this.getSelectedSources();
+        const { filters, invalidDomains } = this.getFilters();
         
         if (!topic) {
             this.showError('Please enter a research topic');
             return;
         }
 
-        await this.startResearch(topic, depth);
-    }
-
-    async startResearch(topic, depth) {
-        // Create research object
-        this.currentResearch = {
-            id: this.generateId(),
-            topic: topic,
-            depth: depth,
-            status: 'running',
-            startTime: new Date(),
-            progress: 0,
-            currentStep: 1,
-            logs: [],
-            results: null
-        };
-
-        // Show progress section
-        this.showProgressSection();
-        this.disableForm();
-        
-        // Start the research workflow
-        await this.runResearchWorkflow();
-    }
-
-    async runResearchWorkflow() {
-        const steps = [
-            { name: 'Input Parsing', duration: 1000 },
-            { name: 'Data Gathering', duration: 3000 },
-            { name: 'Processing', duration: 4000 },
-            { name: 'Result Persistence', duration: 1500 },
-            { name: 'Return Results', duration: 1000 }
-        ];
+        if (sources.length === 0) {
+            this.showError('Please select at least one data source');
+            return;
+        }
 
-        for (let i = 0; i < steps.length; i++) {
-            await this.executeStep(i + 1, steps[i]);
+        if (invalidDomains.length) {
+            this.showError(`Not a domain name: ${invalidDomains.join(', ')}`);
+            return;
         }
 
-        // Complete the research
-        await this.completeResearch();
+        this.formError.hide();
+        await this.startResearch(topic, depth, sources, { offline: this.isCachedOnly(), filters });
     }
 
-    async executeStep(stepNumber, step) {
-        // Update current step
-        this.currentResearch.currentStep = stepNumber;
-        this.updateProgressUI(stepNumber, step.name);
+    async handleBatchSubmit(e) {
+        e.preventDefault();
+        if (this.batch && this.batch.running) return;
         
-        // Log step start
-        this.addLog(`Starting ${step.name}...`);
-        
-        // Simulate step execution
-        await this.delay(step.duration);
-        
-        // Execute step-specific logic
-        switch (stepNumber) {
-            case 1:
-                await this.parseInput();
-                break;
-            case 2:
-                await this.gatherData();
-                break;
-            case 3:
-                await this.processData();
-                break;
-            case 4:
-                await this.persistResults();
-                break;
-            case 5:
-                await this.returnResults();
-                break;
+        const defaultDepth = document.getElementById('researchDepth').value;
+        const { rows, errors } = ResearchBatch.parse(document.getElementById('batchTopics').value, defaultDepth);
+        const sources = this.getSelectedSources();
+        const { filters, invalidDomains } = this.getFilters();
+        
+        if (rows.length === 0) {
+            this.batchError.show(errors.length ? errors.join('\n') : 'Enter at least one topic', { title: 'Nothing to research' });
+            return;
+        }
+        if (sources.length === 0) {
+            this.batchError.show('Please select at least one data source in the form above', { title: 'No data sources' });
+            return;
+        }
+        if (invalidDomains.length) {
+            this.batchError.show(`Not a domain name: ${invalidDomains.join(', ')}`, { title: 'Check the excluded domains in the form above' });
+            return;
         }
         
-        // Mark step as completed
-        this.markStepCompleted(stepNumber);
-        this.addLog(`${step.name} completed successfully`);
+        if (errors.length) {
+            this.batchError.show(errors.join('\n'), { title: 'Some rows were skipped', tone: 'warning' });
+        } else {
+            this.batchError.hide();
+        }
         
-        // Update progress
-        this.currentResearch.progress = (stepNumber / 5) * 100;
-        this.updateProgressBar();
+        const concurrency = Number(document.getElementById('batchConcurrency').value) || 1;
+        await this.runBatch(new ResearchBatch(rows, { concurrency, sources, offline: this.isCachedOnly(), filters }));
     }
 
-    async parseInput() {
-        this.addLog(`Validating research topic: "${this.currentResearch.topic}"`);
-        this.addLog(`Research depth set to: ${this.currentResearch.depth}`);
-        this.addLog('Input validation completed');
+    async loadBatchFile(file) {
+        if (!file) return;
+        
+        try {
+            document.getElementById('batchTopics').value = await this.readFile(file);
+            this.batchError.hide();
+        } catch (e) {
+            this.batchError.show(`${file.name}: ${e.message}`, { title: 'File could not be read' });
+        }
     }
 
-    async gatherData() {
-        this.addLog('Fetching data from external APIs...');
+    // Batch items run in the background, so the form stays usable meanwhile
+    async runBatch(batch) {
+        this.batch = batch;
+        this.setBatchRunning(true);
+        this.renderBatchQueue();
         
-        // Simulate API calls
-        const sources = await this.mockAPIs.fetchWikipediaArticles(this.currentResearch.topic);
-        const news = await this.mockAPIs.fetchHackerNewsArticles(this.currentResearch.topic);
+        await this.engine.runBatch(batch);
         
-        this.currentResearch.rawData = {
-            wikipedia: sources,
-            hackernews: news
-        };
+        this.setBatchRunning(false);
+        this.renderBatchQueue();
+    }
+
+    cancelBatch() {
+        if (!this.batch || !this.batch.running) return;
         
-        this.addLog(`Found ${sources.length} Wikipedia articles`);
-        this.addLog(`Found ${news.length} HackerNews articles`);
-        this.addLog('Data gathering completed');
+        this.batch.cancel();
+        this.renderBatchQueue();
     }
 
-    async processData() {
-        this.addLog('Processing and analyzing collected data...');
+    setBatchRunning(running) {
+        document.getElementById('batchStartBtn').disabled = running;
+        document.getElementById('batchTopics').disabled = running;
+        document.getElementById('batchCancelBtn').style.display = running ? 'inline-flex' : 'none';
+    }
+
+    renderBatchQueue() {
+        const container = document.getElementById('batchQueue');
+        const batch = this.batch;
+        if (!batch) {
+            container.style.display = 'none';
+            return;
+        }
         
-        // Extract top articles based on depth
-        const depthMap = { basic: 5, detailed: 10, comprehensive: 15 };
-        const maxArticles = depthMap[this.currentResearch.depth];
+        const counts = batch.counts();
+        const statusLabels = {
+            queued: 'Queued',
+            running: 'Running',
+            done: 'Done',
+            failed: 'Failed',
+            cancelled: 'Cancelled'
+        };
         
-        const allSources = [
-            ...this.currentResearch.rawData.wikipedia,
-            ...this.currentResearch.rawData.hackernews
-        ];
+        container.style.display = 'block';
+        SafeHTML.render(container, html`
+            <div class="batch-summary">
+                ${counts.done + counts.failed + counts.cancelled}/${batch.items.length} finished
+                ${counts.running ? html` &bull; ${counts.running} running` : ''}
+                ${counts.failed ? html` &bull; ${counts.failed} failed` : ''}
+                ${counts.cancelled ? html` &bull; ${counts.cancelled} cancelled` : ''}
+            </div>
+            <table class="batch-table">
+                <thead>
+                    <tr><th>#</th><th>Topic</th><th>Depth</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${batch.items.map((item, index) => html`
+                        <tr class="batch-row ${item.status}">
+                            <td>${index + 1}</td>
+                            <td>${item.topic}</td>
+                            <td>${item.depth}</td>
+                            <td>
+                                <span class="batch-status ${item.status}">${statusLabels[item.status]}</span>
+                                ${item.error ? html`<div class="batch-error">${item.error}</div>` : ''}
+                            </td>
+                            <td>${item.researchId && item.status !== 'running' && item.status !== 'queued'
+                                ? html`<button type="button" class="link-btn" data-open-research="${item.researchId}">Open</button>`
+                                : ''}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
         
-        // Sort by relevance score and take top articles
-        const topSources = allSources
-            .sort((a, b) => b.relevance - a.relevance)
-            .slice(0, maxArticles);
+        document.getElementById('batchExport').style.display = !batch.running && counts.done > 0 ? 'flex' : 'none';
+    }
+
+    exportBatch(format) {
+        const batch = this.batch;
+        if (!batch || batch.running) return;
         
-        // Generate summary
-        const summary = this.generateSummary(topSources);
+        const researches = batch.items
+            .map(item => this.engine.researchHistory.find(research => research.id === item.researchId))
+            .filter(Boolean);
+        const fileName = `research-batch-${batch.createdAt.toISOString().slice(0, 10)}`;
         
-        // Extract keywords
-        const keywords = this.extractKeywords(this.currentResearch.topic, topSources);
+        if (format === 'json') {
+            this.downloadFile(`${fileName}.json`, this.engine.exporter.toJSON(researches), 'application/json');
+        } else {
+            this.downloadFile(`${fileName}.md`, this.engine.exporter.toBatchMarkdown(batch, researches), 'text/markdown');
+        }
+    }
+
+    // options.parent and options.refinement start a refined child research
+    // of a finished one (see startRefinedResearch)
+    async startResearch(topic, depth, sources = this.engine.sources.defaultIds(), options = {}) {
+        this.currentResearch = this.engine.createResearch(topic, depth, sources, options);
+        this.sharedView = null;
+        this.setRoute({ name: 'running', id: this.currentResearch.id });
+
+        // Show progress section
+        this.showProgressSection();
+        this.disableForm();
         
-        this.currentResearch.processedData = {
-            sources: topSources,
-            summary: summary,
-            keywords: keywords
-        };
+        // Start the research workflow
+        await this.runForeground(this.currentResearch, 1);
+    }
+
+    // Runs research in the progress section, where it can be paused and
+    // cancelled
+    async runForeground(research, fromStep) {
+        this.foregroundResearch = research;
+        this.runController = new ResearchRunController();
         
-        this.addLog(`Processed ${topSources.length} top articles`);
-        this.addLog(`Generated summary (${summary.length} characters)`);
-        this.addLog(`Extracted ${keywords.length} keywords`);
-        this.addLog('Data processing completed');
+        try {
+            await this.engine.run(research, { fromStep, controller: this.runController });
+        } finally {
+            this.runController = null;
+        }
     }
 
-    async persistResults() {
-        this.addLog('Saving results to local storage...');
+    togglePause() {
+        if (!this.runController) return;
         
-        this.currentResearch.results = {
-            summary: this.currentResearch.processedData.summary,
-            sources: this.currentResearch.processedData.sources,
-            keywords: this.currentResearch.processedData.keywords,
-            metadata: {
-                totalSources: this.currentResearch.processedData.sources.length,
-                researchDepth: this.currentResearch.depth,
-                processingTime: Date.now() - this.currentResearch.startTime.getTime()
-            }
-        };
+        const pauseBtn = document.getElementById('pauseBtn');
+        
+        if (this.runController.paused) {
+            this.runController.resume();
+            this.engine.addLog('Research resumed', this.foregroundResearch);
+            pauseBtn.innerHTML = '<i class="fas fa-pause"></i> Pause';
+            this.updateProgressUI(this.foregroundResearch.currentStep, this.currentStepName);
+        } else {
+            this.runController.pause();
+            this.engine.addLog('Research paused', this.foregroundResearch);
+            pauseBtn.innerHTML = '<i class="fas fa-play"></i> Resume';
+            this.setStatus(`Paused at step ${this.foregroundResearch.currentStep}/${this.engine.pipeline.length}: ${this.currentStepName}`);
+        }
+    }
+
+    cancelResearch() {
+        if (!this.runController || this.runController.cancelled) return;
         
-        // Save to history
-        this.researchHistory.unshift(this.currentResearch);
-        this.saveHistory();
+        this.engine.addLog('Cancellation requested by user', this.foregroundResearch);
+        this.runController.cancel();
+    }
+
+    // Leaves the progress panel up so the failed step stays visible
+    showFailure(research, error) {
+        const { stepName } = research.error;
+        this.setRunControlsVisible(false);
+        this.setStatus(`Failed at step ${research.currentStep}/${this.engine.pipeline.length}: ${stepName}`);
+        this.progressError.show(error.message, {
+            title: `${stepName} failed`,
+            actions: [
+                { label: 'Retry from failed step', icon: 'fas fa-redo', onClick: () => this.retryFromFailedStep() },
+                { label: 'Back to form', icon: 'fas fa-arrow-left', onClick: () => this.returnToForm() }
+            ]
+        });
         
-        this.addLog('Results saved successfully');
-        this.addLog('Research added to history');
+        this.enableForm();
     }
 
-    async returnResults() {
-        this.addLog('Preparing results for display...');
-        this.currentResearch.status = 'completed';
-        this.currentResearch.endTime = new Date();
+    async retryFromFailedStep() {
+        const research = this.foregroundResearch;
+        if (!research || research.status !== 'failed' || this.runController) return;
         
-        this.addLog('Research workflow completed successfully');
+        // Look the step up by name in case the pipeline changed since the failure
+        const stepIndex = this.engine.pipeline.indexOf(research.error.stepName);
+        const fromStep = stepIndex === -1 ? research.error.step : stepIndex + 1;
+        research.status = 'running';
+        research.endTime = null;
+        research.error = null;
+        this.engine.addLog(`Retrying from step ${fromStep}/${this.engine.pipeline.length}: ${this.engine.pipeline.list()[fromStep - 1].name}`, research);
         
-        // Show results
-        this.showResults();
+        this.progressError.hide();
+        this.setRunControlsVisible(true);
+        this.disableForm();
+        this.renderProgressSteps(fromStep);
+        
+        await this.runForeground(research, fromStep);
+    }
+
+    returnToForm() {
+        this.setRoute({ name: 'form' }, { replace: true });
+        this.progressError.hide();
+        document.getElementById('progressSection').style.display = 'none';
+        document.querySelector('.research-form-section').style.display = 'block';
+        this.enableForm();
+        document.getElementById('researchTopic').focus();
+    }
+
+    setRunControlsVisible(visible) {
+        document.querySelector('.progress-controls').style.display = visible ? 'flex' : 'none';
     }
 
     showResults() {
@@ -228,442 +532,6021 @@ class AIResearchAgent {
         // Update history display
         this.renderHistory();
         
-        // Scroll to results
+        // Scroll to results and move focus there, so keyboard and screen
+        // reader users continue from the results
         resultsSection.scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('resultsHeading').focus({ preventScroll: true });
     }
 
     populateResults() {
-        const results = this.currentResearch.results;
+        const status = this.currentResearch.status;
+        const error = this.currentResearch.error;
+        const statusLabels = { completed: 'Completed', cancelled: 'Cancelled', failed: 'Failed' };
+        const results = this.currentResearch.results || {
+            summary: status === 'failed' && error
+                ? `This research failed at step ${error.step} (${error.stepName}): ${error.message}. The workflow logs show what happened.`
+                : 'This research was cancelled before any results were generated. The workflow logs show how far it got.',
+            sources: [],
+            keywords: [],
+            metadata: {
+                totalSources: 0,
+                researchDepth: this.currentResearch.depth,
+                processingTime: this.currentResearch.endTime - this.currentResearch.startTime
+            }
+        };
         
         // Set topic and timestamp
         document.getElementById('resultTopic').textContent = this.currentResearch.topic;
         document.getElementById('resultTimestamp').textContent = 
-            `Completed on ${this.currentResearch.endTime.toLocaleString()}`;
+            `${statusLabels[status] || 'Completed'} on ${this.currentResearch.endTime.toLocaleString()}`;
+        this.renderLineage();
+        this.renderCacheNotice();
+        this.renderChanges();
+        this.closeRefinePanel();
+        this.closeSharePanel();
+        this.resultsNotice.hide();
+        // Shared results are read only: they cannot be refined
+        document.getElementById('refineBtn').style.display = this.currentResearch.results && !this.sharedView ? '' : 'none';
+        document.getElementById('shareBtn').style.display = this.currentResearch.results ? '' : 'none';
+        document.getElementById('sharedBanner').style.display = this.sharedView ? 'flex' : 'none';
+        
+        // Populate summary, with each extracted sentence footnoted to its source
+        const summaryHTML = results.summarySentences && results.summarySentences.length
+            ? results.summarySentences.map((sentence, index) => html`${index ? ' ' : ''}${sentence.text}<sup class="citation"><a href="#source-${sentence.sourceIndex + 1}" data-source-index="${sentence.sourceIndex}">[${sentence.sourceIndex + 1}]</a></sup>`)
+            : results.summary;
         
-        // Populate summary
-        document.getElementById('summaryContent').innerHTML = `
-            <p>${results.summary}</p>
+        const summaryContent = document.getElementById('summaryContent');
+        SafeHTML.render(summaryContent, html`
+            <p>${summaryHTML}</p>
             <div class="metadata" style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #e1e5e9;">
                 <small class="text-info">
                     <strong>Research Metadata:</strong><br>
                     Sources analyzed: ${results.metadata.totalSources} | 
                     Research depth: ${results.metadata.researchDepth} | 
                     Processing time: ${(results.metadata.processingTime / 1000).toFixed(1)}s
+                    ${results.metadata.duplicatesRemoved !== undefined
+                        ? html`<br>Duplicates removed: ${results.metadata.duplicatesRemoved}`
+                        : ''}
+                    ${results.metadata.failedSources && results.metadata.failedSources.length
+                        ? html`<br><span class="text-warning">Unavailable sources: ${results.metadata.failedSources
+                            .map(id => (this.engine.sources.get(id) || { name: id }).name).join(', ')}</span>`
+                        : ''}
+                    ${results.metadata.filteredSources
+                        ? html`<br>Left out by the credibility filters: ${results.metadata.filteredSources} source${results.metadata.filteredSources === 1 ? '' : 's'}
+                            (${this.describeFilters(this.currentResearch.filters)})`
+                        : ''}
                 </small>
             </div>
-        `;
+        `);
+        
+        summaryContent.querySelectorAll('.citation a').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showSource(Number(link.dataset.sourceIndex));
+            });
+        });
         
-        // Populate sources
+        // Populate sources, grouped by cluster when the run has clusters
         const sourcesList = document.getElementById('sourcesList');
-        sourcesList.innerHTML = results.sources.map(source => `
-            <div class="source-item">
-                <h5>${source.title}</h5>
+        const renderSource = index => {
+            const source = results.sources[index];
+            const url = SafeHTML.url(source.url);
+            return html`
+            <div class="source-item" id="source-${index + 1}" data-index="${index}">
+                <h5><span class="source-number">[${index + 1}]</span> ${source.title}</h5>
                 <p>${source.summary}</p>
-                <a href="${source.url}" target="_blank" rel="noopener noreferrer">
+                ${url ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">
                     <i class="fas fa-external-link-alt"></i> Read more
-                </a>
+                </a>` : ''}
                 <div style="margin-top: 10px;">
                     <small class="text-info">
                         Source: ${source.source} | Relevance: ${(source.relevance * 100).toFixed(0)}%
                     </small>
                 </div>
+                ${source.credibility ? this.renderCredibility(source.credibility) : ''}
+                ${source.scoreBreakdown ? this.renderScoreBreakdown(source.scoreBreakdown, index + 1, source) : ''}
             </div>
-        `).join('');
+        `;
+        };
+        
+        if (results.clusters && results.clusters.length > 1) {
+            SafeHTML.render(sourcesList, html`${results.clusters.map(cluster => html`
+                <section class="source-cluster">
+                    <h4 class="source-cluster-label">
+                        ${cluster.label}
+                        <span class="source-cluster-count">${cluster.sourceIndices.length}</span>
+                    </h4>
+                    ${cluster.sourceIndices.map(index => renderSource(index))}
+                </section>
+            `)}`);
+        } else {
+            SafeHTML.render(sourcesList, html`${results.sources.map((source, index) => renderSource(index))}`);
+        }
         
-        // Populate keywords
+        // Populate keywords as a cloud sized by weight
         const keywordsContainer = document.getElementById('keywordsContainer');
-        keywordsContainer.innerHTML = results.keywords.map(keyword => 
-            `<span class="keyword-tag">${keyword}</span>`
-        ).join('');
+        const keywords = results.keywords.map(keyword => this.normalizeKeyword(keyword));
+        SafeHTML.render(keywordsContainer, html`${keywords.map(keyword => html`
+            <button type="button" class="keyword-tag" data-keyword="${keyword.phrase}"
+                style="font-size: ${(0.8 + keyword.weight * 0.8).toFixed(2)}rem; opacity: ${(0.6 + keyword.weight * 0.4).toFixed(2)};"
+                title="Weight ${keyword.weight.toFixed(2)} | Mentioned in ${keyword.sourceCount} source${keyword.sourceCount === 1 ? '' : 's'}">
+                ${keyword.phrase}
+                <span class="keyword-count">${keyword.sourceCount}</span>
+            </button>
+        `)}`);
+        
+        keywordsContainer.querySelectorAll('.keyword-tag').forEach(tag => {
+            tag.addEventListener('click', () => {
+                const keyword = keywords.find(k => k.phrase === tag.dataset.keyword);
+                this.filterSourcesByKeyword(keyword);
+            });
+        });
+        this.clearSourceFilter();
         
         // Populate logs
-        const logsContainer = document.getElementById('logsContainer');
-        logsContainer.innerHTML = this.currentResearch.logs.map(log => `
-            <div class="log-entry">
-                <div class="log-timestamp">${log.timestamp}</div>
-                <div class="log-message">${log.message}</div>
-            </div>
-        `).join('');
+        this.renderLogs();
     }
 
-    generateSummary(sources) {
-        const topic = this.currentResearch.topic;
-        const sourceCount = sources.length;
+    // Fills the Workflow Logs tab: the trace timeline, the step filter
+    // options and the log entries, with the filters reset
+    renderLogs() {
+        const research = this.currentResearch;
+        const steps = [...new Set(research.logs.map(log => log.step).filter(Boolean))];
         
-        return `Based on comprehensive analysis of ${sourceCount} high-quality sources, here's what we found about "${topic}":
-
-The research reveals several key insights and trends in this field. Our analysis indicates significant developments and ongoing discussions around this topic. The sources provide diverse perspectives from academic research, industry reports, and expert opinions.
+        this.logFilter = { level: 'debug', step: 'all', query: '' };
+        document.getElementById('logLevelFilter').value = 'debug';
+        document.getElementById('logSearch').value = '';
+        SafeHTML.render(document.getElementById('logStepFilter'), html`
+            <option value="all">All steps</option>
+            ${steps.map(step => html`<option value="${step}">${step}</option>`)}
+            <option value="none">Outside steps</option>
+        `);
+        
+        this.renderTraceTimeline();
+        this.filterLogs();
+    }
 
-Key findings include emerging patterns, technological advancements, and practical applications that are shaping the current landscape. The research shows both opportunities and challenges that stakeholders should consider.
+    // Gantt-style chart of the run's step and fetch spans on one time axis.
+    // Clicking a row filters the log to that step.
+    renderTraceTimeline() {
+        const container = document.getElementById('traceTimeline');
+        const spans = (this.currentResearch.spans || []).filter(span => span.end);
+        if (spans.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        const start = Math.min(...spans.map(span => new Date(span.start).getTime()));
+        const end = Math.max(...spans.map(span => new Date(span.end).getTime()));
+        const total = Math.max(end - start, 1);
+        
+        container.style.display = '';
+        SafeHTML.render(container, html`
+            <div class="trace-axis">
+                <span>0s</span>
+                <span>${this.formatDuration(total)}</span>
+            </div>
+            ${spans.map(span => {
+                const left = (new Date(span.start).getTime() - start) / total * 100;
+                const width = Math.max(span.duration / total * 100, 0.5);
+                return html`
+                    <button type="button" class="trace-row trace-${span.kind}" data-step="${span.step || ''}"
+                        title="${span.name}: ${this.formatDuration(span.duration)} (${span.status})">
+                        <span class="trace-label">${span.name}</span>
+                        <span class="trace-track">
+                            <span class="trace-bar trace-${span.status}" style="left: ${left.toFixed(2)}%; width: ${Math.min(width, 100 - left).toFixed(2)}%;"></span>
+                        </span>
+                        <span class="trace-duration">${span.status === 'skipped' ? 'skipped' : this.formatDuration(span.duration)}</span>
+                    </button>
+                `;
+            })}
+        `);
+        
+        container.querySelectorAll('.trace-row').forEach(row => {
+            row.addEventListener('click', () => {
+                if (!row.dataset.step) return;
+                this.logFilter.step = row.dataset.step;
+                document.getElementById('logStepFilter').value = row.dataset.step;
+                this.filterLogs();
+            });
+        });
+    }
 
-This summary synthesizes information from Wikipedia articles, HackerNews discussions, and other authoritative sources to provide a comprehensive overview of the current state and future directions in this area.
+    // Shows the log entries matching the level, step and text filters
+    filterLogs() {
+        const logs = this.currentResearch.logs;
+        const { level, step, query } = this.logFilter;
+        const minLevel = LOG_LEVELS.indexOf(level);
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        
+        const matching = logs.filter(log => {
+            if (LOG_LEVELS.indexOf(log.level) < minLevel) return false;
+            if (step === 'none' ? log.step : step !== 'all' && log.step !== step) return false;
+            const text = [log.message, log.step, log.source, log.data ? JSON.stringify(log.data) : '']
+                .filter(Boolean).join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+        
+        document.getElementById('logCount').textContent = matching.length === logs.length
+            ? `${logs.length} entries`
+            : `Showing ${matching.length} of ${logs.length} entries`;
+        
+        SafeHTML.render(document.getElementById('logsContainer'), matching.length ? html`${matching.map(log => html`
+            <div class="log-entry log-${log.level}">
+                <div class="log-timestamp">
+                    <span title="${log.timestamp || ''}">${log.timestamp ? new Date(log.timestamp).toLocaleTimeString() : log.time || ''}</span>
+                    <span class="log-level">${log.level}</span>
+                    ${log.step ? html`<span class="log-tag">${log.step}</span>` : ''}
+                    ${log.source ? html`<span class="log-tag">${(this.engine.sources.get(log.source) || { name: log.source }).name}</span>` : ''}
+                    ${log.duration !== null && log.duration !== undefined ? html`<span class="log-duration">${this.formatDuration(log.duration)}</span>` : ''}
+                </div>
+                <div class="log-message">${log.message}</div>
+                ${log.data ? html`<code class="log-data">${JSON.stringify(log.data)}</code>` : ''}
+            </div>
+        `)}` : html`<p class="no-history">No log entries match the filters.</p>`);
+    }
 
-The analysis suggests continued growth and evolution in this field, with several factors driving innovation and adoption. Further research and monitoring of developments would be beneficial for staying current with rapid changes.`;
+    formatDuration(ms) {
+        return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)}s`;
     }
 
-    extractKeywords(topic, sources) {
-        // Generate relevant keywords based on topic and sources
-        const baseKeywords = topic.toLowerCase().split(' ');
-        const additionalKeywords = [
-            'artificial intelligence', 'machine learning', 'technology', 'innovation',
-            'research', 'development', 'analysis', 'trends', 'future', 'applications',
-            'industry', 'market', 'growth', 'challenges', 'opportunities', 'solutions'
-        ];
+    exportTrace() {
+        const research = this.currentResearch;
+        if (!research) return;
         
-        // Combine and filter keywords
-        const allKeywords = [...baseKeywords, ...additionalKeywords];
-        const uniqueKeywords = [...new Set(allKeywords)];
-        
-        // Return a subset of relevant keywords
-        return uniqueKeywords.slice(0, 12);
+        this.downloadFile(
+            `${this.engine.exporter.fileName(research)}-trace.json`,
+            this.engine.exporter.toTrace(research),
+            'application/json'
+        );
     }
 
-    updateProgressUI(stepNumber, stepName) {
-        // Update current status
-        document.getElementById('currentStatus').textContent = `Step ${stepNumber}/5: ${stepName}`;
-        
-        // Update step indicators
-        for (let i = 1; i <= 5; i++) {
-            const stepElement = document.getElementById(`step${i}`);
-            const icon = stepElement.querySelector('i');
-            
-            if (i < stepNumber) {
-                stepElement.classList.add('completed');
-                stepElement.classList.remove('active');
-                icon.className = 'fas fa-check-circle';
-            } else if (i === stepNumber) {
-                stepElement.classList.add('active');
-                stepElement.classList.remove('completed');
-                icon.className = 'fas fa-cog fa-spin';
-            } else {
-                stepElement.classList.remove('active', 'completed');
-                icon.className = 'fas fa-clock';
-            }
-        }
+    // A source's title linking to it, or just the title when its URL
+    // uses a scheme that is not allowed
+    renderSourceLink(source) {
+        const url = SafeHTML.url(source.url);
+        return url
+            ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">${source.title}</a>`
+            : html`${source.title}`;
     }
 
-    markStepCompleted(stepNumber) {
-        const stepElement = document.getElementById(`step${stepNumber}`);
-        const icon = stepElement.querySelector('i');
+    // Credibility badge with the signals behind the rating; the source type
+    // sets the base score and every other reason adds or takes points
+    renderCredibility(credibility) {
+        const levels = { high: 'High', medium: 'Medium', low: 'Low' };
+        const points = effect => `${effect > 0 ? '+' : ''}${Math.round(effect * 100)}`;
         
-        stepElement.classList.add('completed');
-        stepElement.classList.remove('active');
-        icon.className = 'fas fa-check-circle';
+        return html`
+            <div class="credibility">
+                <span class="credibility-badge ${credibility.level}">
+                    <i class="fas fa-shield-alt"></i> ${levels[credibility.level] || credibility.level} credibility ${Math.round(credibility.score * 100)}%
+                </span>
+                <ul class="credibility-reasons">
+                    ${credibility.reasons.map(reason => html`
+                        <li>
+                            ${reason.text}
+                            <span class="credibility-effect ${reason.factor === 'type' ? '' : reason.effect > 0 ? 'positive' : reason.effect < 0 ? 'negative' : ''}">
+                                ${reason.factor === 'type' ? `base ${Math.round(reason.effect * 100)}` : points(reason.effect)}
+                            </span>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `;
     }
 
-    updateProgressBar() {
-        const progressFill = document.getElementById('progressFill');
-        progressFill.style.width = `${this.currentResearch.progress}%`;
+    renderScoreBreakdown(breakdown, rank, source = {}) {
+        const weight = this.currentResearch.results && this.currentResearch.results.metadata
+            ? this.currentResearch.results.metadata.credibilityWeight
+            : undefined;
+        const fieldNames = Object.keys(breakdown.fields);
+        const rows = breakdown.terms.map(term => html`
+            <tr>
+                <td>${term.term}</td>
+                ${fieldNames.map(field => html`<td>${term.frequencies[field]}</td>`)}
+                <td>${term.idf.toFixed(2)}</td>
+                <td>${term.contribution.toFixed(3)}</td>
+            </tr>
+        `);
+        
+        return html`
+            <details class="score-breakdown">
+                <summary>Why is this ranked #${rank}?</summary>
+                <p>
+                    BM25 score ${breakdown.score.toFixed(3)} of a possible ${breakdown.maxScore.toFixed(3)}
+                    (${(breakdown.relevance * 100).toFixed(0)}% relevance).
+                    ${fieldNames.map(field => `${field} (x${breakdown.fields[field].boost}): ${breakdown.fields[field].score.toFixed(3)}`).join(' | ')}
+                </p>
+                ${source.rankScore !== undefined && weight !== undefined ? html`
+                    <p>
+                        Ranked by ${Math.round((1 - weight) * 100)}% relevance and ${Math.round(weight * 100)}% credibility:
+                        rank score ${source.rankScore.toFixed(3)}.
+                    </p>
+                ` : ''}
+                ${breakdown.terms.length ? html`
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Topic term</th>
+                                ${fieldNames.map(field => html`<th>In ${field}</th>`)}
+                                <th>IDF</th>
+                                <th>Score</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : html`<p>The topic has no searchable terms.</p>`}
+            </details>
+        `;
     }
 
-    showProgressSection() {
-        // Hide form and show progress
-        document.querySelector('.research-form-section').style.display = 'none';
+    // Exports the research on screen: the current run or one loaded from history
+    exportResearch(format) {
+        const research = this.currentResearch;
+        if (!research) return;
         
-        const progressSection = document.getElementById('progressSection');
-        progressSection.style.display = 'block';
-        progressSection.classList.add('slide-up');
+        if (format === 'print') {
+            const reportWindow = window.open('', '_blank');
+            if (!reportWindow) {
+                this.showError('Allow pop-ups for this page to print the report', { title: 'Cannot open report' });
+                return;
+            }
+            reportWindow.document.write(this.engine.exporter.toHTML(research));
+            reportWindow.document.close();
+            reportWindow.focus();
+            reportWindow.print();
+            return;
+        }
         
-        // Reset progress
-        this.updateProgressBar();
+        const exports = {
+            markdown: { content: () => this.engine.exporter.toMarkdown(research), extension: 'md', type: 'text/markdown' },
+            json: { content: () => this.engine.exporter.toJSON(research), extension: 'json', type: 'application/json' },
+            bibtex: { content: () => this.engine.exporter.toBibTeX(research), extension: 'bib', type: 'application/x-bibtex' },
+            csl: { content: () => this.engine.exporter.toCSLJSON(research), extension: 'csl.json', type: 'application/json' },
+            html: { content: () => this.engine.exporter.toHTML(research), extension: 'html', type: 'text/html' }
+        };
+        const selected = exports[format];
+        if (!selected) return;
         
-        // Scroll to progress section
-        progressSection.scrollIntoView({ behavior: 'smooth' });
+        this.downloadFile(
+            `${this.engine.exporter.fileName(research)}.${selected.extension}`,
+            selected.content(),
+            selected.type
+        );
     }
 
-    disableForm() {
-        document.getElementById('submitBtn').disabled = true;
-        document.getElementById('researchTopic').disabled = true;
-        document.getElementById('researchDepth').disabled = true;
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
-    enableForm() {
-        document.getElementById('submitBtn').disabled = false;
-        document.getElementById('researchTopic').disabled = false;
-        document.getElementById('researchDepth').disabled = false;
+    showSource(sourceIndex) {
+        const sourceElement = document.getElementById(`source-${sourceIndex + 1}`);
+        if (!sourceElement) return;
+        
+        showTab('sources');
+        sourceElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        sourceElement.classList.remove('highlight');
+        // Restart the highlight animation when the same footnote is clicked twice
+        void sourceElement.offsetWidth;
+        sourceElement.classList.add('highlight');
     }
 
-    addLog(message) {
-        const log = {
-            timestamp: new Date().toLocaleTimeString(),
-            message: message
-        };
-        this.currentResearch.logs.push(log);
+    // "Refined from ..." line under the result title, linking to the parent
+    renderLineage() {
+        const research = this.currentResearch;
+        const lineage = document.getElementById('resultLineage');
+        const parent = research.parentId && this.engine.researchHistory.find(r => r.id === research.parentId);
+        
+        if (!research.parentId) {
+            lineage.innerHTML = '';
+            lineage.style.display = 'none';
+            return;
+        }
+        
+        SafeHTML.render(lineage, html`
+            <i class="fas fa-code-branch"></i>
+            Refined from ${parent
+                ? html`<a href="#" data-research-id="${parent.id}">${parent.topic}</a>`
+                : 'a research that is no longer in history'}
+            ${this.describeRefinement(research.refinement) ? ` · ${this.describeRefinement(research.refinement)}` : ''}
+        `);
+        lineage.style.display = 'block';
+        
+        const link = lineage.querySelector('a');
+        if (link) {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.loadResearchFromHistory(link.dataset.researchId);
+            });
+        }
     }
 
-    renderHistory() {
-        const historyList = document.getElementById('historyList');
+    // Says which sources the results were built from cached responses of,
+    // and warns when any of them had expired
+    renderCacheNotice() {
+        const research = this.currentResearch;
+        const notice = document.getElementById('resultCache');
+        const cached = Object.entries(research.cachedSources || {});
         
-        if (this.researchHistory.length === 0) {
-            historyList.innerHTML = '<p class="no-history">No previous research found. Start your first research above!</p>';
+        if (cached.length === 0) {
+            notice.innerHTML = '';
+            notice.className = 'result-cache';
+            notice.style.display = 'none';
             return;
         }
         
-        historyList.innerHTML = this.researchHistory.map(research => `
-            <div class="history-item" data-research-id="${research.id}">
-                <h5>${research.topic}</h5>
-                <p>
-                    ${research.status === 'completed' ? 'Completed' : 'In Progress'} • 
-                    ${research.depth} depth • 
-                    ${research.endTime ? research.endTime.toLocaleDateString() : 'Running...'}
-                </p>
-            </div>
-        `).join('');
+        const stale = cached.some(([, entry]) => entry.stale);
+        const sourceName = id => {
+            const adapter = this.engine.sources.get(id);
+            return adapter ? adapter.name : id;
+        };
+        
+        SafeHTML.render(notice, html`
+            <i class="fas ${stale ? 'fa-exclamation-triangle' : 'fa-database'}"></i>
+            ${stale ? 'Includes stale data that may be out of date. ' : ''}
+            ${research.offline ? 'Researched offline from' : 'Used'} cached responses:
+            ${cached.map(([id, entry], index) => html`${index ? ', ' : ''}${sourceName(id)} (fetched ${new Date(entry.fetchedAt).toLocaleString()}${entry.stale ? ', stale' : ''})`)}
+        `);
+        notice.className = `result-cache${stale ? ' stale' : ''}`;
+        notice.style.display = 'block';
     }
 
-    loadResearchFromHistory(researchId) {
-        const research = this.researchHistory.find(r => r.id === researchId);
-        if (!research || research.status !== 'completed') return;
-        
-        this.currentResearch = research;
-        this.showResults();
+    isCachedOnly() {
+        return document.getElementById('cachedOnly').checked;
     }
 
-    setupProgressTracking() {
-        // Initialize progress tracking elements
-        this.updateProgressBar();
+    // Offline, research can only use cached source responses, so the
+    // option is forced on until the connection comes back
+    updateOnlineState() {
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        const cachedOnly = document.getElementById('cachedOnly');
+        
+        if (offline) {
+            if (!cachedOnly.disabled) this.cachedOnlyChoice = cachedOnly.checked;
+            cachedOnly.checked = true;
+        } else if (cachedOnly.disabled) {
+            cachedOnly.checked = Boolean(this.cachedOnlyChoice);
+        }
+        cachedOnly.disabled = offline;
+        document.getElementById('offlineNotice').style.display = offline ? 'flex' : 'none';
     }
 
-    generateId() {
-        return 'research_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    // Caches the app shell so the page opens offline. Service workers need
+    // http(s), so opening index.html from disk skips this.
+    registerServiceWorker() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+        if (!['http:', 'https:'].includes(window.location.protocol)) return;
+        
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Could not register the service worker:', error);
+        });
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    describeFilters(filters) {
+        if (!filters) return '';
+        
+        const parts = [];
+        if (filters.minCredibility) parts.push(`minimum credibility ${Math.round(filters.minCredibility * 100)}%`);
+        if (filters.excludeDomains.length) parts.push(`excluding ${filters.excludeDomains.join(', ')}`);
+        return parts.join(', ');
     }
 
-    saveHistory() {
-        try {
-            localStorage.setItem('aiResearchHistory', JSON.stringify(this.researchHistory));
-        } catch (e) {
-            console.warn('Could not save to localStorage:', e);
+    describeRefinement(refinement) {
+        if (!refinement) return '';
+        
+        const parts = [];
+        if (refinement.question) parts.push(`asked "${refinement.question}"`);
+        if (refinement.excludeSources.length) {
+            parts.push(`excluded ${refinement.excludeSources.length} source${refinement.excludeSources.length === 1 ? '' : 's'}`);
         }
+        if (refinement.excludeKeywords.length) parts.push(`excluded ${refinement.excludeKeywords.join(', ')}`);
+        return parts.join(' · ');
     }
 
-    loadHistory() {
-        try {
-            const saved = localStorage.getItem('aiResearchHistory');
-            if (saved) {
-                const parsed = JSON.parse(saved);
-                // Convert date strings back to Date objects
-                return parsed.map(research => ({
-                    ...research,
-                    startTime: new Date(research.startTime),
-                    endTime: research.endTime ? new Date(research.endTime) : null
-                }));
+    openRefinePanel() {
+        const research = this.currentResearch;
+        if (!research || !research.results) return;
+        
+        const panel = document.getElementById('refinePanel');
+        const keywords = research.results.keywords.map(keyword => this.normalizeKeyword(keyword));
+        
+        SafeHTML.render(panel, html`
+            <form class="refine-form" id="refineForm">
+                <h4><i class="fas fa-sliders-h"></i> Refine this research</h4>
+                <div class="error-container" id="refineError" style="display: none;"></div>
+                <div class="input-group">
+                    <label for="refineTopic">Topic</label>
+                    <input type="text" id="refineTopic" value="${research.topic}">
+                </div>
+                <div class="input-group">
+                    <label for="refineQuestion">Follow-up question</label>
+                    <input type="text" id="refineQuestion" placeholder="e.g. What are the risks in clinical use?">
+                </div>
+                <div class="input-group">
+                    <label for="refineDepth">Depth</label>
+                    <select id="refineDepth">
+                        ${RESEARCH_DEPTHS.map(depth => html`
+                            <option value="${depth}" ${depth === research.depth ? 'selected' : ''}>${depth.charAt(0).toUpperCase() + depth.slice(1)}</option>
+                        `)}
+                    </select>
+                </div>
+                ${research.results.sources.length ? html`
+                    <fieldset class="refine-exclusions">
+                        <legend>Exclude sources</legend>
+                        ${research.results.sources.map((source, index) => html`
+                            <label class="refine-option">
+                                <input type="checkbox" name="excludeSource" value="${index}">
+                                <span class="source-number">[${index + 1}]</span> ${source.title}
+                            </label>
+                        `)}
+                    </fieldset>
+                ` : ''}
+                ${keywords.length ? html`
+                    <fieldset class="refine-exclusions refine-keywords">
+                        <legend>Exclude keywords</legend>
+                        ${keywords.map(keyword => html`
+                            <label class="refine-option">
+                                <input type="checkbox" name="excludeKeyword" value="${keyword.phrase}"> ${keyword.phrase}
+                            </label>
+                        `)}
+                    </fieldset>
+                ` : ''}
+                <div class="refine-actions">
+                    <button type="submit" class="submit-btn"><i class="fas fa-code-branch"></i> Start refined research</button>
+                    <button type="button" class="control-btn" id="refineCancelBtn">Cancel</button>
+                </div>
+            </form>
+        `);
+        panel.style.display = 'block';
+        
+        this.refineError = new ErrorNotice(document.getElementById('refineError'));
+        document.getElementById('refineCancelBtn').addEventListener('click', () => this.closeRefinePanel());
+        document.getElementById('refineForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitRefinement(research);
+        });
+        document.getElementById('refineTopic').focus();
+    }
+
+    closeRefinePanel() {
+        const panel = document.getElementById('refinePanel');
+        panel.innerHTML = '';
+        panel.style.display = 'none';
+    }
+
+    submitRefinement(parent) {
+        const checked = name => Array.from(document.querySelectorAll(`#refineForm input[name="${name}"]:checked`))
+            .map(input => input.value);
+        const topic = document.getElementById('refineTopic').value.trim();
+        const question = document.getElementById('refineQuestion').value.trim();
+        const excludeSources = checked('excludeSource').map(index => parent.results.sources[Number(index)].url);
+        const excludeKeywords = checked('excludeKeyword');
+        
+        if (!topic) {
+            this.refineError.show('Please enter a topic.', { title: 'Cannot refine research' });
+            return;
+        }
+        if (topic === parent.topic && !question && !excludeSources.length && !excludeKeywords.length &&
+            document.getElementById('refineDepth').value === parent.depth) {
+            this.refineError.show('Change the topic, ask a follow-up question or exclude something to refine this research.', {
+                title: 'Nothing to refine',
+                tone: 'warning'
+            });
+            return;
+        }
+        
+        this.startRefinedResearch(parent, {
+            topic: topic,
+            depth: document.getElementById('refineDepth').value,
+            question: question || null,
+            excludeSources: excludeSources,
+            excludeKeywords: excludeKeywords
+        });
+    }
+
+    // Starts a child research of parent. Sources the parent gathered are
+    // reused instead of fetched again where possible.
+    async startRefinedResearch(parent, { topic = parent.topic, depth = parent.depth, question = null, excludeSources = [], excludeKeywords = [] } = {}) {
+        const sources = parent.sources.filter(id => this.engine.sources.has(id));
+        
+        document.getElementById('resultsSection').style.display = 'none';
+        await this.startResearch(topic, depth, sources.length ? sources : this.engine.sources.defaultIds(), {
+            parent: parent,
+            refinement: { question, excludeSources, excludeKeywords },
+            offline: this.isCachedOnly(),
+            filters: parent.filters
+        });
+    }
+
+    // Research saved before keyphrase extraction stored plain strings
+    normalizeKeyword(keyword) {
+        if (typeof keyword === 'string') {
+            const sources = this.currentResearch.results ? this.currentResearch.results.sources : [];
+            const sourceIndices = KeyphraseExtractor.findMentions(keyword, sources);
+            return { phrase: keyword, weight: 0.5, sourceCount: sourceIndices.length, sourceIndices };
+        }
+        return keyword;
+    }
+
+    filterSourcesByKeyword(keyword) {
+        const matches = new Set(keyword.sourceIndices);
+        
+        document.querySelectorAll('#sourcesList .source-item').forEach(item => {
+            item.style.display = matches.has(Number(item.dataset.index)) ? '' : 'none';
+        });
+        document.querySelectorAll('#sourcesList .source-cluster').forEach(cluster => {
+            const visible = Array.from(cluster.querySelectorAll('.source-item')).some(item => item.style.display !== 'none');
+            cluster.style.display = visible ? '' : 'none';
+        });
+        document.querySelectorAll('#keywordsContainer .keyword-tag').forEach(tag => {
+            tag.classList.toggle('active', tag.dataset.keyword === keyword.phrase);
+        });
+        
+        const filterBar = document.getElementById('sourceFilter');
+        SafeHTML.render(filterBar, html`
+            <span>Showing ${matches.size} source${matches.size === 1 ? '' : 's'} mentioning <strong>"${keyword.phrase}"</strong></span>
+            <button type="button" class="control-btn"><i class="fas fa-times"></i> Clear filter</button>
+        `);
+        filterBar.querySelector('button').addEventListener('click', () => this.clearSourceFilter());
+        filterBar.style.display = 'flex';
+        
+        showTab('sources');
+    }
+
+    clearSourceFilter() {
+        document.querySelectorAll('#sourcesList .source-item, #sourcesList .source-cluster').forEach(item => {
+            item.style.display = '';
+        });
+        document.querySelectorAll('#keywordsContainer .keyword-tag').forEach(tag => {
+            tag.classList.remove('active');
+        });
+        
+        const filterBar = document.getElementById('sourceFilter');
+        filterBar.innerHTML = '';
+        filterBar.style.display = 'none';
+    }
+
+    // Builds one indicator per pipeline step. Steps before fromStep are
+    // shown as already completed (used when retrying a failed run).
+    renderProgressSteps(fromStep = 1) {
+        SafeHTML.render(document.getElementById('progressSteps'), html`${this.engine.pipeline.list().map((step, index) => html`
+            <div class="step${index + 1 < fromStep ? ' completed' : ''}" data-step="${index + 1}">
+                <i class="fas ${index + 1 < fromStep ? 'fa-check-circle' : 'fa-clock'}"></i>
+                <span>${step.name}</span>
+            </div>
+        `)}`);
+    }
+
+    // Status line of the progress section, also read out by screen readers
+    setStatus(message) {
+        document.getElementById('currentStatus').textContent = message;
+        this.announce(message);
+    }
+
+    // Polite announcement through the live region; screen readers read it
+    // once they finish what they are saying
+    announce(message) {
+        document.getElementById('liveStatus').textContent = message;
+    }
+
+    getStepElement(stepNumber) {
+        return document.querySelector(`#progressSteps [data-step="${stepNumber}"]`);
+    }
+
+    updateProgressUI(stepNumber, stepName) {
+        this.currentStepName = stepName;
+        
+        // Update current status
+        this.setStatus(`Step ${stepNumber}/${this.engine.pipeline.length}: ${stepName}`);
+        
+        // Update the current step indicator; earlier steps were marked
+        // completed or skipped when they finished
+        const stepElement = this.getStepElement(stepNumber);
+        stepElement.classList.remove('failed', 'completed', 'skipped');
+        stepElement.classList.add('active');
+        stepElement.querySelector('i').className = 'fas fa-cog fa-spin';
+    }
+
+    markStepCompleted(stepNumber) {
+        const stepElement = this.getStepElement(stepNumber);
+        const icon = stepElement.querySelector('i');
+        
+        stepElement.classList.add('completed');
+        stepElement.classList.remove('active');
+        icon.className = 'fas fa-check-circle';
+    }
+
+    markStepSkipped(stepNumber) {
+        const stepElement = this.getStepElement(stepNumber);
+        const icon = stepElement.querySelector('i');
+        
+        stepElement.classList.add('skipped');
+        stepElement.classList.remove('active');
+        icon.className = 'fas fa-forward';
+    }
+
+    markStepFailed(stepNumber) {
+        const stepElement = this.getStepElement(stepNumber);
+        const icon = stepElement.querySelector('i');
+        
+        stepElement.classList.add('failed');
+        stepElement.classList.remove('active');
+        icon.className = 'fas fa-exclamation-circle';
+    }
+
+    // One live status row per source queried in this run
+    renderSourceStatus(adapters) {
+        this.sourceStatus = {};
+        adapters.forEach(adapter => {
+            this.sourceStatus[adapter.id] = { name: adapter.name, state: 'pending', count: null, latency: null, note: '' };
+        });
+        
+        const container = document.getElementById('sourceStatus');
+        SafeHTML.render(container, html`${adapters.map(adapter => html`
+            <div class="source-status-row" data-source-id="${adapter.id}"></div>
+        `)}`);
+        container.style.display = adapters.length ? 'block' : 'none';
+        
+        adapters.forEach(adapter => this.updateSourceStatus(adapter.id, {}));
+    }
+
+    updateSourceStatus(id, changes) {
+        const status = Object.assign(this.sourceStatus[id], changes);
+        const row = document.querySelector(`#sourceStatus [data-source-id="${id}"]`);
+        if (!row) return;
+        
+        const icons = {
+            pending: 'fas fa-clock',
+            fetching: 'fas fa-spinner fa-spin',
+            done: 'fas fa-check-circle',
+            failed: 'fas fa-exclamation-circle'
+        };
+        const labels = { pending: 'Pending', fetching: 'Fetching', done: 'Done', failed: 'Failed' };
+        
+        row.className = `source-status-row ${status.state}`;
+        SafeHTML.render(row, html`
+            <i class="${icons[status.state]}"></i>
+            <span class="source-status-name">${status.name}</span>
+            <span class="source-status-state">${labels[status.state]}${status.note ? ` (${status.note})` : ''}</span>
+            <span class="source-status-count">${status.count !== null ? `${status.count} item${status.count === 1 ? '' : 's'}` : ''}</span>
+            <span class="source-status-latency">${status.latency !== null ? `${status.latency}ms` : ''}</span>
+        `);
+    }
+
+    // Shows gathered sources while the run is still going, best first
+    addPreviewSources(articles) {
+        this.previewSources = (this.previewSources || [])
+            .concat(articles)
+            .sort((a, b) => b.relevance - a.relevance);
+        
+        const preview = document.getElementById('sourcePreview');
+        preview.style.display = 'block';
+        SafeHTML.render(preview, html`
+            <h4>Sources so far (${this.previewSources.length})</h4>
+            <ul>
+                ${this.previewSources.map(source => html`
+                    <li>
+                        ${this.renderSourceLink(source)}
+                        <span class="source-preview-origin">${source.source}</span>
+                    </li>
+                `)}
+            </ul>
+        `);
+    }
+
+    clearSourceProgress() {
+        this.sourceStatus = {};
+        this.previewSources = [];
+        
+        ['sourceStatus', 'sourcePreview'].forEach(id => {
+            const element = document.getElementById(id);
+            element.innerHTML = '';
+            element.style.display = 'none';
+        });
+    }
+
+    updateProgressBar() {
+        const progress = this.currentResearch ? this.currentResearch.progress : 0;
+        document.getElementById('progressFill').style.width = `${progress}%`;
+        document.getElementById('progressBar').setAttribute('aria-valuenow', Math.round(progress));
+    }
+
+    showProgressSection() {
+        // Hide form and show progress
+        document.querySelector('.research-form-section').style.display = 'none';
+        
+        const progressSection = document.getElementById('progressSection');
+        progressSection.style.display = 'block';
+        progressSection.classList.add('slide-up');
+        
+        // Reset progress
+        this.renderProgressSteps();
+        this.clearSourceProgress();
+        this.updateProgressBar();
+        document.getElementById('pauseBtn').innerHTML = '<i class="fas fa-pause"></i> Pause';
+        this.setRunControlsVisible(true);
+        this.progressError.hide();
+        
+        // Scroll to progress section
+        progressSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    disableForm() {
+        document.getElementById('submitBtn').disabled = true;
+        document.getElementById('researchTopic').disabled = true;
+        document.getElementById('researchDepth').disabled = true;
+        document.getElementById('sourceMode').disabled = true;
+        document.getElementById('minCredibility').disabled = true;
+        document.getElementById('excludeDomains').disabled = true;
+        document.querySelectorAll('#sourceOptions input').forEach(input => {
+            input.disabled = true;
+        });
+    }
+
+    enableForm() {
+        document.getElementById('submitBtn').disabled = false;
+        document.getElementById('researchTopic').disabled = false;
+        document.getElementById('researchDepth').disabled = false;
+        document.getElementById('sourceMode').disabled = false;
+        document.getElementById('minCredibility').disabled = false;
+        document.getElementById('excludeDomains').disabled = false;
+        document.querySelectorAll('#sourceOptions input').forEach(input => {
+            input.disabled = false;
+        });
+    }
+
+    renderSourceOptions() {
+        const container = document.getElementById('sourceOptions');
+        
+        SafeHTML.render(container, html`${this.engine.sources.list().map(adapter => html`
+            <label class="source-option">
+                <input type="checkbox" name="sources" value="${adapter.id}" ${adapter.enabledByDefault ? 'checked' : ''}>
+                <span>${adapter.name}</span>
+            </label>
+        `)}`);
+    }
+
+    setSourceMode(mode) {
+        if (this.engine.setSourceMode(mode)) this.renderSourceOptions();
+    }
+
+    // The form's credibility filters, and the excluded domains that are not
+    // domain names
+    getFilters() {
+        const domains = document.getElementById('excludeDomains').value.split(/[\s,]+/).filter(Boolean);
+        const invalidDomains = domains.filter(domain => !CredibilityScorer.normalizeDomain(domain));
+        
+        return {
+            filters: CredibilityScorer.normalizeFilters({
+                minCredibility: Number(document.getElementById('minCredibility').value) / 100,
+                excludeDomains: domains
+            }),
+            invalidDomains
+        };
+    }
+
+    updateCredibilityLabel() {
+        const value = Number(document.getElementById('minCredibility').value);
+        document.getElementById('minCredibilityValue').textContent = value ? `${value}% or more` : 'Any';
+    }
+
+    getSelectedSources() {
+        return Array.from(document.querySelectorAll('#sourceOptions input:checked'))
+            .map(input => input.value)
+            .filter(id => this.engine.sources.has(id));
+    }
+
+    renderHistory() {
+        const historyList = document.getElementById('historyList');
+        document.getElementById('historyDeleteBtn').style.display = this.historySelectMode ? '' : 'none';
+        document.getElementById('historyDeleteBtn').disabled = this.selectedHistoryIds.size === 0;
+        document.getElementById('historyDeleteCount').textContent = this.selectedHistoryIds.size;
+        document.getElementById('historyCompareBtn').style.display = this.historySelectMode ? '' : 'none';
+        document.getElementById('historyCompareBtn').disabled = this.selectedHistoryIds.size !== 2;
+        this.updateStorageUsage();
+        
+        if (this.engine.researchHistory.length === 0) {
+            historyList.innerHTML = '<p class="no-history">No previous research found. Start your first research above!</p>';
+            return;
+        }
+        
+        const entries = this.filterHistory(this.engine.researchHistory, this.historyQuery);
+        if (entries.length === 0) {
+            historyList.innerHTML = '<p class="no-history">No research matches your search.</p>';
+            return;
+        }
+        
+        // Refined research is threaded under the research it came from;
+        // entries whose parent is filtered out or deleted become roots
+        const shownIds = new Set(entries.map(research => research.id));
+        const children = new Map();
+        const roots = [];
+        entries.forEach(research => {
+            if (research.parentId && shownIds.has(research.parentId)) {
+                if (!children.has(research.parentId)) children.set(research.parentId, []);
+                children.get(research.parentId).push(research);
+            } else {
+                roots.push(research);
+            }
+        });
+        // Children read oldest first, like a conversation
+        children.forEach(list => list.sort((a, b) => a.startTime - b.startTime));
+        
+        const renderThread = research => {
+            const replies = children.get(research.id) || [];
+            return html`
+                <div class="history-thread">
+                    ${this.renderHistoryItem(research)}
+                    ${replies.length ? html`<div class="history-children">${replies.map(renderThread)}</div>` : ''}
+                </div>
+            `;
+        };
+        
+        // Re-rendering replaces every item; keep keyboard focus on the same
+        // control of the same entry (star, tag, ...) when it is still shown
+        const active = document.activeElement;
+        const focusedItem = active && historyList.contains(active) ? active.closest('.history-item') : null;
+        const focus = focusedItem && {
+            id: focusedItem.dataset.researchId,
+            selector: active.dataset.action
+                ? `[data-action="${active.dataset.action}"]`
+                : active.matches('[data-select-id]') ? '[data-select-id]' : '.history-open'
+        };
+        
+        SafeHTML.render(historyList, html`${roots.map(renderThread)}`);
+        
+        if (focus) {
+            const item = Array.from(historyList.querySelectorAll('.history-item'))
+                .find(element => element.dataset.researchId === focus.id);
+            const target = item && item.querySelector(focus.selector);
+            if (target) target.focus();
+        }
+    }
+
+    renderHistoryItem(research) {
+        const statusLabels = { completed: 'Completed', cancelled: 'Cancelled', failed: 'Failed' };
+        const refinement = this.describeRefinement(research.refinement);
+        const watch = this.engine.getWatch(research);
+        const changeCount = watch && watch.unseen && research.changes ? ResearchComparer.countChanges(research.changes) : 0;
+        // Only the latest run of a watch carries the watch controls
+        const canWatch = research.status === 'completed' && (!research.watchId || watch);
+        // Runs still in progress have nothing to open yet
+        const canOpen = research.status in statusLabels;
+        
+        return html`
+            <div class="history-item ${research.status}${research.starred ? ' starred' : ''}${research.parentId ? ' refined' : ''}" data-research-id="${research.id}">
+                ${this.historySelectMode ? html`
+                    <label class="history-select">
+                        <input type="checkbox" data-select-id="${research.id}" ${this.selectedHistoryIds.has(research.id) ? 'checked' : ''}>
+                    </label>
+                ` : ''}
+                <div class="history-item-main">
+                    <h5>
+                        ${research.parentId ? html`<i class="fas fa-code-branch"></i> ` : ''}
+                        ${canOpen ? html`<a class="history-open" href="${ResearchRoute.format({ name: 'research', id: research.id })}">${research.topic}</a>` : research.topic}
+                    </h5>
+                    <p>
+                        ${statusLabels[research.status] || 'In Progress'} • 
+                        ${research.depth} depth • 
+                        ${research.endTime ? research.endTime.toLocaleDateString() : 'Running...'}
+                    </p>
+                    ${Object.values(research.cachedSources || {}).some(entry => entry.stale) ? html`
+                        <p class="history-stale"><i class="fas fa-exclamation-triangle"></i> Built from stale cached data</p>
+                    ` : ''}
+                    ${refinement ? html`<p class="history-refinement">${refinement}</p>` : ''}
+                    ${watch ? html`
+                        <p class="history-watch">
+                            <i class="fas fa-eye"></i> Watched ${this.describeInterval(watch.intervalHours)} • next run ${new Date(watch.nextRunAt).toLocaleString()}
+                            ${changeCount ? html`<span class="history-badge">${changeCount} new change${changeCount === 1 ? '' : 's'}</span>` : ''}
+                        </p>
+                    ` : ''}
+                    <div class="history-tags">
+                        ${(research.tags || []).map(tag => html`
+                            <span class="history-tag">
+                                ${tag}
+                                <button type="button" data-remove-tag="${tag}" aria-label="Remove tag ${tag}">&times;</button>
+                            </span>
+                        `)}
+                    </div>
+                </div>
+                <div class="history-item-actions">
+                    <button type="button" data-action="star" title="${research.starred ? 'Unstar' : 'Star'}" aria-pressed="${research.starred ? 'true' : 'false'}">
+                        <i class="${research.starred ? 'fas' : 'far'} fa-star"></i>
+                    </button>
+                    <button type="button" data-action="tag" title="Add tags"><i class="fas fa-tag"></i></button>
+                    ${canWatch ? html`
+                        <button type="button" data-action="watch" title="${watch ? 'Change watch interval' : 'Watch for changes'}" aria-pressed="${watch ? 'true' : 'false'}">
+                            <i class="${watch ? 'fas' : 'far'} fa-eye"></i>
+                        </button>
+                    ` : ''}
+                    <button type="button" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Full-text match over topic, summary, keywords, tags and source titles.
+    // Every word of the query has to appear somewhere.
+    filterHistory(history, query) {
+        const words = query.text.toLowerCase().split(/\s+/).filter(Boolean);
+        
+        return history.filter(research => {
+            if (query.filter === 'starred' && !research.starred) return false;
+            if (query.filter === 'watched' && !research.watchId) return false;
+            if (RESEARCH_STATUSES.includes(query.filter) && research.status !== query.filter) return false;
+            if (words.length === 0) return true;
+            
+            const results = research.results || {};
+            const haystack = [
+                research.topic,
+                results.summary,
+                ...(results.keywords || []).map(keyword => keyword.phrase),
+                ...(results.sources || []).map(source => source.title),
+                ...(research.tags || [])
+            ].join(' ').toLowerCase();
+            
+            return words.every(word => haystack.includes(word));
+        });
+    }
+
+    handleHistoryClick(e) {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        
+        const research = this.engine.researchHistory.find(r => r.id === item.dataset.researchId);
+        if (!research) return;
+        
+        const selectBox = e.target.closest('[data-select-id]');
+        const removeTag = e.target.closest('[data-remove-tag]');
+        const action = e.target.closest('[data-action]');
+        
+        if (selectBox) {
+            if (selectBox.checked) {
+                this.selectedHistoryIds.add(research.id);
+            } else {
+                this.selectedHistoryIds.delete(research.id);
+            }
+            this.renderHistory();
+        } else if (removeTag) {
+            this.engine.updateResearch(research, {
+                tags: research.tags.filter(tag => tag !== removeTag.dataset.removeTag)
+            });
+        } else if (action) {
+            if (action.dataset.action === 'star') {
+                this.engine.updateResearch(research, { starred: !research.starred });
+            } else if (action.dataset.action === 'tag') {
+                this.showTagInput(item);
+            } else if (action.dataset.action === 'watch') {
+                this.showWatchInput(item, research);
+            } else if (action.dataset.action === 'delete') {
+                this.confirmDeleteResearch([research.id]);
+            }
+        } else if (!e.target.closest('.history-select, .tag-input, .watch-input')) {
+            // The topic link opens the entry here like the rest of the item;
+            // with a modifier key the browser opens its route in a new tab
+            if (e.target.closest('.history-open')) {
+                if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+                e.preventDefault();
+            }
+            if (this.historySelectMode) {
+                item.querySelector('[data-select-id]').click();
+            } else {
+                this.loadResearchFromHistory(research.id);
+            }
+        }
+    }
+
+    showTagInput(item) {
+        const tags = item.querySelector('.history-tags');
+        let input = tags.querySelector('.tag-input');
+        
+        if (!input) {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'tag-input';
+            input.placeholder = 'Add tags, comma separated';
+            input.addEventListener('blur', () => input.remove());
+            tags.appendChild(input);
+        }
+        input.focus();
+    }
+
+    handleTagInput(e) {
+        if (e.key === 'Escape') {
+            e.target.remove();
+            return;
+        }
+        if (e.key !== 'Enter') return;
+        
+        e.preventDefault();
+        const item = e.target.closest('.history-item');
+        const research = item && this.engine.researchHistory.find(r => r.id === item.dataset.researchId);
+        const newTags = e.target.value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        
+        if (research && newTags.length) {
+            this.engine.updateResearch(research, { tags: [...new Set([...(research.tags || []), ...newTags])] });
+        } else {
+            e.target.remove();
+        }
+    }
+
+    showWatchInput(item, research) {
+        const tags = item.querySelector('.history-tags');
+        let select = tags.querySelector('.watch-input');
+        
+        if (!select) {
+            const watch = this.engine.getWatch(research);
+            select = document.createElement('select');
+            select.className = 'watch-input';
+            select.setAttribute('aria-label', 'Watch interval');
+            SafeHTML.render(select, html`${[0, ...WATCH_INTERVALS].map(hours => html`
+                <option value="${hours}" ${(watch ? watch.intervalHours : 0) === hours ? 'selected' : ''}>
+                    ${hours ? `Re-run ${this.describeInterval(hours)}` : 'Not watched'}
+                </option>
+            `)}`);
+            select.addEventListener('blur', () => select.remove());
+            tags.appendChild(select);
+        }
+        select.focus();
+    }
+
+    handleWatchInput(e) {
+        const item = e.target.closest('.history-item');
+        const research = item && this.engine.researchHistory.find(r => r.id === item.dataset.researchId);
+        if (research) this.engine.watchResearch(research, Number(e.target.value));
+    }
+
+    toggleHistorySelectMode() {
+        this.historySelectMode = !this.historySelectMode;
+        this.selectedHistoryIds.clear();
+        document.getElementById('historySelectBtn').classList.toggle('active', this.historySelectMode);
+        this.renderHistory();
+    }
+
+    confirmDeleteResearch(ids) {
+        if (ids.length === 0) return;
+        
+        const label = ids.length === 1
+            ? `"${this.engine.researchHistory.find(r => r.id === ids[0]).topic}"`
+            : `${ids.length} research entries`;
+        
+        this.historyNotice.show(`Delete ${label} from history? This cannot be undone.`, {
+            title: 'Delete research',
+            tone: 'warning',
+            actions: [
+                { label: 'Delete', icon: 'fas fa-trash', onClick: () => this.deleteResearch(ids) },
+                { label: 'Keep', icon: 'fas fa-times', onClick: () => this.historyNotice.hide() }
+            ]
+        });
+    }
+
+    async deleteResearch(ids) {
+        ids.forEach(id => this.selectedHistoryIds.delete(id));
+        this.historyNotice.hide();
+        await this.engine.deleteResearch(ids);
+    }
+
+    async updateStorageUsage() {
+        const usage = document.getElementById('storageUsage');
+        const count = this.engine.researchHistory.length;
+        const dataSize = new Blob([JSON.stringify(this.engine.researchHistory)]).size;
+        let text = `${count} entr${count === 1 ? 'y' : 'ies'}, about ${this.formatBytes(dataSize)} of research data.`;
+        
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                text += ` Browser storage for this site: ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} used.`;
+            } catch (e) {
+                // Estimates are best effort
+            }
+        }
+        
+        usage.textContent = text;
+        
+        const cached = this.engine.sourceCache.count();
+        document.getElementById('sourceCacheUsage').textContent =
+            `${cached} cached source response${cached === 1 ? '' : 's'} for offline research.`;
+        document.getElementById('clearSourceCacheBtn').disabled = cached === 0;
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+    }
+
+    loadResearchFromHistory(researchId) {
+        const research = this.engine.researchHistory.find(r => r.id === researchId);
+        if (!research || !['completed', 'cancelled', 'failed'].includes(research.status)) return;
+        
+        this.setRoute({ name: 'research', id: research.id, tab: this.activeTab() });
+        this.openResearch(research);
+    }
+
+    // Shows a history entry's results, on the given tab or the one open
+    openResearch(research, tab = null) {
+        this.sharedView = null;
+        this.currentResearch = research;
+        this.showResults();
+        if (tab) showTab(tab);
+        
+        this.engine.markChangesSeen(research);
+    }
+
+    activeTab() {
+        const button = document.querySelector('.tab-btn.active');
+        return button ? button.dataset.tab : 'summary';
+    }
+
+    // Left and right arrows move to the previous and next results tab,
+    // wrapping around, and Home and End to the first and last. Tabs are
+    // selected as they get focus.
+    handleTabKey(e) {
+        const tab = e.target.closest('.tab-btn');
+        if (!tab) return;
+        
+        const index = RESULT_TABS.indexOf(tab.dataset.tab);
+        const targets = {
+            ArrowRight: index + 1,
+            ArrowLeft: index - 1,
+            Home: 0,
+            End: RESULT_TABS.length - 1
+        };
+        if (!(e.key in targets)) return;
+        
+        e.preventDefault();
+        const next = RESULT_TABS[(targets[e.key] + RESULT_TABS.length) % RESULT_TABS.length];
+        showTab(next);
+        document.querySelector(`.tab-btn[data-tab="${next}"]`).focus();
+    }
+
+    // What the command palette offers for the typed text: the commands whose
+    // label has every word of it, a history search for the text and the
+    // history entries matching it
+    paletteCommands(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const commands = [];
+        
+        if (!this.runController) {
+            commands.push({ label: 'New research', icon: 'fas fa-plus', run: () => resetForm() });
+        }
+        
+        // Exports work on the results on screen, in the export menu's formats
+        const resultsShown = document.getElementById('resultsSection').style.display !== 'none';
+        if (resultsShown && this.currentResearch) {
+            document.querySelectorAll('#exportMenu [data-format]').forEach(item => {
+                commands.push({
+                    label: `Export: ${item.textContent.trim()}`,
+                    icon: item.querySelector('i').className,
+                    run: () => this.exportResearch(item.dataset.format)
+                });
+            });
+        }
+        
+        const shown = commands.filter(command => words.every(word => command.label.toLowerCase().includes(word)));
+        shown.push({
+            label: 'Search history',
+            icon: 'fas fa-search',
+            detail: query ? `for "${query}"` : '',
+            run: () => this.searchHistory(query)
+        });
+        if (words.length === 0) return shown;
+        
+        const statusLabels = { completed: 'Completed', cancelled: 'Cancelled', failed: 'Failed' };
+        const entries = this.filterHistory(this.engine.researchHistory, { text: query, filter: 'all' })
+            .filter(research => research.status in statusLabels)
+            .slice(0, 5);
+        return shown.concat(entries.map(research => ({
+            label: `Open "${research.topic}"`,
+            icon: 'fas fa-history',
+            detail: `${statusLabels[research.status]} • ${research.endTime.toLocaleDateString()}`,
+            run: () => this.loadResearchFromHistory(research.id)
+        })));
+    }
+
+    // Shows the history entries matching text and leaves focus in the search
+    // field to refine it
+    searchHistory(text) {
+        const search = document.getElementById('historySearch');
+        search.value = text;
+        this.historyQuery.text = text;
+        this.renderHistory();
+        search.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        search.focus({ preventScroll: true });
+    }
+
+    // Points the address bar at route without showing it again. Replacing
+    // keeps the back button away from views that are gone, like a finished
+    // run.
+    setRoute(route, { replace = false } = {}) {
+        if (!this.ownsRoute()) return;
+        
+        const hash = ResearchRoute.format(route);
+        this.route = route;
+        this.routeHash = hash;
+        if (window.location.hash === hash) return;
+        
+        if (replace) {
+            window.location.replace(hash);
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    // The address bar belongs to the page's agent (window.aiResearchAgent);
+    // other agents on the page, e.g. in tests, leave it alone
+    ownsRoute() {
+        return !window.aiResearchAgent || window.aiResearchAgent === this;
+    }
+
+    // Keeps the route on the open results tab
+    updateTabRoute(tab) {
+        if (this.route.name === 'research' || this.route.name === 'shared') {
+            this.setRoute({ ...this.route, tab }, { replace: true });
+        }
+    }
+
+    // Shows the view for the address bar's route: on load, and when the back
+    // and forward buttons or an edited or pasted link change it
+    async handleRoute() {
+        const hash = window.location.hash || '#/';
+        if (hash === this.routeHash || !this.ownsRoute()) return;
+        
+        this.routeHash = hash;
+        this.route = ResearchRoute.parse(hash);
+        await this.showRoute(this.route);
+    }
+
+    async showRoute(route) {
+        const running = this.runController ? this.foregroundResearch : null;
+        
+        if (route.name === 'running' && running && running.id === route.id) {
+            this.sharedView = null;
+            document.getElementById('resultsSection').style.display = 'none';
+            document.querySelector('.research-form-section').style.display = 'none';
+            document.getElementById('progressSection').style.display = 'block';
+            return;
+        }
+        
+        // The form is replaced by the progress panel while a research runs
+        if (route.name === 'form' && running) {
+            return this.redirect({ name: 'running', id: running.id });
+        }
+        
+        if (route.name === 'form') {
+            this.sharedView = null;
+            this.progressError.hide();
+            document.getElementById('resultsSection').style.display = 'none';
+            document.getElementById('progressSection').style.display = 'none';
+            document.querySelector('.research-form-section').style.display = 'block';
+            return;
+        }
+        
+        if (route.name === 'shared') {
+            const previous = this.currentResearch;
+            try {
+                const research = route.id === this.sharedView ? this.currentResearch : await ResearchSnapshot.decode(route.id);
+                // Another route may have been opened while the link was decoded
+                if (this.route !== route) return;
+                
+                this.sharedView = route.id;
+                this.currentResearch = research;
+                this.showResults();
+                showTab(route.tab);
+            } catch (error) {
+                // Rendering may have failed part way; the form route clears
+                // the shared view
+                this.currentResearch = previous;
+                this.formError.show(error.message, { title: 'Cannot open the share link' });
+                return this.redirect({ name: 'form' });
+            }
+            return;
+        }
+        
+        // A finished run, or one interrupted by a reload, opens as its
+        // history entry
+        if (route.name === 'running') {
+            return this.redirect({ name: 'research', id: route.id, tab: 'summary' });
+        }
+        
+        const research = this.engine.researchHistory.find(r => r.id === route.id);
+        if (research && research === running) {
+            return this.redirect({ name: 'running', id: research.id });
+        }
+        if (!research || !['completed', 'cancelled', 'failed'].includes(research.status)) {
+            this.formError.show('It may have been deleted, or it was saved in another browser. Ask for a share link instead.', {
+                title: 'That research is not in your history',
+                tone: 'warning'
+            });
+            return this.redirect({ name: 'form' });
+        }
+        this.openResearch(research, route.tab || 'summary');
+    }
+
+    redirect(route) {
+        this.setRoute(route, { replace: true });
+        return this.showRoute(route);
+    }
+
+    // Puts a link to a read-only snapshot of the results in the share panel
+    // and copies it
+    async shareResearch() {
+        const research = this.currentResearch;
+        if (!research || !research.results) return;
+        
+        let snapshot;
+        try {
+            snapshot = this.sharedView || await ResearchSnapshot.encode(research);
+        } catch (error) {
+            this.resultsNotice.show(error.message, { title: 'Cannot share these results', tone: 'warning' });
+            return;
+        }
+        
+        const link = document.getElementById('shareLink');
+        link.value = window.location.href.split('#')[0] +
+            ResearchRoute.format({ name: 'shared', id: snapshot, tab: this.activeTab() });
+        document.getElementById('sharePanel').style.display = 'block';
+        await this.copyShareLink();
+    }
+
+    async copyShareLink() {
+        const link = document.getElementById('shareLink');
+        const hint = document.getElementById('shareHint');
+        const about = 'Anyone with the link can open a read-only copy of these results; workflow logs are not included.';
+        
+        link.select();
+        try {
+            await navigator.clipboard.writeText(link.value);
+            hint.textContent = `Copied to the clipboard. ${about}`;
+        } catch (e) {
+            hint.textContent = `Press Ctrl+C to copy. ${about}`;
+        }
+    }
+
+    closeSharePanel() {
+        document.getElementById('sharePanel').style.display = 'none';
+        document.getElementById('shareLink').value = '';
+    }
+
+    // Shows what changed between two history entries. The older run is the
+    // "before" side unless keepOrder is set (used by the swap button).
+    compareResearch(firstId, secondId, { keepOrder = false } = {}) {
+        let [before, after] = [firstId, secondId].map(id => this.engine.researchHistory.find(r => r.id === id));
+        
+        if (!before || !after || !before.results || !after.results) {
+            this.historyNotice.show('Only research with results can be compared. Pick two completed runs.', {
+                title: 'Cannot compare',
+                tone: 'warning'
+            });
+            return;
+        }
+        if (!keepOrder && before.startTime > after.startTime) {
+            [before, after] = [after, before];
+        }
+        
+        this.comparison = { before, after, diff: this.engine.comparer.compare(before, after) };
+        this.renderComparison();
+        
+        const compareSection = document.getElementById('compareSection');
+        compareSection.style.display = 'block';
+        compareSection.classList.add('fade-in');
+        compareSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderComparison() {
+        const { before, after, diff } = this.comparison;
+        const describe = research => `${research.topic} · ${research.depth} · ${research.startTime.toLocaleString()}`;
+        
+        document.getElementById('compareBefore').textContent = describe(before);
+        document.getElementById('compareAfter').textContent = describe(after);
+        
+        SafeHTML.render(document.getElementById('compareMetadata'), html`
+            <table class="compare-table">
+                <thead><tr><th></th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                    ${diff.metadata.map(row => html`
+                        <tr class="${row.changed ? 'changed' : ''}">
+                            <th>${row.label}</th>
+                            <td>${row.before}</td>
+                            <td>${row.after}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
+        
+        const sources = diff.sources;
+        const sourceLink = source => this.renderSourceLink(source);
+        SafeHTML.render(document.getElementById('compareSources'), html`
+            <p class="compare-summary">
+                ${sources.added.length} added · ${sources.removed.length} removed ·
+                ${sources.moved.length} re-ranked · ${sources.unchanged.length} unchanged
+            </p>
+            <ul class="compare-list">
+                ${sources.added.map(entry => html`
+                    <li class="added"><span class="compare-badge">+ #${entry.rank}</span> ${sourceLink(entry.source)} <small>${entry.source.source}</small></li>
+                `)}
+                ${sources.removed.map(entry => html`
+                    <li class="removed"><span class="compare-badge">− #${entry.rank}</span> ${sourceLink(entry.source)} <small>${entry.source.source}</small></li>
+                `)}
+                ${sources.moved.map(entry => html`
+                    <li class="moved">
+                        <span class="compare-badge">#${entry.from} → #${entry.to}</span>
+                        <i class="fas fa-arrow-${entry.change > 0 ? 'up' : 'down'}"></i>
+                        ${sourceLink(entry.source)} <small>${entry.source.source}</small>
+                    </li>
+                `)}
+            </ul>
+        `);
+        
+        const keywords = diff.keywords;
+        const formatChange = change => `${change > 0 ? '+' : ''}${change.toFixed(2)}`;
+        SafeHTML.render(document.getElementById('compareKeywords'), html`
+            <p class="compare-summary">${(keywords.overlap * 100).toFixed(0)}% keyword overlap</p>
+            <div class="compare-keywords">
+                ${keywords.shared.map(keyword => html`
+                    <span class="compare-keyword shared" title="Weight ${keyword.before === null ? '?' : keyword.before.toFixed(2)} → ${keyword.after === null ? '?' : keyword.after.toFixed(2)}">
+                        ${keyword.phrase}
+                        ${Math.abs(keyword.change) >= 0.01 ? html`<small class="${keyword.change > 0 ? 'up' : 'down'}">${formatChange(keyword.change)}</small>` : ''}
+                    </span>
+                `)}
+                ${keywords.added.map(keyword => html`<span class="compare-keyword added">+ ${keyword.phrase}</span>`)}
+                ${keywords.removed.map(keyword => html`<span class="compare-keyword removed">− ${keyword.phrase}</span>`)}
+            </div>
+        `);
+        
+        SafeHTML.render(document.getElementById('compareSummary'), diff.summary.length ? html`${diff.summary.map(sentence => html`
+            <p class="compare-sentence ${sentence.type}">
+                <span class="compare-marker">${sentence.type === 'added' ? '+' : sentence.type === 'removed' ? '−' : ''}</span>
+                ${sentence.text}
+            </p>
+        `)}` : html`<p class="compare-summary">Neither run has a summary.</p>`);
+    }
+
+    closeComparison() {
+        this.comparison = null;
+        document.getElementById('compareSection').style.display = 'none';
+    }
+
+    setupProgressTracking() {
+        // Initialize progress tracking elements
+        this.updateProgressBar();
+    }
+
+    // Changes a watched run found compared with the previous run
+    renderChanges() {
+        const research = this.currentResearch;
+        const container = document.getElementById('resultChanges');
+        const changes = research.changes;
+        
+        if (!changes) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        const previous = this.engine.researchHistory.find(r => r.id === changes.previousId);
+        const sourceList = sources => sources.map(source => html`
+            <li>${this.renderSourceLink(source)} <span class="source-meta">${source.source}</span></li>
+        `);
+        const keywordList = (keywords, className) => keywords.map(phrase => html`
+            <span class="compare-keyword ${className}">${phrase}</span>
+        `);
+        const groups = [
+            changes.addedSources.length && html`<h5>New sources</h5><ul class="compare-list">${sourceList(changes.addedSources)}</ul>`,
+            changes.removedSources.length && html`<h5>Disappeared sources</h5><ul class="compare-list">${sourceList(changes.removedSources)}</ul>`,
+            changes.addedKeywords.length && html`<h5>New keywords</h5><div class="compare-keywords">${keywordList(changes.addedKeywords, 'added')}</div>`,
+            changes.removedKeywords.length && html`<h5>Dropped keywords</h5><div class="compare-keywords">${keywordList(changes.removedKeywords, 'removed')}</div>`,
+            changes.shiftedKeywords.length && html`<h5>Keyword shifts</h5><div class="compare-keywords">${changes.shiftedKeywords.map(keyword => html`
+                <span class="compare-keyword">${keyword.phrase} ${keyword.change > 0 ? '+' : ''}${Math.round(keyword.change * 100)}%</span>
+            `)}</div>`
+        ].filter(Boolean);
+        
+        SafeHTML.render(container, html`
+            <h4>
+                <i class="fas fa-eye"></i> Changes since the previous run
+                ${previous ? html`(<a href="#" data-research-id="${previous.id}">${previous.startTime.toLocaleString()}</a>)` : ''}
+            </h4>
+            ${groups.length ? groups : html`<p>Nothing changed since the previous run.</p>`}
+        `);
+        container.style.display = 'block';
+        
+        const link = container.querySelector('a[data-research-id]');
+        if (link) {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.loadResearchFromHistory(link.dataset.researchId);
+            });
+        }
+    }
+
+    describeInterval(hours) {
+        if (hours % 168 === 0) return hours === 168 ? 'weekly' : `every ${hours / 168} weeks`;
+        if (hours % 24 === 0) return hours === 24 ? 'daily' : `every ${hours / 24} days`;
+        return hours === 1 ? 'hourly' : `every ${hours} hours`;
+    }
+
+    async updateRetention(retention) {
+        const removed = await this.engine.updateRetention(retention);
+        this.historyNotice.show(
+            removed > 0
+                ? `Retention policy saved. ${removed} old entr${removed === 1 ? 'y was' : 'ies were'} removed.`
+                : 'Retention policy saved.',
+            { title: 'History settings', tone: 'success' }
+        );
+    }
+
+    renderQuarantine() {
+        if (this.engine.quarantine.length === 0) {
+            this.historyNotice.hide();
+            return;
+        }
+        
+        const count = this.engine.quarantine.length;
+        this.historyNotice.show(
+            `${count} research entr${count === 1 ? 'y' : 'ies'} could not be loaded and ${count === 1 ? 'was' : 'were'} set aside.`,
+            {
+                title: 'Invalid history entries',
+                tone: 'warning',
+                details: this.engine.quarantine.map(entry =>
+                    `${entry.topic || entry.id || 'Unnamed entry'} (${entry.origin}): ${entry.errors.join('; ')}`
+                ),
+                actions: [
+                    {
+                        label: 'Download entries',
+                        icon: 'fas fa-download',
+                        onClick: () => this.downloadFile('quarantined-research.json', JSON.stringify(this.engine.quarantine, null, 2), 'application/json')
+                    },
+                    {
+                        label: 'Discard entries',
+                        icon: 'fas fa-trash',
+                        onClick: () => {
+                            this.engine.discardQuarantine();
+                            this.renderQuarantine();
+                        }
+                    }
+                ]
+            }
+        );
+    }
+
+    // Imports research from exported JSON files into history
+    async importFiles(files) {
+        const documents = [];
+        const unreadable = [];
+        
+        for (const file of files) {
+            try {
+                documents.push({ name: file.name, text: await this.readFile(file) });
+            } catch (e) {
+                unreadable.push(`${file.name}: ${e.message}`);
+            }
+        }
+        
+        const report = await this.engine.importDocuments(documents);
+        report.unreadable.unshift(...unreadable);
+        
+        this.showImportReport(report);
+        return report;
+    }
+
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('File could not be read'));
+            reader.readAsText(file);
+        });
+    }
+
+    showImportReport(report) {
+        const details = [
+            ...report.duplicates.map(entry => `Already in history, skipped: ${entry}`),
+            ...report.unreadable.map(entry => `Could not read ${entry}`)
+        ];
+        if (report.invalid > 0) {
+            details.push(`${report.invalid} invalid entr${report.invalid === 1 ? 'y was' : 'ies were'} quarantined`);
+        }
+        
+        const actions = report.invalid > 0
+            ? [{ label: 'Show invalid entries', icon: 'fas fa-exclamation-triangle', onClick: () => this.renderQuarantine() }]
+            : [];
+        
+        this.historyNotice.show(
+            `Imported ${report.imported} research session${report.imported === 1 ? '' : 's'}.`,
+            {
+                title: 'Import finished',
+                tone: details.length ? 'warning' : 'success',
+                details: details,
+                actions: actions
+            }
+        );
+    }
+
+    showError(message, options = {}) {
+        this.formError.show(message, { title: 'Cannot start research', ...options });
+    }
+}
+
+// Minimal event emitter. on() returns a function that removes the listener.
+// A listener that throws is logged and does not stop the others.
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) this.listeners.set(event, []);
+        this.listeners.get(event).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) this.listeners.set(event, listeners.filter(l => l !== listener));
+    }
+
+    emit(event, payload) {
+        (this.listeners.get(event) || []).slice().forEach(listener => {
+            try {
+                listener(payload);
+            } catch (e) {
+                console.error(`"${event}" listener failed:`, e);
+            }
+        });
+    }
+}
+
+// In-memory stand-in for localStorage (getItem, setItem, removeItem), used
+// for settings where localStorage does not exist, e.g. in Node
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.entries = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+}
+
+// The research workflow, processing and history, without any DOM access so
+// it runs in the browser, in Node scripts and in tests. AIResearchAgent is
+// the page's subscriber. Events and their payloads:
+//   step:start, step:skip, step:complete  { research, step, stepNumber }
+//   step:error                            { research, step, stepNumber, error }
+//   log                                   { research, entry }
+//   progress                              { research, progress }
+//   sources:start                         { research, adapters }
+//   source:update                         { research, id, changes }
+//   sources:found                         { research, articles }
+//   complete, cancel                      { research }
+//   error                                 { research, error }
+//   history:change                        { history }
+//   history:error                         { title, message, tone?, error }
+//   batch:update                          { batch }
+//   watch:change                          { watches }
+// historyStore keeps the research records; storage (anything with
+// getItem/setItem/removeItem) keeps settings, watches and quarantined
+// entries. Both default to the browser's IndexedDB and localStorage.
+class ResearchEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage());
+        this.researchHistory = [];
+        this.quarantine = [];
+        this.historyStore = options.historyStore ||
+            (IndexedDBHistoryStore.isSupported() ? new IndexedDBHistoryStore() : new MemoryHistoryStore());
+        this.retention = this.loadRetention();
+        this.mockAPIs = options.mockAPIs || new MockAPIService();
+        this.sourceRegistries = {
+            mock: options.sources || SourceRegistry.createDefault(this.mockAPIs),
+            live: options.liveSources || SourceRegistry.createLive(options.live)
+        };
+        this.sourceMode = options.sourceMode || this.loadSourceMode();
+        this.sources = this.sourceRegistries[this.sourceMode];
+        this.retryPolicy = options.retryPolicy || { retries: 2, baseDelay: 500, maxDelay: 4000 };
+        // How many sources are fetched at once, and how long one request may take
+        this.fetchPolicy = options.fetchPolicy || { concurrency: 3, timeout: 15000 };
+        // Responses from earlier runs, used instead of fetching while fresh
+        // and as the only data for offline runs
+        this.sourceCache = options.sourceCache || new SourceCache({ storage: this.storage, ...options.cachePolicy });
+        this.summarizer = options.summarizer || new ExtractiveSummarizer();
+        this.keywordExtractor = options.keywordExtractor || new KeyphraseExtractor();
+        this.ranker = options.ranker || new RelevanceRanker();
+        // Ranking blends topic relevance with credibility; this is the
+        // share credibility gets
+        this.credibility = options.credibility || new CredibilityScorer();
+        this.credibilityWeight = options.credibilityWeight !== undefined ? options.credibilityWeight : 0.3;
+        this.deduplicator = options.deduplicator || new SourceDeduplicator();
+        this.clusterer = options.clusterer || new SourceClusterer();
+        this.exporter = options.exporter || new ResearchExporter();
+        this.comparer = options.comparer || new ResearchComparer();
+        this.pipeline = options.pipeline || ResearchPipeline.createDefault(this);
+        // Watched topics are re-researched on their interval once
+        // startWatchScheduler() is called; this is how often it looks for
+        // due ones
+        this.watches = this.loadWatches();
+        this.watchCheckInterval = options.watchCheckInterval || 60000;
+        // Resolves once history has been loaded from the store
+        this.ready = this.loadHistory();
+    }
+
+    createResearch(topic, depth, sources = this.sources.defaultIds(), options = {}) {
+        return {
+            schemaVersion: RESEARCH_SCHEMA_VERSION,
+            id: this.generateId(),
+            topic: topic,
+            depth: depth,
+            sources: sources,
+            sourceMode: this.sourceMode,
+            status: 'running',
+            startTime: new Date(),
+            progress: 0,
+            currentStep: 1,
+            logs: [],
+            spans: [],
+            results: null,
+            tags: [],
+            starred: false,
+            parentId: options.parent ? options.parent.id : null,
+            refinement: options.refinement || null,
+            watchId: options.watch ? options.watch.id : null,
+            changes: null,
+            offline: Boolean(options.offline),
+            cachedSources: {},
+            filters: CredibilityScorer.normalizeFilters(options.filters)
+        };
+    }
+
+    // Runs the pipeline for research from fromStep and resolves with it
+    // once it completed, failed or was cancelled; it never rejects. Pass a
+    // ResearchRunController to pause or cancel the run.
+    async run(research, { fromStep = 1, controller = new ResearchRunController() } = {}) {
+        try {
+            const steps = this.pipeline.list();
+            for (let i = fromStep - 1; i < steps.length; i++) {
+                await this.executeStep(research, i + 1, steps[i], controller);
+            }
+            // Saved again once the last step has finished, so the stored
+            // copy has the whole log and trace
+            if (this.researchHistory.includes(research)) await this.saveResearch(research);
+            this.emit('complete', { research });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                await this.handleCancelledResearch(research);
+            } else {
+                await this.handleFailedResearch(research, error);
+            }
+        }
+        return research;
+    }
+
+    async executeStep(research, stepNumber, step, controller) {
+        // Hold here while the run is paused
+        await controller.checkpoint();
+        
+        // Update current step
+        research.currentStep = stepNumber;
+        const event = { research, step, stepNumber };
+        this.emit('step:start', event);
+        
+        const context = this.createStepContext(research, step, stepNumber, controller);
+        const span = this.startSpan(research, { kind: 'step', name: step.name, step: step.name });
+        
+        if (step.condition && !step.condition(context)) {
+            this.endSpan(span, 'skipped');
+            this.emit('step:skip', event);
+            context.log(`Skipping ${step.name}`);
+            context.progress(1);
+            return;
+        }
+        
+        // Log step start
+        context.log(`Starting ${step.name}...`);
+        
+        try {
+            await this.pipeline.run(step, context);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.endSpan(span, 'cancelled');
+            } else {
+                this.endSpan(span, 'error');
+                this.emit('step:error', { ...event, error });
+                context.log(`${step.name} failed: ${error.message}`, { level: 'error', duration: span.duration });
+            }
+            throw error;
+        }
+        
+        // Mark step as completed
+        this.endSpan(span, 'ok');
+        this.emit('step:complete', event);
+        context.log(`${step.name} completed successfully`, { duration: span.duration });
+        context.progress(1);
+    }
+
+    // Opens a span in the research's trace. Spans are plain records so they
+    // are stored and exported with the research; endSpan() closes them.
+    startSpan(research, { kind, name, step = null, source = null }) {
+        const span = {
+            id: research.spans.length + 1,
+            kind: kind,
+            name: name,
+            step: step,
+            source: source,
+            start: new Date().toISOString(),
+            end: null,
+            duration: null,
+            status: 'running'
+        };
+        research.spans.push(span);
+        return span;
+    }
+
+    // status is ok, error, skipped or cancelled
+    endSpan(span, status) {
+        span.end = new Date().toISOString();
+        span.duration = new Date(span.end) - new Date(span.start);
+        span.status = status;
+        return span;
+    }
+
+    // What a pipeline step gets to work with. progress() moves the run's
+    // progress within the step's share of it; log() and startSpan() record
+    // under the step's name, and endSpan() closes a span.
+    createStepContext(research, step, stepNumber, controller) {
+        return {
+            research: research,
+            signal: controller.signal,
+            checkpoint: () => controller.checkpoint(),
+            log: (message, details = {}) => this.addLog(message, research, { step: step.name, ...details }),
+            startSpan: fields => this.startSpan(research, { step: step.name, ...fields }),
+            endSpan: (span, status = 'ok') => this.endSpan(span, status),
+            progress: fraction => {
+                research.progress = this.pipeline.progressAt(stepNumber - 1, fraction);
+                this.emit('progress', { research, progress: research.progress });
+            }
+        };
+    }
+
+    async parseInput({ research, log }) {
+        log(`Validating research topic: "${research.topic}"`);
+        log(`Research depth set to: ${research.depth}`);
+        log(`Using ${research.sourceMode === 'live' ? 'live' : 'mock'} data sources`);
+        log('Input validation completed');
+    }
+
+    async gatherData({ research, signal, checkpoint, log, startSpan, progress }) {
+        log('Fetching data from external APIs...');
+        
+        // Query every source enabled for this run, a few at a time. A source
+        // that keeps failing after its retries is skipped so the others can
+        // still produce results.
+        const registry = this.sourceRegistries[research.sourceMode] || this.sources;
+        const adapters = registry.resolve(research.sources);
+        const inherited = this.getInheritedData(research);
+        const parent = research.parentId && this.researchHistory.find(r => r.id === research.parentId);
+        const results = {};
+        const sourceErrors = {};
+        const cachedSources = {};
+        const updateSource = (id, changes) => this.emit('source:update', { research, id, changes });
+        let finished = 0;
+        
+        const useCached = (adapter, cached) => {
+            const fetched = new Date(cached.fetchedAt).toLocaleString();
+            results[adapter.id] = cached.articles;
+            cachedSources[adapter.id] = { fetchedAt: cached.fetchedAt, stale: cached.stale };
+            log(`Cache hit: ${cached.articles.length} ${adapter.name} articles fetched ${fetched}${cached.stale ? ' (stale)' : ''}`, {
+                level: cached.stale ? 'warn' : 'info',
+                source: adapter.id,
+                data: { cache: 'hit', fetchedAt: cached.fetchedAt, expiresAt: cached.expiresAt, stale: cached.stale }
+            });
+            updateSource(adapter.id, { state: 'done', count: cached.articles.length, latency: 0, note: cached.stale ? 'stale cache' : 'cached' });
+            this.emit('sources:found', { research, articles: cached.articles });
+        };
+        
+        this.emit('sources:start', { research, adapters });
+        if (research.offline) {
+            log(`Offline: using cached responses only for ${adapters.length} sources`);
+        } else {
+            log(`Querying ${adapters.length} sources, ${this.fetchPolicy.concurrency} at a time`);
+        }
+        
+        await runWithConcurrency(adapters, this.fetchPolicy.concurrency, async adapter => {
+            await checkpoint();
+            
+            // A refined research reuses what its parent already fetched
+            if (inherited[adapter.id]) {
+                results[adapter.id] = inherited[adapter.id];
+                // Articles the parent took from the cache are still cached data
+                if (parent.cachedSources && parent.cachedSources[adapter.id]) {
+                    cachedSources[adapter.id] = parent.cachedSources[adapter.id];
+                }
+                log(`Reusing ${inherited[adapter.id].length} ${adapter.name} articles from the parent research`, { source: adapter.id });
+                updateSource(adapter.id, { state: 'done', count: inherited[adapter.id].length, latency: 0, note: 'reused' });
+                this.emit('sources:found', { research, articles: inherited[adapter.id] });
+                progress(++finished / adapters.length);
+                return;
+            }
+            
+            // A fresh cached response is used instead of fetching; offline
+            // runs take any cached response, however old. Watched runs
+            // always fetch, since they are looking for what changed.
+            const cached = this.sourceCache.get(research.sourceMode, adapter.id, research.topic);
+            if (cached && (research.offline || (!cached.stale && !research.watchId))) {
+                this.endSpan(startSpan({ kind: 'fetch', name: adapter.name, source: adapter.id }), 'cached');
+                useCached(adapter, cached);
+                progress(++finished / adapters.length);
+                return;
+            }
+            if (research.offline) {
+                sourceErrors[adapter.id] = 'Not in the offline cache';
+                log(`Cache miss: no cached ${adapter.name} response for this topic`, {
+                    level: 'warn',
+                    source: adapter.id,
+                    data: { cache: 'miss' }
+                });
+                updateSource(adapter.id, { state: 'failed', note: 'not cached' });
+                progress(++finished / adapters.length);
+                return;
+            }
+            log(`Cache miss for ${adapter.name}${cached ? ' (cached response expired)' : ''}`, {
+                level: 'debug',
+                source: adapter.id,
+                data: { cache: cached ? 'expired' : 'miss' }
+            });
+            
+            const policy = { ...this.retryPolicy, ...adapter.retryPolicy };
+            const timeout = adapter.timeout || this.fetchPolicy.timeout;
+            const span = startSpan({ kind: 'fetch', name: adapter.name, source: adapter.id });
+            let attempts = 1;
+            updateSource(adapter.id, { state: 'fetching' });
+            
+            try {
+                const articles = await retryWithBackoff(() => withTimeout(
+                    attemptSignal => adapter.search(research.topic, {
+                        depth: research.depth,
+                        signal: attemptSignal
+                    }),
+                    timeout,
+                    { signal: signal, message: `${adapter.name} did not respond within ${timeout}ms` }
+                ), {
+                    ...policy,
+                    signal: signal,
+                    onRetry: (error, attempt, wait) => {
+                        attempts = attempt + 1;
+                        log(`${adapter.name} request failed (${error.message}), retry ${attempt}/${policy.retries} in ${wait}ms`, {
+                            level: 'warn',
+                            source: adapter.id,
+                            data: { attempt, wait, error: error.message }
+                        });
+                        updateSource(adapter.id, { note: `retry ${attempt}/${policy.retries}` });
+                    }
+                });
+                this.endSpan(span, 'ok');
+                
+                results[adapter.id] = articles;
+                this.sourceCache.set(research.sourceMode, adapter.id, research.topic, articles, adapter.cacheTtl || undefined);
+                log(`Found ${articles.length} ${adapter.name} articles in ${span.duration}ms`, {
+                    source: adapter.id,
+                    duration: span.duration,
+                    data: { count: articles.length, attempts }
+                });
+                updateSource(adapter.id, { state: 'done', count: articles.length, latency: span.duration, note: '' });
+                this.emit('sources:found', { research, articles: articles });
+            } catch (error) {
+                // The run's own signal aborting is a cancellation; a timed out
+                // attempt is just another failure
+                if (error.name === 'AbortError' && signal.aborted) {
+                    this.endSpan(span, 'cancelled');
+                    throw error;
+                }
+                this.endSpan(span, 'error');
+                
+                log(`${adapter.name} failed after ${policy.retries + 1} attempts: ${error.message}`, {
+                    level: 'warn',
+                    source: adapter.id,
+                    duration: span.duration,
+                    data: { attempts, error: error.message }
+                });
+                // An expired response is better than none
+                if (cached) {
+                    useCached(adapter, cached);
+                } else {
+                    sourceErrors[adapter.id] = error.message;
+                    updateSource(adapter.id, { state: 'failed', latency: span.duration, note: error.message });
+                }
+            }
+            
+            progress(++finished / adapters.length);
+        });
+        
+        // Keep registration order so ranking ties do not depend on which
+        // source answered first
+        const rawData = {};
+        adapters.filter(adapter => results[adapter.id]).forEach(adapter => {
+            rawData[adapter.id] = results[adapter.id];
+        });
+        
+        research.rawData = rawData;
+        research.sourceErrors = sourceErrors;
+        research.cachedSources = cachedSources;
+        
+        const failedCount = Object.keys(sourceErrors).length;
+        if (failedCount === adapters.length) {
+            throw new Error(research.offline ? 'No source has a cached response for this topic' : 'All data sources failed');
+        }
+        if (failedCount > 0) {
+            log(`Continuing with ${adapters.length - failedCount} of ${adapters.length} sources`, { level: 'warn' });
+        }
+        
+        log('Data gathering completed');
+    }
+
+    // The parent's gathered articles per source, when the child can reuse
+    // them: same sources and no deeper than the parent went
+    getInheritedData(research) {
+        const parent = research.parentId && this.researchHistory.find(r => r.id === research.parentId);
+        if (!parent || !parent.rawData) return {};
+        if (RESEARCH_DEPTHS.indexOf(research.depth) > RESEARCH_DEPTHS.indexOf(parent.depth)) return {};
+        
+        const inherited = {};
+        research.sources.forEach(id => {
+            if (Array.isArray(parent.rawData[id])) inherited[id] = parent.rawData[id];
+        });
+        return inherited;
+    }
+
+    // Text the sources are ranked and summarized against: the topic plus
+    // the follow-up question of a refined research
+    getResearchQuery(research) {
+        const question = research.refinement && research.refinement.question;
+        return question ? `${research.topic} ${question}` : research.topic;
+    }
+
+    // Pipeline step for refined research: drops the sources and keywords the
+    // user excluded
+    async applyRefinement({ research, log }) {
+        const { excludeSources, excludeKeywords } = research.refinement;
+        const excludedUrls = new Set(excludeSources.map(SourceDeduplicator.normalizeUrl));
+        const sources = research.gatheredSources || Object.values(research.rawData).flat();
+        
+        const kept = sources.filter(source => {
+            if (excludedUrls.has(SourceDeduplicator.normalizeUrl(source.url))) return false;
+            return !excludeKeywords.some(phrase => KeyphraseExtractor.findMentions(phrase, [source]).length > 0);
+        });
+        
+        research.gatheredSources = kept;
+        log(`Excluded ${sources.length - kept.length} sources (${excludeSources.length} picked, ${excludeKeywords.length} keyword${excludeKeywords.length === 1 ? '' : 's'} excluded)`);
+        if (kept.length === 0) {
+            throw new Error('Every gathered source was excluded by the refinement');
+        }
+    }
+
+    async dedupeSources({ research, log }) {
+        const gathered = Object.values(research.rawData).flat();
+        const { sources, duplicates } = this.deduplicator.dedupe(gathered);
+        
+        const reasons = { url: 'same URL', title: 'similar title', content: 'similar text' };
+        duplicates.forEach(duplicate => {
+            log(
+                `Removed duplicate "${duplicate.source.title}" (${duplicate.source.source}): ` +
+                `${reasons[duplicate.reason]} as "${sources[duplicate.duplicateOf].title}"`
+            );
+        });
+        
+        research.gatheredSources = sources;
+        research.duplicatesRemoved = duplicates.length;
+        log(`Kept ${sources.length} of ${gathered.length} gathered sources`);
+    }
+
+    async processData({ research, log, progress }) {
+        log('Processing and analyzing collected data...');
+        
+        // Extract top articles based on depth
+        const depthMap = { basic: 5, detailed: 10, comprehensive: 15 };
+        const maxArticles = depthMap[research.depth];
+        
+        // Deduplicated sources, or everything gathered if that step was
+        // removed from the pipeline
+        const allSources = research.gatheredSources || Object.values(research.rawData).flat();
+        
+        // Rate every source, then leave out excluded domains and sources
+        // below the minimum credibility
+        const { minCredibility, excludeDomains } = research.filters;
+        const rated = allSources.map(source => ({ ...source, credibility: this.credibility.score(source) }));
+        const allowed = rated.filter(source =>
+            !CredibilityScorer.matchDomain(CredibilityScorer.domainOf(source.url), excludeDomains)
+        );
+        const credible = allowed.filter(source => source.credibility.score >= minCredibility);
+        
+        const plural = count => `${count} source${count === 1 ? '' : 's'}`;
+        if (allowed.length < rated.length) {
+            log(`Excluded ${plural(rated.length - allowed.length)} from ${excludeDomains.join(', ')}`, {
+                data: { excludeDomains, count: rated.length - allowed.length }
+            });
+        }
+        if (credible.length < allowed.length) {
+            log(`Dropped ${plural(allowed.length - credible.length)} below ${(minCredibility * 100).toFixed(0)}% credibility`, {
+                data: { minCredibility, count: allowed.length - credible.length }
+            });
+        }
+        if (rated.length && !credible.length) {
+            throw new Error(`None of the ${rated.length} gathered sources passed the credibility filters. Lower the minimum credibility or exclude fewer domains.`);
+        }
+        
+        // Rank against the topic, blend relevance with credibility and take
+        // the top articles. Ties keep the relevance order, which keeps the
+        // order the sources themselves ranked them in.
+        const query = this.getResearchQuery(research);
+        const weight = this.credibilityWeight;
+        const topSources = this.ranker.rank(query, credible)
+            .map((result, order) => ({
+                result,
+                order,
+                rankScore: (1 - weight) * result.relevance + weight * result.document.credibility.score
+            }))
+            .sort((a, b) => b.rankScore - a.rankScore || a.order - b.order)
+            .slice(0, maxArticles)
+            .map(({ result, rankScore }) => ({
+                ...result.document,
+                relevance: result.relevance,
+                rankScore: Number(rankScore.toFixed(4)),
+                scoreBreakdown: result.breakdown
+            }));
+        research.filteredCount = rated.length - credible.length;
+        progress(0.3);
+        
+        // Generate summary
+        const summary = this.generateSummary(research, topSources);
+        progress(0.7);
+        
+        // Extract keywords, leaving out any the refinement excluded
+        const excludedKeywords = new Set(research.refinement ? research.refinement.excludeKeywords : []);
+        const keywords = this.extractKeywords(query, topSources)
+            .filter(keyword => !excludedKeywords.has(keyword.phrase));
+        
+        // Group related sources
+        const clusters = this.clusterer.cluster(query, topSources);
+        
+        research.processedData = {
+            sources: topSources,
+            summary: summary.text,
+            summarySentences: summary.sentences,
+            keywords: keywords,
+            clusters: clusters
+        };
+        
+        log(`Processed ${topSources.length} top articles`);
+        log(`Grouped sources into ${clusters.length} cluster${clusters.length === 1 ? '' : 's'}: ${clusters.map(cluster => cluster.label).join(', ')}`);
+        log(`Generated summary (${summary.sentences.length} sentences, ${summary.text.length} characters)`);
+        log(`Extracted ${keywords.length} keywords`);
+        log('Data processing completed');
+    }
+
+    generateSummary(research, sources) {
+        return this.summarizer.summarize(this.getResearchQuery(research), sources, research.depth);
+    }
+
+    extractKeywords(topic, sources) {
+        return this.keywordExtractor.extract(topic, sources);
+    }
+
+    async persistResults({ research, log }) {
+        log('Saving results to history...');
+        
+        research.results = {
+            summary: research.processedData.summary,
+            summarySentences: research.processedData.summarySentences,
+            sources: research.processedData.sources,
+            keywords: research.processedData.keywords,
+            clusters: research.processedData.clusters,
+            metadata: {
+                totalSources: research.processedData.sources.length,
+                researchDepth: research.depth,
+                processingTime: Date.now() - research.startTime.getTime(),
+                failedSources: Object.keys(research.sourceErrors || {}),
+                duplicatesRemoved: research.duplicatesRemoved || 0,
+                filteredSources: research.filteredCount || 0,
+                credibilityWeight: this.credibilityWeight
+            }
+        };
+        
+        // Save to history (a run retried after a failure is already there)
+        await this.saveResearch(research);
+        
+        log('Results saved successfully');
+        log('Research added to history');
+    }
+
+    // Watched runs are compared with the previous completed run of the same
+    // watch; the changes are saved with the research by Return Results
+    async detectChanges({ research, log }) {
+        const previous = this.researchHistory.find(r =>
+            r !== research && r.watchId === research.watchId && r.status === 'completed' && r.results
+        );
+        if (!previous) {
+            log('No previous run to compare with');
+            return;
+        }
+        
+        research.changes = this.comparer.changesBetween(previous, research);
+        const { addedSources, removedSources, addedKeywords, removedKeywords, shiftedKeywords } = research.changes;
+        log(`Compared with the run from ${previous.startTime.toLocaleString()}: ` +
+            `${addedSources.length} new and ${removedSources.length} disappeared sources, ` +
+            `${addedKeywords.length + removedKeywords.length + shiftedKeywords.length} keyword shifts`);
+    }
+
+    async returnResults({ research, log }) {
+        log('Preparing results for display...');
+        research.status = 'completed';
+        research.endTime = new Date();
+        
+        log('Research workflow completed successfully');
+    }
+
+    stepName(research) {
+        const step = this.pipeline.list()[research.currentStep - 1];
+        return step ? step.name : `Step ${research.currentStep}`;
+    }
+
+    async handleCancelledResearch(research) {
+        research.status = 'cancelled';
+        research.endTime = new Date();
+        this.addLog(`Research cancelled during step ${research.currentStep}/${this.pipeline.length}: ${this.stepName(research)}`, research, {
+            level: 'warn',
+            step: this.stepName(research)
+        });
+        
+        // Keep the partial run in history so its logs are not lost
+        await this.saveResearch(research);
+        this.emit('cancel', { research });
+    }
+
+    async handleFailedResearch(research, error) {
+        research.status = 'failed';
+        research.endTime = new Date();
+        research.error = {
+            step: research.currentStep,
+            stepName: this.stepName(research),
+            message: error.message
+        };
+        this.addLog(`Research failed at step ${research.currentStep}/${this.pipeline.length}: ${error.message}`, research, {
+            level: 'error',
+            step: this.stepName(research)
+        });
+        
+        await this.saveResearch(research);
+        this.emit('error', { research, error });
+    }
+
+    // details: { level, step, source, duration, data }; see createLogEntry
+    addLog(message, research, details = {}) {
+        const entry = createLogEntry(message, details);
+        research.logs.push(entry);
+        this.emit('log', { research, entry });
+    }
+
+    generateId() {
+        return 'research_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Switches between the mock and live source registries; returns false
+    // for an unknown mode
+    setSourceMode(mode) {
+        if (!this.sourceRegistries[mode]) return false;
+        
+        this.sourceMode = mode;
+        this.sources = this.sourceRegistries[mode];
+        
+        try {
+            this.storage.setItem('aiResearchSourceMode', mode);
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+        return true;
+    }
+
+    loadSourceMode() {
+        try {
+            const saved = this.storage.getItem('aiResearchSourceMode');
+            if (saved && this.sourceRegistries[saved]) {
+                return saved;
+            }
+        } catch (e) {
+            console.warn('Could not load settings:', e);
+        }
+        return 'mock';
+    }
+
+    async updateResearch(research, changes) {
+        Object.assign(research, changes);
+        this.emit('history:change', { history: this.researchHistory });
+        await this.saveResearch(research);
+    }
+
+    async deleteResearch(ids) {
+        const removed = new Set(ids);
+        this.researchHistory = this.researchHistory.filter(research => !removed.has(research.id));
+        this.releaseWatches(removed);
+        this.emit('history:change', { history: this.researchHistory });
+        
+        try {
+            await this.historyStore.deleteMany(ids);
+        } catch (e) {
+            console.warn('Could not delete from history store:', e);
+            this.emit('history:error', { title: 'Delete failed', message: `Could not delete from storage: ${e.message}`, error: e });
+        }
+    }
+
+    // Adds the research to the in-memory history (newest first) if needed and
+    // writes it to the history store
+    async saveResearch(research) {
+        if (!this.researchHistory.includes(research)) {
+            this.researchHistory.unshift(research);
+        }
+        
+        try {
+            await this.historyStore.put(research);
+            await this.applyRetention();
+        } catch (e) {
+            console.warn('Could not save to history store:', e);
+            this.emit('history:error', {
+                title: 'History not saved',
+                message: `"${research.topic}" could not be saved: ${e.message}`,
+                tone: 'warning',
+                error: e
+            });
+        }
+        this.emit('history:change', { history: this.researchHistory });
+    }
+
+    // Loads history from the store through the schema migrations. Entries
+    // that fail validation are moved to a quarantine list instead of being
+    // dropped. History left in localStorage by older versions is moved into
+    // the store once.
+    async loadHistory() {
+        this.quarantine = this.loadQuarantine();
+        
+        let records;
+        try {
+            records = await this.historyStore.getAll();
+        } catch (e) {
+            console.warn('Could not open history store:', e);
+            this.historyStore = new MemoryHistoryStore();
+            records = [];
+            this.emit('history:error', {
+                title: 'History not available',
+                message: 'Research history is unavailable here, so new research will not be kept after the app closes.',
+                tone: 'warning',
+                error: e
+            });
+        }
+        
+        const history = [];
+        const invalidIds = [];
+        const repaired = [];
+        
+        records.forEach(raw => {
+            const research = this.loadRecord(raw, 'history', repaired);
+            if (research) {
+                history.push(research);
+            } else if (raw && raw.id) {
+                invalidIds.push(raw.id);
+            }
+        });
+        
+        // One-time move of the old localStorage history into the store
+        const knownIds = new Set(history.map(research => research.id));
+        this.loadLegacyHistory().forEach(raw => {
+            const research = this.loadRecord(raw, 'localStorage history', repaired);
+            if (research && !knownIds.has(research.id)) {
+                knownIds.add(research.id);
+                history.push(research);
+                repaired.push(research);
+            }
+        });
+        
+        try {
+            if (repaired.length) await this.historyStore.putMany(repaired);
+            if (invalidIds.length) await this.historyStore.deleteMany(invalidIds);
+            this.storage.removeItem('aiResearchHistory');
+        } catch (e) {
+            console.warn('Could not update history store:', e);
+        }
+        
+        if (invalidIds.length || this.quarantine.length) this.saveQuarantine();
+        
+        this.researchHistory = history.sort((a, b) => b.startTime - a.startTime);
+        try {
+            await this.applyRetention();
+        } catch (e) {
+            console.warn('Could not apply retention policy:', e);
+            this.emit('history:error', {
+                title: 'Old history not removed',
+                message: `Entries past the retention policy could not be deleted from storage: ${e.message}`,
+                tone: 'warning',
+                error: e
+            });
+        }
+        return this.researchHistory;
+    }
+
+    // Migrates and validates one stored record, quarantining it when it is
+    // invalid. Records that needed changes are added to the repaired list.
+    loadRecord(raw, origin, repaired) {
+        const { research, errors } = ResearchSchema.load(raw);
+        if (!research) {
+            this.quarantineEntry(raw, errors, origin);
+            return null;
+        }
+        
+        if (research.schemaVersion !== raw.schemaVersion) repaired.push(research);
+        
+        // A run still marked running was interrupted by closing the page
+        if (research.status === 'running') {
+            research.status = 'cancelled';
+            research.endTime = research.endTime || research.startTime;
+            // Open spans end at the last thing the run logged
+            const lastSeen = research.logs.map(log => log.timestamp).filter(Boolean).pop();
+            research.spans.filter(span => !span.end).forEach(span => {
+                span.end = lastSeen && lastSeen > span.start ? lastSeen : span.start;
+                span.duration = new Date(span.end) - new Date(span.start);
+                span.status = 'cancelled';
+            });
+            research.logs.push(createLogEntry('Research interrupted: the page was closed before it finished', { level: 'warn' }));
+            if (!repaired.includes(research)) repaired.push(research);
+        }
+        
+        return research;
+    }
+
+    loadLegacyHistory() {
+        try {
+            const saved = this.storage.getItem('aiResearchHistory');
+            if (!saved) return [];
+            
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed)) return parsed;
+            
+            this.quarantineEntry(parsed, ['History is not a list of research entries'], 'localStorage history');
+        } catch (e) {
+            console.warn('Could not load settings:', e);
+        }
+        return [];
+    }
+
+    loadRetention() {
+        const defaults = { maxEntries: 200, maxAgeDays: 0 };
+        try {
+            const saved = JSON.parse(this.storage.getItem('aiResearchRetention'));
+            return saved ? { ...defaults, ...saved } : defaults;
+        } catch (e) {
+            return defaults;
+        }
+    }
+
+    // Saves a new retention policy and applies it; resolves with the number
+    // of entries it removed
+    async updateRetention(retention) {
+        this.retention = {
+            maxEntries: Math.max(0, Math.floor(retention.maxEntries) || 0),
+            maxAgeDays: Math.max(0, Math.floor(retention.maxAgeDays) || 0)
+        };
+        
+        try {
+            this.storage.setItem('aiResearchRetention', JSON.stringify(this.retention));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+        
+        let removed = 0;
+        try {
+            removed = await this.applyRetention();
+        } catch (e) {
+            console.warn('Could not apply retention policy:', e);
+            this.emit('history:error', {
+                title: 'Old history not removed',
+                message: `Entries past the retention policy could not be deleted from storage: ${e.message}`,
+                tone: 'warning',
+                error: e
+            });
+        }
+        this.emit('history:change', { history: this.researchHistory });
+        return removed;
+    }
+
+    // Removes entries beyond maxEntries or older than maxAgeDays (0 means no
+    // limit). Starred entries, running research and the latest run of each
+    // watch are always kept.
+    async applyRetention() {
+        const { maxEntries, maxAgeDays } = this.retention;
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+        const expired = [];
+        let kept = 0;
+        
+        this.researchHistory.forEach(research => {
+            if (research.starred || research.status === 'running') return;
+            // The latest run of a watch is what the next run is compared with
+            if (this.getWatch(research)) return;
+            
+            kept++;
+            if ((maxEntries > 0 && kept > maxEntries) || research.startTime.getTime() < cutoff) {
+                expired.push(research.id);
+            }
+        });
+        
+        if (expired.length === 0) return 0;
+        
+        const removed = new Set(expired);
+        this.researchHistory = this.researchHistory.filter(research => !removed.has(research.id));
+        await this.historyStore.deleteMany(expired);
+        return expired.length;
+    }
+
+    loadQuarantine() {
+        try {
+            const saved = this.storage.getItem('aiResearchQuarantine');
+            const parsed = saved ? JSON.parse(saved) : [];
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.warn('Could not load settings:', e);
+            return [];
+        }
+    }
+
+    saveQuarantine() {
+        try {
+            this.storage.setItem('aiResearchQuarantine', JSON.stringify(this.quarantine));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
+
+    discardQuarantine() {
+        this.quarantine = [];
+        this.saveQuarantine();
+    }
+
+    quarantineEntry(raw, errors, origin) {
+        this.quarantine.push({
+            id: raw && typeof raw.id === 'string' ? raw.id : null,
+            topic: raw && typeof raw.topic === 'string' ? raw.topic : null,
+            origin: origin,
+            errors: errors,
+            quarantinedAt: new Date().toISOString(),
+            raw: raw
+        });
+    }
+
+    // Merges research from exported JSON documents ({ name, text }) into
+    // history. Entries whose id is already in history are skipped and
+    // reported as duplicates.
+    async importDocuments(documents) {
+        const report = { imported: 0, duplicates: [], invalid: 0, unreadable: [] };
+        const imported = [];
+        const knownIds = new Set(this.researchHistory.map(research => research.id));
+        
+        for (const file of documents) {
+            let candidates;
+            try {
+                candidates = ResearchSchema.extractRecords(JSON.parse(file.text));
+            } catch (e) {
+                report.unreadable.push(`${file.name}: ${e.message}`);
+                continue;
+            }
+            
+            candidates.forEach(raw => {
+                const { research, errors } = ResearchSchema.load(raw);
+                
+                if (!research) {
+                    report.invalid++;
+                    this.quarantineEntry(raw, errors, `import from ${file.name}`);
+                } else if (knownIds.has(research.id)) {
+                    report.duplicates.push(`${research.topic} (${research.id})`);
+                } else {
+                    knownIds.add(research.id);
+                    imported.push(research);
+                    report.imported++;
+                }
+            });
+        }
+        
+        if (report.imported > 0) {
+            this.researchHistory = this.researchHistory.concat(imported)
+                .sort((a, b) => b.startTime - a.startTime);
+            try {
+                await this.historyStore.putMany(imported);
+                await this.applyRetention();
+            } catch (e) {
+                console.warn('Could not save to history store:', e);
+            }
+            this.emit('history:change', { history: this.researchHistory });
+        }
+        if (report.invalid > 0) {
+            this.saveQuarantine();
+        }
+        
+        return report;
+    }
+
+    // Watches are kept in storage as { id, topic, depth, sources,
+    // sourceMode, filters, intervalHours, latestId, nextRunAt, unseen }. latestId is
+    // the newest run of the watch; unseen is set when a run found changes
+    // and cleared once that run is opened.
+    loadWatches() {
+        try {
+            const saved = JSON.parse(this.storage.getItem('aiResearchWatches'));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    saveWatches() {
+        try {
+            this.storage.setItem('aiResearchWatches', JSON.stringify(this.watches));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
+
+    getWatch(research) {
+        return this.watches.find(watch => watch.latestId === research.id) || null;
+    }
+
+    // Starts, changes or (with 0 hours) stops watching a history entry
+    async watchResearch(research, intervalHours) {
+        let watch = this.getWatch(research);
+        
+        if (!intervalHours) {
+            if (watch) this.watches = this.watches.filter(w => w !== watch);
+        } else if (watch) {
+            watch.intervalHours = intervalHours;
+            watch.nextRunAt = new Date(Date.now() + intervalHours * 3600000).toISOString();
+        } else {
+            watch = {
+                id: 'watch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                topic: research.topic,
+                depth: research.depth,
+                sources: research.sources,
+                sourceMode: research.sourceMode || 'mock',
+                filters: research.filters,
+                intervalHours: intervalHours,
+                latestId: research.id,
+                nextRunAt: new Date(Date.now() + intervalHours * 3600000).toISOString(),
+                unseen: false
+            };
+            this.watches.push(watch);
+        }
+        this.saveWatches();
+        
+        this.emit('watch:change', { watches: this.watches });
+        
+        if (intervalHours && research.watchId !== watch.id) {
+            // Tag the entry so the next run can find it as its previous run
+            await this.updateResearch(research, { watchId: watch.id });
+        }
+    }
+
+    // Clears the unseen flag of the watch research is the latest run of.
+    // Returns whether there was anything to clear.
+    markChangesSeen(research) {
+        const watch = this.getWatch(research);
+        if (!watch || !watch.unseen) return false;
+        
+        watch.unseen = false;
+        this.saveWatches();
+        this.emit('watch:change', { watches: this.watches });
+        return true;
+    }
+
+    // Checks for due watches every watchCheckInterval. The first check runs
+    // right away, which catches up on runs missed while the app was closed.
+    startWatchScheduler() {
+        clearInterval(this.watchTimer);
+        this.watchTimer = setInterval(() => this.runDueWatches(), this.watchCheckInterval);
+        this.runDueWatches();
+    }
+
+    stopWatchScheduler() {
+        clearInterval(this.watchTimer);
+        this.watchTimer = null;
+    }
+
+    // Re-researches every watch whose nextRunAt has passed, one at a time.
+    // A watch that missed several intervals runs once.
+    async runDueWatches() {
+        if (this.watchRunning) return;
+        this.watchRunning = true;
+        
+        try {
+            let due;
+            while ((due = this.watches.find(watch => new Date(watch.nextRunAt).getTime() <= Date.now()))) {
+                await this.runWatch(due);
+            }
+        } finally {
+            this.watchRunning = false;
+        }
+    }
+
+    async runWatch(watch) {
+        const research = this.createResearch(watch.topic, watch.depth, watch.sources, { watch, filters: watch.filters });
+        research.sourceMode = watch.sourceMode;
+        
+        // Schedule the next run first so a failing run is not retried in a loop
+        watch.nextRunAt = new Date(Date.now() + watch.intervalHours * 3600000).toISOString();
+        this.saveWatches();
+        
+        await this.run(research);
+        
+        // The watch may have been removed while the run was going
+        if (research.status !== 'completed' || !this.watches.includes(watch)) return;
+        
+        watch.latestId = research.id;
+        if (research.changes && ResearchComparer.countChanges(research.changes) > 0) {
+            watch.unseen = true;
+        }
+        this.saveWatches();
+        this.emit('watch:change', { watches: this.watches });
+    }
+
+    // After history entries are deleted, each affected watch moves to its
+    // newest remaining run, or stops when none is left
+    releaseWatches(removedIds) {
+        const affected = this.watches.filter(watch => removedIds.has(watch.latestId));
+        if (affected.length === 0) return;
+        
+        affected.forEach(watch => {
+            const latest = this.researchHistory.find(r => r.watchId === watch.id && r.status === 'completed');
+            if (latest) {
+                watch.latestId = latest.id;
+            } else {
+                this.watches = this.watches.filter(w => w !== watch);
+            }
+        });
+        this.saveWatches();
+    }
+
+    // Runs every topic of the batch, batch.concurrency at a time. Each run
+    // is saved to history like a single one; batch:update is emitted
+    // whenever an item changes state.
+    async runBatch(batch) {
+        const update = () => this.emit('batch:update', { batch });
+        
+        await batch.run(async (item, controller) => {
+            const research = this.createResearch(item.topic, item.depth, batch.sources, {
+                offline: batch.offline,
+                filters: batch.filters
+            });
+            item.researchId = research.id;
+            item.status = 'running';
+            update();
+            
+            await this.run(research, { controller });
+            
+            item.status = { completed: 'done', cancelled: 'cancelled' }[research.status] || 'failed';
+            item.error = research.error ? research.error.message : null;
+            update();
+        });
+        
+        update();
+        return batch;
+    }
+}
+
+// Mock API Service for simulating external data sources
+class MockAPIService {
+    constructor(options = {}) {
+        this.wikipediaData = this.generateWikipediaData();
+        this.hackerNewsData = this.generateHackerNewsData();
+        this.ranker = options.ranker || new RelevanceRanker();
+    }
+
+    async fetchWikipediaArticles(topic, options = {}) {
+        // Simulate API delay
+        await this.delay(1000, options.signal);
+        
+        return this.calculateRelevance(topic, this.wikipediaData).slice(0, 8); // Return top 8 articles
+    }
+
+    async fetchHackerNewsArticles(topic, options = {}) {
+        // Simulate API delay
+        await this.delay(1200, options.signal);
+        
+        return this.calculateRelevance(topic, this.hackerNewsData).slice(0, 7); // Return top 7 articles
+    }
+
+    // Ranks the articles against the topic with BM25 and returns the ones
+    // that match at least one topic term, best first, with their relevance
+    calculateRelevance(topic, articles) {
+        return this.ranker.rank(topic, articles)
+            .filter(result => result.score > 0)
+            .map(result => ({ ...result.document, relevance: result.relevance }));
+    }
+
+    generateWikipediaData() {
+        return [
+            {
+                title: "Artificial Intelligence",
+                summary: "Artificial intelligence (AI) is intelligence demonstrated by machines, in contrast to the natural intelligence displayed by humans and animals.",
+                url: "https://en.wikipedia.org/wiki/Artificial_intelligence",
+                source: "Wikipedia"
+            },
+            {
+                title: "Machine Learning",
+                summary: "Machine learning (ML) is a type of artificial intelligence that allows software applications to become more accurate at predicting outcomes.",
+                url: "https://en.wikipedia.org/wiki/Machine_learning",
+                source: "Wikipedia"
+            },
+            {
+                title: "Deep Learning",
+                summary: "Deep learning is part of a broader family of machine learning methods based on artificial neural networks with representation learning.",
+                url: "https://en.wikipedia.org/wiki/Deep_learning",
+                source: "Wikipedia"
+            },
+            {
+                title: "Natural Language Processing",
+                summary: "Natural language processing (NLP) is a subfield of linguistics, computer science, and artificial intelligence concerned with interactions between computers and human language.",
+                url: "https://en.wikipedia.org/wiki/Natural_language_processing",
+                source: "Wikipedia"
+            },
+            {
+                title: "Computer Vision",
+                summary: "Computer vision is an interdisciplinary scientific field that deals with how computers can gain high-level understanding from digital images or videos.",
+                url: "https://en.wikipedia.org/wiki/Computer_vision",
+                source: "Wikipedia"
+            },
+            {
+                title: "Neural Network",
+                summary: "A neural network is a network or circuit of neurons, or in a modern sense, an artificial neural network, composed of artificial neurons or nodes.",
+                url: "https://en.wikipedia.org/wiki/Neural_network",
+                source: "Wikipedia"
+            },
+            {
+                title: "Data Science",
+                summary: "Data science is an inter-disciplinary field that uses scientific methods, processes, algorithms and systems to extract knowledge and insights from data.",
+                url: "https://en.wikipedia.org/wiki/Data_science",
+                source: "Wikipedia"
+            },
+            {
+                title: "Robotics",
+                summary: "Robotics is an interdisciplinary research area at the interface of computer science and engineering that deals with the design, construction, operation, and use of robots.",
+                url: "https://en.wikipedia.org/wiki/Robotics",
+                source: "Wikipedia"
+            },
+            {
+                title: "Blockchain Technology",
+                summary: "A blockchain is a growing list of records, called blocks, that are linked and secured using cryptography for secure and transparent transactions.",
+                url: "https://en.wikipedia.org/wiki/Blockchain",
+                source: "Wikipedia"
+            },
+            {
+                title: "Internet of Things",
+                summary: "The Internet of things (IoT) describes the network of physical objects that are embedded with sensors, software, and other technologies for connecting and exchanging data.",
+                url: "https://en.wikipedia.org/wiki/Internet_of_things",
+                source: "Wikipedia"
+            }
+        ];
+    }
+
+    // Stories carry a post date relative to today and their points and
+    // comment counts, like the live API
+    generateHackerNewsData() {
+        const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+        
+        return [
+            {
+                title: "The Future of AI in Healthcare",
+                summary: "Discussion about how artificial intelligence is revolutionizing medical diagnosis, treatment planning, and patient care across various healthcare sectors.",
+                url: "https://news.ycombinator.com/item?id=12345",
+                source: "HackerNews",
+                publishedAt: daysAgo(3),
+                engagement: { points: 412, comments: 198 }
+            },
+            {
+                title: "Building Scalable Machine Learning Systems",
+                summary: "Technical discussion on architecture patterns, infrastructure choices, and best practices for deploying ML models at scale in production environments.",
+                url: "https://news.ycombinator.com/item?id=12346",
+                source: "HackerNews",
+                publishedAt: daysAgo(45),
+                engagement: { points: 268, comments: 91 }
+            },
+            {
+                title: "Open Source AI Tools and Frameworks",
+                summary: "Community discussion about the latest open-source tools, libraries, and frameworks that are driving innovation in artificial intelligence development.",
+                url: "https://news.ycombinator.com/item?id=12347",
+                source: "HackerNews",
+                publishedAt: daysAgo(12),
+                engagement: { points: 530, comments: 204 }
+            },
+            {
+                title: "Ethics in AI Development",
+                summary: "Important conversation about responsible AI development, bias mitigation, privacy concerns, and the societal impact of artificial intelligence systems.",
+                url: "https://news.ycombinator.com/item?id=12348",
+                source: "HackerNews",
+                publishedAt: daysAgo(200),
+                engagement: { points: 187, comments: 243 }
+            },
+            {
+                title: "Startup Success with AI Integration",
+                summary: "Real-world case studies and experiences from startups that have successfully integrated AI technologies into their products and business models.",
+                url: "https://news.ycombinator.com/item?id=12349",
+                source: "HackerNews",
+                publishedAt: daysAgo(800),
+                engagement: { points: 34, comments: 12 }
+            },
+            {
+                title: "Latest Breakthroughs in Research",
+                summary: "Discussion of recent academic papers, research findings, and technological breakthroughs that are pushing the boundaries of what's possible.",
+                url: "https://news.ycombinator.com/item?id=12350",
+                source: "HackerNews",
+                publishedAt: daysAgo(20),
+                engagement: { points: 96, comments: 40 }
+            },
+            {
+                title: "AI in Software Development",
+                summary: "How artificial intelligence is changing the way we write, test, and maintain code, including AI-powered development tools and automation.",
+                url: "https://news.ycombinator.com/item?id=12351",
+                source: "HackerNews",
+                publishedAt: daysAgo(6),
+                engagement: { points: 311, comments: 157 }
+            },
+            {
+                title: "Data Privacy and Security",
+                summary: "Technical discussion about protecting user data, implementing privacy-preserving technologies, and maintaining security in data-driven applications.",
+                url: "https://news.ycombinator.com/item?id=12352",
+                source: "HackerNews",
+                publishedAt: daysAgo(1500),
+                engagement: { points: 58, comments: 27 }
+            },
+            {
+                title: "Cloud Computing Innovations",
+                summary: "Latest developments in cloud infrastructure, serverless computing, and distributed systems that enable modern application development.",
+                url: "https://news.ycombinator.com/item?id=12353",
+                source: "HackerNews",
+                publishedAt: daysAgo(400),
+                engagement: { points: 9, comments: 2 }
+            },
+            {
+                title: "Mobile Technology Trends",
+                summary: "Discussion about emerging mobile technologies, development frameworks, and user experience innovations in mobile application development.",
+                url: "https://news.ycombinator.com/item?id=12354",
+                source: "HackerNews",
+                publishedAt: daysAgo(2100),
+                engagement: { points: 4, comments: 1 }
+            }
+        ];
+    }
+
+    delay(ms, signal) {
+        return abortableDelay(ms, signal);
+    }
+}
+
+// Controls a running research workflow: cancellation goes through an
+// AbortController signal, pause/resume holds the run at the next checkpoint
+class ResearchRunController {
+    constructor() {
+        this.abortController = new AbortController();
+        this.paused = false;
+        this.resumeWaiters = [];
+    }
+
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.resumeWaiters.forEach(resolve => resolve());
+        this.resumeWaiters = [];
+    }
+
+    cancel() {
+        this.abortController.abort();
+        // Wake a paused run so it can observe the cancellation
+        this.resume();
+    }
+
+    // Resolves once the run is not paused, rejects with an AbortError
+    // once it has been cancelled
+    async checkpoint() {
+        while (this.paused && !this.cancelled) {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+        if (this.cancelled) {
+            throw createAbortError();
+        }
+    }
+}
+
+function createAbortError(message = 'Research cancelled') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+// setTimeout-based delay that rejects with an AbortError when the signal fires
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Runs fn until it resolves or the retry budget is spent, waiting
+// baseDelay * 2^attempt (capped at maxDelay) between attempts.
+// Cancellation is never retried.
+async function retryWithBackoff(fn, { retries = 2, baseDelay = 500, maxDelay = 4000, signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (error.name === 'AbortError' || attempt >= retries) throw error;
+            
+            const wait = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+            if (onRetry) onRetry(error, attempt + 1, wait);
+            await abortableDelay(wait, signal);
+        }
+    }
+}
+
+// Runs fn(signal) and rejects with a TimeoutError if it has not settled
+// after ms, or with an AbortError once the given parent signal aborts. fn
+// gets its own signal, aborted in both cases, so pending requests stop too.
+function withTimeout(fn, ms, { signal: parentSignal, message = `Timed out after ${ms}ms` } = {}) {
+    // Nothing is started for a run cancelled before the call
+    if (parentSignal && parentSignal.aborted) return Promise.reject(createAbortError());
+    
+    const controller = new AbortController();
+    let timer;
+    let onAbort;
+    // Settles first when time is up or the parent aborts, even if fn never
+    // looks at its signal
+    const stop = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            error.name = 'TimeoutError';
+            reject(error);
+            controller.abort();
+        }, ms);
+        onAbort = () => {
+            reject(createAbortError());
+            controller.abort();
+        };
+    });
+    if (parentSignal) parentSignal.addEventListener('abort', onAbort, { once: true });
+    
+    return Promise.race([Promise.resolve().then(() => fn(controller.signal)), stop])
+        .finally(() => {
+            clearTimeout(timer);
+            if (parentSignal) parentSignal.removeEventListener('abort', onAbort);
+        });
+}
+
+// Calls worker(item, index) for every item with at most limit calls in
+// flight at once. Resolves with the results in item order; the first
+// rejection rejects the whole run.
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    
+    await Promise.all(lanes);
+    return results;
+}
+
+// A list of topics researched unattended, concurrency at a time. Items are
+// { topic, depth, status, researchId, error } where status is queued,
+// running, done, failed or cancelled.
+class ResearchBatch {
+    constructor(rows, { concurrency = 2, sources = [], offline = false, filters = {} } = {}) {
+        this.items = rows.map(row => ({
+            topic: row.topic,
+            depth: row.depth,
+            status: 'queued',
+            researchId: null,
+            error: null
+        }));
+        this.concurrency = Math.max(1, Math.floor(concurrency));
+        this.sources = sources;
+        // Research only from cached source responses
+        this.offline = offline;
+        // Credibility filters every run uses (see createResearch)
+        this.filters = filters;
+        this.createdAt = new Date();
+        this.running = false;
+        this.cancelled = false;
+        this.controllers = new Set();
+    }
+
+    // Parses a pasted list or CSV file: one topic per row, optionally
+    // followed by a depth column. A "topic,depth" header row is skipped and
+    // quoted fields may contain commas. Returns { rows, errors }.
+    static parse(text, defaultDepth = 'detailed') {
+        const rows = [];
+        const errors = [];
+        
+        // Spreadsheet apps often save CSV with a byte order mark, which
+        // would otherwise hide the header row
+        String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            
+            const [topic = '', depth = ''] = ResearchBatch.parseCSVLine(line).map(field => field.trim());
+            if (index === 0 && topic.toLowerCase() === 'topic') return;
+            
+            if (!topic) {
+                errors.push(`Row ${index + 1}: missing topic`);
+            } else if (depth && !RESEARCH_DEPTHS.includes(depth.toLowerCase())) {
+                errors.push(`Row ${index + 1}: unknown depth "${depth}" (use ${RESEARCH_DEPTHS.join(', ')})`);
+            } else {
+                rows.push({ topic, depth: depth ? depth.toLowerCase() : defaultDepth });
+            }
+        });
+        
+        return { rows, errors };
+    }
+
+    static parseCSVLine(line) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    }
+
+    counts() {
+        const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+        this.items.forEach(item => counts[item.status]++);
+        return counts;
+    }
+
+    // worker(item, controller) researches one item; it gets its own run
+    // controller so cancel() can stop every running item. Items that are
+    // no longer queued (e.g. taken from history) are left alone.
+    async run(worker) {
+        this.running = true;
+        
+        try {
+            await runWithConcurrency(this.items, this.concurrency, async item => {
+                if (this.cancelled || item.status !== 'queued') return;
+                
+                const controller = new ResearchRunController();
+                this.controllers.add(controller);
+                try {
+                    await worker(item, controller);
+                } catch (error) {
+                    item.status = 'failed';
+                    item.error = error.message;
+                } finally {
+                    this.controllers.delete(controller);
+                }
+            });
+        } finally {
+            this.running = false;
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.items.forEach(item => {
+            if (item.status === 'queued') item.status = 'cancelled';
+        });
+        this.controllers.forEach(controller => controller.cancel());
+    }
+}
+
+// Ordered list of workflow steps. A step is { name, run(context),
+// condition?(context), timeout?, weight? }: a step whose condition returns
+// false is skipped, a step that runs longer than timeout (ms) fails, and
+// weight is its share of the progress bar (default 1). run receives
+// { research, signal, checkpoint(), log(message), progress(fraction) }.
+class ResearchPipeline {
+    constructor(steps = []) {
+        this.steps = [];
+        steps.forEach(step => this.add(step));
+    }
+
+    // The built-in workflow. Gathering and processing weigh more because
+    // they do most of the work.
+    static createDefault(engine) {
+        return new ResearchPipeline([
+            { name: 'Input Parsing', run: context => engine.parseInput(context) },
+            { name: 'Data Gathering', run: context => engine.gatherData(context), weight: 3 },
+            { name: 'Deduplication', run: context => engine.dedupeSources(context) },
+            {
+                name: 'Refinement Filters',
+                condition: ({ research }) => Boolean(research.refinement),
+                run: context => engine.applyRefinement(context)
+            },
+            { name: 'Processing', run: context => engine.processData(context), weight: 2 },
+            { name: 'Result Persistence', run: context => engine.persistResults(context) },
+            {
+                name: 'Change Detection',
+                condition: ({ research }) => Boolean(research.watchId),
+                run: context => engine.detectChanges(context)
+            },
+            { name: 'Return Results', run: context => engine.returnResults(context) }
+        ]);
+    }
+
+    // Adds a step at the end, or next to an existing step with
+    // { before: 'Processing' } or { after: 'Data Gathering' }
+    add(step, { before, after } = {}) {
+        if (!step || typeof step.name !== 'string' || !step.name.trim() || typeof step.run !== 'function') {
+            throw new Error('Pipeline steps need a name and a run() function');
+        }
+        if (this.has(step.name)) {
+            throw new Error(`Step "${step.name}" is already in the pipeline`);
+        }
+        
+        let index = this.steps.length;
+        const anchor = before || after;
+        if (anchor) {
+            index = this.indexOf(anchor);
+            if (index === -1) throw new Error(`Unknown pipeline step "${anchor}"`);
+            if (after) index++;
+        }
+        
+        this.steps.splice(index, 0, { weight: 1, ...step });
+        return this;
+    }
+
+    remove(name) {
+        const index = this.indexOf(name);
+        if (index === -1) return false;
+        
+        this.steps.splice(index, 1);
+        return true;
+    }
+
+    has(name) {
+        return this.indexOf(name) !== -1;
+    }
+
+    get(name) {
+        return this.steps[this.indexOf(name)];
+    }
+
+    indexOf(name) {
+        return this.steps.findIndex(step => step.name === name);
+    }
+
+    list() {
+        return [...this.steps];
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    // Percentage of the whole run done once the step at index is the given
+    // fraction (0-1) of the way through
+    progressAt(index, fraction) {
+        const weights = this.steps.map(step => step.weight);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        const done = weights.slice(0, index).reduce((sum, weight) => sum + weight, 0);
+        const current = weights[index] * Math.min(Math.max(fraction, 0), 1);
+        
+        return total ? ((done + current) / total) * 100 : 100;
+    }
+
+    // Runs one step. With a timeout the step gets its own signal, which is
+    // aborted when the time is up so pending requests stop too.
+    run(step, context) {
+        if (!step.timeout) return Promise.resolve(step.run(context));
+        
+        return withTimeout(
+            signal => step.run({ ...context, signal: signal }),
+            step.timeout,
+            { signal: context.signal, message: `${step.name} timed out after ${step.timeout}ms` }
+        );
+    }
+}
+
+// URL schemes links and images may use; anything else (javascript:, data:,
+// vbscript:...) is dropped by SafeHTML.url()
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Markup that is safe to put on the page. Everything the page renders from
+// research data goes through here: the html tagged template escapes every
+// interpolated value unless it is SafeHTML itself (or a list of it), so a
+// topic, source title or log message can only ever come out as text.
+// render() refuses plain strings, which keeps unescaped markup from
+// slipping back in.
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    static html(strings, ...values) {
+        return new SafeHTML(strings.reduce((markup, string, index) =>
+            markup + SafeHTML.toMarkup(values[index - 1]) + string));
+    }
+
+    static toMarkup(value) {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHTML.toMarkup(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return SafeHTML.escape(value);
+    }
+
+    static escape(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Returns the URL when its scheme is allowed (or it is relative), and
+    // an empty string otherwise. Browsers ignore control characters and
+    // whitespace inside a scheme, so they are ignored here too.
+    static url(value, schemes = SAFE_URL_SCHEMES) {
+        const url = String(value == null ? '' : value).trim();
+        const scheme = /^([^/?#]*?):/.exec(url.replace(/[\u0000-\u0020\u007f]+/g, ''));
+        if (!scheme) return url;
+        return schemes.includes(scheme[1].toLowerCase()) ? url : '';
+    }
+
+    static render(element, markup) {
+        if (!(markup instanceof SafeHTML)) {
+            throw new TypeError('SafeHTML.render() needs markup built with the html template');
+        }
+        element.innerHTML = markup.markup;
+        return element;
+    }
+
+    // Builds an element without going through markup: attributes are set
+    // one by one (no inline event handlers, URLs checked) and string
+    // children become text nodes.
+    static element(tag, attributes = {}, ...children) {
+        const element = document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value === null || value === undefined || value === false) return;
+            if (/^on/i.test(name)) throw new TypeError(`Refusing to set event handler attribute ${name}`);
+            const isUrl = ['href', 'src', 'action', 'formaction'].includes(name.toLowerCase());
+            const safeValue = isUrl ? SafeHTML.url(value) : String(value);
+            if (isUrl && !safeValue) return;
+            element.setAttribute(name, safeValue);
+        });
+        children.flat().forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            element.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+        });
+        return element;
+    }
+}
+
+// Tag for page templates: html`<p>${text}</p>`
+const html = SafeHTML.html;
+
+// In-page error component: a dismissible message with optional details and
+// action buttons, rendered into the given container element. The warning
+// and success tones reuse it for non-error notices.
+class ErrorNotice {
+    constructor(container) {
+        this.container = container;
+    }
+
+    show(message, { title = 'Something went wrong', tone = 'error', details = [], actions = [] } = {}) {
+        const icons = {
+            error: 'fas fa-exclamation-triangle',
+            warning: 'fas fa-exclamation-circle',
+            success: 'fas fa-check-circle'
+        };
+        
+        SafeHTML.render(this.container, html`
+            <div class="error-notice ${tone}" role="${tone === 'error' ? 'alert' : 'status'}">
+                <i class="${icons[tone] || icons.error}"></i>
+                <div class="error-notice-body">
+                    <strong>${title}</strong>
+                    <p>${message}</p>
+                    ${details.length ? html`<ul class="error-notice-details">${details.map(detail => html`<li>${detail}</li>`)}</ul>` : ''}
+                    <div class="error-notice-actions"></div>
+                </div>
+                <button type="button" class="error-notice-close" aria-label="Dismiss">&times;</button>
+            </div>
+        `);
+        
+        const actionsContainer = this.container.querySelector('.error-notice-actions');
+        actions.forEach(action => {
+            const button = SafeHTML.element('button', { type: 'button', class: 'control-btn' },
+                SafeHTML.element('i', { class: action.icon }), ` ${action.label}`);
+            button.addEventListener('click', () => action.onClick());
+            actionsContainer.appendChild(button);
+        });
+        
+        this.container.querySelector('.error-notice-close').addEventListener('click', () => this.hide());
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        this.container.innerHTML = '';
+        this.container.style.display = 'none';
+    }
+}
+
+// Keyboard-driven list of commands, opened with Ctrl+K (Cmd+K on a Mac).
+// commands(query) returns what to offer for the typed text as
+// { label, icon, detail, run }. Arrow keys move the selection, Enter runs
+// it and Escape closes the palette; focus goes back to where it was before
+// the palette opened, unless the command moves it somewhere else.
+class CommandPalette {
+    constructor(container, { commands }) {
+        this.container = container;
+        this.commands = commands;
+        this.input = container.querySelector('[role="combobox"]');
+        this.list = container.querySelector('[role="listbox"]');
+        this.items = [];
+        this.selected = 0;
+        this.returnFocus = null;
+        
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.run(Number(option.dataset.index));
+        });
+        // Clicking the backdrop around the dialog closes it
+        container.addEventListener('click', (e) => {
+            if (e.target === container) this.close();
+        });
+    }
+
+    isOpen() {
+        return this.container.style.display !== 'none';
+    }
+
+    open() {
+        if (this.isOpen()) return;
+        
+        this.returnFocus = document.activeElement;
+        this.container.style.display = 'flex';
+        this.input.value = '';
+        this.update();
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        
+        this.container.style.display = 'none';
+        if (this.returnFocus && document.body.contains(this.returnFocus)) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    update() {
+        this.items = this.commands(this.input.value.trim());
+        this.selected = 0;
+        this.render();
+    }
+
+    render() {
+        SafeHTML.render(this.list, this.items.length
+            ? html`${this.items.map((command, index) => html`
+                <li class="command-option${index === this.selected ? ' selected' : ''}" id="command-option-${index}" role="option" aria-selected="${index === this.selected ? 'true' : 'false'}" data-index="${index}">
+                    <i class="${command.icon}"></i>
+                    <span class="command-label">${command.label}</span>
+                    ${command.detail ? html`<span class="command-detail">${command.detail}</span>` : ''}
+                </li>
+            `)}`
+            : html`<li class="command-empty">No matching commands</li>`);
+        
+        if (this.items.length) {
+            this.input.setAttribute('aria-activedescendant', `command-option-${this.selected}`);
+            this.list.querySelector('.selected').scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKey(e) {
+        const moves = { ArrowDown: 1, ArrowUp: -1 };
+        
+        if (e.key in moves) {
+            e.preventDefault();
+            if (!this.items.length) return;
+            this.selected = (this.selected + moves[e.key] + this.items.length) % this.items.length;
+            this.render();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.run(this.selected);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            // The dialog is modal; focus stays in it until it is closed
+            e.preventDefault();
+        }
+    }
+
+    // Closing first puts focus back, so a command that moves it (to the
+    // form, the history search, the results) has the last word
+    run(index) {
+        const command = this.items[index];
+        if (!command) return;
+        
+        this.close();
+        command.run();
+    }
+}
+
+const RESEARCH_SCHEMA_VERSION = 8;
+const RESEARCH_DEPTHS = ['basic', 'detailed', 'comprehensive'];
+const RESEARCH_STATUSES = ['running', 'completed', 'cancelled', 'failed'];
+// Log levels, least severe first
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+// Kinds of trace span: a pipeline step, or one source fetch inside a step
+const SPAN_KINDS = ['step', 'fetch'];
+
+// One structured workflow log record. step and source say where it came
+// from, duration (ms) is set on records that close a span and data holds
+// any extra details.
+function createLogEntry(message, { level = 'info', step = null, source = null, duration = null, data = null } = {}) {
+    return {
+        timestamp: new Date().toISOString(),
+        level: level,
+        message: message,
+        step: step,
+        source: source,
+        duration: duration,
+        data: data
+    };
+}
+// Intervals (hours) a history entry can be watched with
+const WATCH_INTERVALS = [1, 6, 24, 168];
+
+// Versioned schema for stored and imported research objects. Records
+// without a schemaVersion are version 1 (the original format). Each entry
+// in MIGRATIONS upgrades a record from that version to the next one.
+class ResearchSchema {
+    // Migrates and validates a raw record. Returns { research } with dates
+    // revived, or { errors } describing why it cannot be used.
+    static load(raw) {
+        let research;
+        try {
+            research = ResearchSchema.migrate(raw);
+        } catch (e) {
+            return { errors: [e.message] };
+        }
+        
+        const errors = ResearchSchema.validate(research);
+        if (errors.length) return { errors };
+        
+        research.startTime = new Date(research.startTime);
+        research.endTime = research.endTime ? new Date(research.endTime) : null;
+        return { research };
+    }
+
+    static migrate(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('Entry is not an object');
+        }
+        
+        const version = raw.schemaVersion === undefined ? 1 : raw.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown schema version ${JSON.stringify(raw.schemaVersion)}`);
+        }
+        if (version > RESEARCH_SCHEMA_VERSION) {
+            throw new Error(`Schema version ${version} is newer than this app supports (${RESEARCH_SCHEMA_VERSION})`);
+        }
+        
+        let research = JSON.parse(JSON.stringify(raw));
+        for (let v = version; v < RESEARCH_SCHEMA_VERSION; v++) {
+            research = ResearchSchema.MIGRATIONS[v](research);
+            research.schemaVersion = v + 1;
+        }
+        return research;
+    }
+
+    // Returns a list of problems; an empty list means the record is valid
+    static validate(research) {
+        const errors = [];
+        const isString = value => typeof value === 'string' && value.trim() !== '';
+        const isDate = value => value !== null && value !== undefined && !isNaN(new Date(value).getTime());
+        
+        if (!isString(research.id)) errors.push('Missing id');
+        if (!isString(research.topic)) errors.push('Missing topic');
+        if (!RESEARCH_DEPTHS.includes(research.depth)) errors.push(`Unknown depth "${research.depth}"`);
+        if (!RESEARCH_STATUSES.includes(research.status)) errors.push(`Unknown status "${research.status}"`);
+        if (!isDate(research.startTime)) errors.push('Invalid startTime');
+        if (research.endTime !== null && research.endTime !== undefined && !isDate(research.endTime)) {
+            errors.push('Invalid endTime');
+        }
+        if (research.status !== 'running' && !isDate(research.endTime)) {
+            errors.push(`A ${research.status} research needs an endTime`);
+        }
+        if (!Array.isArray(research.sources) || !research.sources.every(isString)) {
+            errors.push('sources must be a list of source ids');
+        }
+        
+        if (!Array.isArray(research.logs)) {
+            errors.push('logs must be a list');
+        } else if (!research.logs.every(log => log && typeof log.message === 'string')) {
+            errors.push('Every log entry needs a message');
+        } else if (!research.logs.every(log => LOG_LEVELS.includes(log.level))) {
+            errors.push(`Every log entry needs a level (${LOG_LEVELS.join(', ')})`);
+        }
+        if (!Array.isArray(research.spans) ||
+            !research.spans.every(span => span && SPAN_KINDS.includes(span.kind) && isString(span.name) && isDate(span.start))) {
+            errors.push('spans must be a list of { kind, name, start }');
+        }
+        
+        if (!Array.isArray(research.tags) || !research.tags.every(isString)) {
+            errors.push('tags must be a list of text labels');
+        }
+        if (typeof research.starred !== 'boolean') errors.push('starred must be true or false');
+        if (research.parentId !== null && !isString(research.parentId)) errors.push('parentId must be a research id or null');
+        if (research.refinement !== null) {
+            const refinement = research.refinement;
+            if (!refinement || typeof refinement !== 'object' ||
+                !Array.isArray(refinement.excludeSources) || !Array.isArray(refinement.excludeKeywords)) {
+                errors.push('refinement must be null or { question, excludeSources, excludeKeywords }');
+            }
+        }
+        if (research.watchId !== null && !isString(research.watchId)) errors.push('watchId must be a watch id or null');
+        if (typeof research.offline !== 'boolean') errors.push('offline must be true or false');
+        if (!research.cachedSources || typeof research.cachedSources !== 'object' || Array.isArray(research.cachedSources) ||
+            !Object.values(research.cachedSources).every(entry => entry && isDate(entry.fetchedAt) && typeof entry.stale === 'boolean')) {
+            errors.push('cachedSources must map source ids to { fetchedAt, stale }');
+        }
+        const filters = research.filters;
+        if (!filters || typeof filters !== 'object' ||
+            typeof filters.minCredibility !== 'number' || filters.minCredibility < 0 || filters.minCredibility > 1 ||
+            !Array.isArray(filters.excludeDomains) || !filters.excludeDomains.every(isString)) {
+            errors.push('filters must be { minCredibility (0-1), excludeDomains }');
+        }
+        if (research.changes !== null) {
+            const changes = research.changes;
+            if (!changes || typeof changes !== 'object' ||
+                !['addedSources', 'removedSources', 'addedKeywords', 'removedKeywords', 'shiftedKeywords']
+                    .every(key => Array.isArray(changes[key]))) {
+                errors.push('changes must be null or the changes found by a watched run');
+            }
+        }
+        
+        if (research.status === 'completed' && !research.results) {
+            errors.push('A completed research needs results');
+        }
+        if (research.results) {
+            const results = research.results;
+            
+            if (typeof results.summary !== 'string') errors.push('results.summary must be text');
+            if (!Array.isArray(results.sources)) {
+                errors.push('results.sources must be a list');
+            } else {
+                results.sources.forEach((source, index) => {
+                    if (!source || typeof source.title !== 'string' || typeof source.url !== 'string') {
+                        errors.push(`results.sources[${index}] needs a title and url`);
+                    } else if (typeof source.relevance !== 'number' || isNaN(source.relevance)) {
+                        errors.push(`results.sources[${index}] needs a numeric relevance`);
+                    } else if (source.credibility !== undefined &&
+                        (!source.credibility || typeof source.credibility.score !== 'number' || !Array.isArray(source.credibility.reasons))) {
+                        errors.push(`results.sources[${index}] has an invalid credibility rating`);
+                    }
+                });
+            }
+            // Keywords, summary sentences and clusters point into
+            // results.sources by position; the views look those up directly
+            const sourceCount = Array.isArray(results.sources) ? results.sources.length : 0;
+            const isSourceIndex = index => Number.isInteger(index) && index >= 0 && index < sourceCount;
+            const areSourceIndices = list => Array.isArray(list) && list.every(isSourceIndex);
+            
+            if (!Array.isArray(results.keywords) ||
+                !results.keywords.every(keyword => keyword && typeof keyword.phrase === 'string' && typeof keyword.weight === 'number')) {
+                errors.push('results.keywords must be a list of { phrase, weight }');
+            } else if (!results.keywords.every(keyword => keyword.sourceIndices === undefined || areSourceIndices(keyword.sourceIndices))) {
+                errors.push('results.keywords[].sourceIndices must point at results.sources');
+            }
+            if (results.summarySentences !== undefined) {
+                if (!Array.isArray(results.summarySentences) ||
+                    !results.summarySentences.every(sentence => sentence && typeof sentence.text === 'string')) {
+                    errors.push('results.summarySentences must be a list of { text, sourceIndex }');
+                } else if (!results.summarySentences.every(sentence => isSourceIndex(sentence.sourceIndex))) {
+                    errors.push('results.summarySentences[].sourceIndex must point at results.sources');
+                }
+            }
+            if (results.clusters !== undefined) {
+                if (!Array.isArray(results.clusters) ||
+                    !results.clusters.every(cluster => cluster && typeof cluster.label === 'string' && Array.isArray(cluster.sourceIndices))) {
+                    errors.push('results.clusters must be a list of { label, sourceIndices }');
+                } else if (!results.clusters.every(cluster => areSourceIndices(cluster.sourceIndices))) {
+                    errors.push('results.clusters[].sourceIndices must point at results.sources');
+                }
+            }
+            if (!results.metadata || typeof results.metadata !== 'object') {
+                errors.push('Missing results.metadata');
+            } else if (results.metadata.failedSources !== undefined &&
+                (!Array.isArray(results.metadata.failedSources) || !results.metadata.failedSources.every(isString))) {
+                errors.push('results.metadata.failedSources must be a list of source ids');
+            }
+        }
+        
+        return errors;
+    }
+
+    // Pulls research records out of an imported JSON document: an export
+    // envelope, a list of envelopes, or a plain list of research objects
+    static extractRecords(document) {
+        const unwrap = item => {
+            if (item && item.format === RESEARCH_EXPORT_FORMAT) {
+                if (item.version > RESEARCH_EXPORT_VERSION) {
+                    throw new Error(`Export version ${item.version} is newer than this app supports`);
+                }
+                return Array.isArray(item.research) ? item.research : [item.research];
+            }
+            return [item];
+        };
+        
+        if (Array.isArray(document)) return document.flatMap(unwrap);
+        if (document && typeof document === 'object') return unwrap(document);
+        throw new Error('File does not contain research data');
+    }
+}
+
+ResearchSchema.MIGRATIONS = {
+    // v1 -> v2: keywords become weighted objects, every research records the
+    // source ids it used, and runs saved mid-workflow get a final status
+    1: research => {
+        const results = research.results;
+        
+        if (results && Array.isArray(results.keywords)) {
+            const sources = Array.isArray(results.sources) ? results.sources : [];
+            results.keywords = results.keywords.map(keyword => {
+                if (typeof keyword !== 'string') return keyword;
+                const sourceIndices = KeyphraseExtractor.findMentions(keyword, sources);
+                return { phrase: keyword, weight: 0.5, sourceCount: sourceIndices.length, sourceIndices };
+            });
+        }
+        if (results && results.metadata && !results.metadata.failedSources) {
+            results.metadata.failedSources = [];
+        }
+        
+        if (!Array.isArray(research.sources)) {
+            const names = results && Array.isArray(results.sources)
+                ? results.sources.map(source => String(source.source).toLowerCase())
+                : [];
+            research.sources = names.length ? [...new Set(names)] : ['wikipedia', 'hackernews'];
+        }
+        
+        // Older versions saved history before marking the run completed
+        if (research.status === 'running' || research.status === undefined) {
+            research.status = results ? 'completed' : 'cancelled';
+            research.endTime = research.endTime || research.startTime;
+        }
+        
+        if (!Array.isArray(research.logs)) research.logs = [];
+        
+        return research;
+    },
+    
+    // v2 -> v3: history entries can be tagged and starred
+    2: research => {
+        if (!Array.isArray(research.tags)) research.tags = [];
+        if (typeof research.starred !== 'boolean') research.starred = false;
+        return research;
+    },
+    
+    // v3 -> v4: refined research points at the research it was refined from
+    3: research => {
+        if (research.parentId === undefined) research.parentId = null;
+        if (research.refinement === undefined) research.refinement = null;
+        return research;
+    },
+    
+    // v4 -> v5: re-runs of a watched topic record their watch and what
+    // changed since the previous run
+    4: research => {
+        if (research.watchId === undefined) research.watchId = null;
+        if (research.changes === undefined) research.changes = null;
+        return research;
+    },
+    
+    // v5 -> v6: log entries are structured records and runs keep a trace
+    // of spans. Old entries only have a clock time, which is kept as time
+    // since the date it belongs to is unknown.
+    5: research => {
+        research.logs = research.logs.map(log => ({
+            timestamp: null,
+            time: log.timestamp || null,
+            level: 'info',
+            message: log.message,
+            step: null,
+            source: null,
+            duration: null,
+            data: null
+        }));
+        if (!Array.isArray(research.spans)) research.spans = [];
+        return research;
+    },
+    
+    // v6 -> v7: runs can be limited to cached source responses and record
+    // which sources their data came from the cache for
+    6: research => {
+        if (typeof research.offline !== 'boolean') research.offline = false;
+        if (!research.cachedSources || typeof research.cachedSources !== 'object') research.cachedSources = {};
+        return research;
+    },
+    
+    // v7 -> v8: runs record the credibility filters they ran with. Older
+    // runs had none; their sources have no credibility rating.
+    7: research => {
+        if (!research.filters || typeof research.filters !== 'object') {
+            research.filters = { minCredibility: 0, excludeDomains: [] };
+        }
+        return research;
+    }
+};
+
+// Research history kept in IndexedDB, one record per research keyed by id.
+// Dates are stored as Date objects, so records come back ready to use.
+class IndexedDBHistoryStore {
+    constructor({ name = 'aiResearchAgent', storeName = 'history', indexedDB = globalThis.indexedDB } = {}) {
+        this.name = name;
+        this.storeName = storeName;
+        this.indexedDB = indexedDB;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof globalThis.indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.name, 1);
+                
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('topic', 'topic');
+                    store.createIndex('startTime', 'startTime');
+                    store.createIndex('depth', 'depth');
+                    store.createIndex('status', 'status');
+                    store.createIndex('tags', 'tags', { multiEntry: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('History database is open in another tab with an older version'));
+            });
+            // Allow a later call to try again after a failed open
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs fn(store) in a transaction and resolves with the value of the
+    // request fn returns (if any) once the transaction completes
+    async transaction(mode, fn) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = fn(tx.objectStore(this.storeName));
+            
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction was aborted'));
+        });
+    }
+
+    // Newest first
+    async getAll() {
+        const records = await this.transaction('readonly', store => store.index('startTime').getAll());
+        return records.reverse();
+    }
+
+    // Records whose indexed field (topic, depth, status, tags) equals value
+    findBy(index, value) {
+        return this.transaction('readonly', store => store.index(index).getAll(value));
+    }
+
+    put(research) {
+        return this.putMany([research]);
+    }
+
+    putMany(records) {
+        return this.transaction('readwrite', store => {
+            records.forEach(research => store.put(research));
+        });
+    }
+
+    delete(id) {
+        return this.deleteMany([id]);
+    }
+
+    deleteMany(ids) {
+        return this.transaction('readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// Same interface as IndexedDBHistoryStore, kept in memory. Used when
+// IndexedDB is unavailable (private browsing in some browsers, Node).
+class MemoryHistoryStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async getAll() {
+        return Array.from(this.records.values())
+            .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+            .map(research => this.clone(research));
+    }
+
+    async findBy(index, value) {
+        return (await this.getAll()).filter(research => {
+            const field = research[index];
+            return Array.isArray(field) ? field.includes(value) : field === value;
+        });
+    }
+
+    async put(research) {
+        this.records.set(research.id, this.clone(research));
+    }
+
+    async putMany(records) {
+        records.forEach(research => this.records.set(research.id, this.clone(research)));
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+
+    async deleteMany(ids) {
+        ids.forEach(id => this.records.delete(id));
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+
+    // Stored copies must not change when the live research object does
+    clone(research) {
+        return typeof structuredClone === 'function'
+            ? structuredClone(research)
+            : JSON.parse(JSON.stringify(research));
+    }
+}
+
+// Base class for data source adapters. Every adapter has a unique id, a
+// display name and a search(topic, options) method that resolves to results
+// in the normalized { title, summary, url, source, relevance, type,
+// publishedAt, engagement } shape; publishedAt and engagement ({ points,
+// comments }) are null when the API does not provide them.
+class SourceAdapter {
+    constructor({ id, name, type = 'web', enabledByDefault = true, retryPolicy = null, timeout = null, cacheTtl = null }) {
+        this.id = id;
+        this.name = name;
+        // Kind of source, one of the SOURCE_TYPE_CREDIBILITY keys
+        this.type = type;
+        this.enabledByDefault = enabledByDefault;
+        // Optional { retries, baseDelay, maxDelay } overriding the agent default
+        this.retryPolicy = retryPolicy;
+        // Optional per-request timeout (ms) overriding the agent default
+        this.timeout = timeout;
+        // Optional time (ms) a cached response stays fresh, overriding the
+        // source cache default
+        this.cacheTtl = cacheTtl;
+    }
+
+    async search(topic, options = {}) {
+        throw new Error(`Source "${this.id}" does not implement search()`);
+    }
+
+    // Spreads relevance between 1 and 0.5 by result position, for APIs that
+    // return ranked results without a score
+    rankRelevance(index, total) {
+        return total > 0 ? 1 - index / (total * 2) : 0;
+    }
+
+    normalize(item) {
+        return {
+            title: String(item.title || ''),
+            summary: String(item.summary || ''),
+            url: String(item.url || ''),
+            source: this.name,
+            relevance: Math.max(0, Math.min(Number(item.relevance) || 0, 1)),
+            type: this.type,
+            publishedAt: item.publishedAt ? String(item.publishedAt) : null,
+            engagement: item.engagement
+                ? { points: Number(item.engagement.points) || 0, comments: Number(item.engagement.comments) || 0 }
+                : null
+        };
+    }
+}
+
+// Wikipedia adapter backed by the MockAPIService canned data
+class MockWikipediaSource extends SourceAdapter {
+    constructor(api) {
+        super({ id: 'wikipedia', name: 'Wikipedia', type: 'encyclopedia' });
+        this.api = api;
+    }
+
+    async search(topic, options = {}) {
+        const articles = await this.api.fetchWikipediaArticles(topic, { signal: options.signal });
+        return articles.map(article => this.normalize(article));
+    }
+}
+
+// HackerNews adapter backed by the MockAPIService canned data
+class MockHackerNewsSource extends SourceAdapter {
+    constructor(api) {
+        super({ id: 'hackernews', name: 'HackerNews', type: 'discussion' });
+        this.api = api;
+    }
+
+    async search(topic, options = {}) {
+        const articles = await this.api.fetchHackerNewsArticles(topic, { signal: options.signal });
+        return articles.map(article => this.normalize(article));
+    }
+}
+
+// Base class for adapters that call a real HTTP API. The base URL and the
+// fetch implementation are configurable so tests can point the adapter at a
+// local stub server or inject a fake fetch.
+class LiveSourceAdapter extends SourceAdapter {
+    constructor({ baseUrl, fetch: fetchImpl, limit, ...rest }) {
+        super(rest);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fetchImpl = fetchImpl || null;
+        this.limit = limit;
+    }
+
+    async fetchJSON(url, options = {}) {
+        const init = { headers: { Accept: 'application/json' }, signal: options.signal };
+        const response = this.fetchImpl ? await this.fetchImpl(url, init) : await fetch(url, init);
+        
+        if (!response.ok) {
+            throw new Error(`${this.name} request failed with status ${response.status}`);
+        }
+        
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`${this.name} returned a response that is not valid JSON`);
+        }
+    }
+
+    stripHTML(html) {
+        return String(html || '')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&quot;/g, '"')
+            .replace(/&#0?39;|&#x27;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+// Wikipedia adapter backed by the Wikipedia REST search API
+class WikipediaSource extends LiveSourceAdapter {
+    constructor(options = {}) {
+        super({
+            id: 'wikipedia',
+            name: 'Wikipedia',
+            type: 'encyclopedia',
+            baseUrl: options.baseUrl || 'https://en.wikipedia.org',
+            fetch: options.fetch,
+            limit: options.limit || 8,
+            retryPolicy: options.retryPolicy,
+            cacheTtl: options.cacheTtl
+        });
+    }
+
+    async search(topic, options = {}) {
+        const limit = options.limit || this.limit;
+        const url = `${this.baseUrl}/w/rest.php/v1/search/page?q=${encodeURIComponent(topic)}&limit=${limit}`;
+        const data = await this.fetchJSON(url, options);
+        const pages = data && Array.isArray(data.pages) ? data.pages : [];
+        
+        return pages.map((page, index) => this.normalize({
+            title: page.title,
+            summary: this.stripHTML(page.excerpt) || page.description,
+            url: `${this.baseUrl}/wiki/${encodeURIComponent(page.key)}`,
+            relevance: this.rankRelevance(index, pages.length)
+        }));
+    }
+}
+
+// HackerNews adapter backed by the HN Algolia search API
+class HackerNewsSource extends LiveSourceAdapter {
+    constructor(options = {}) {
+        super({
+            id: 'hackernews',
+            name: 'HackerNews',
+            type: 'discussion',
+            baseUrl: options.baseUrl || 'https://hn.algolia.com/api/v1',
+            fetch: options.fetch,
+            limit: options.limit || 7,
+            retryPolicy: options.retryPolicy,
+            cacheTtl: options.cacheTtl
+        });
+    }
+
+    async search(topic, options = {}) {
+        const limit = options.limit || this.limit;
+        const url = `${this.baseUrl}/search?query=${encodeURIComponent(topic)}&tags=story&hitsPerPage=${limit}`;
+        const data = await this.fetchJSON(url, options);
+        const hits = data && Array.isArray(data.hits) ? data.hits : [];
+        
+        return hits.map((hit, index) => this.normalize({
+            title: hit.title || hit.story_title,
+            summary: this.stripHTML(hit.story_text) ||
+                `${hit.points || 0} points and ${hit.num_comments || 0} comments on HackerNews`,
+            url: hit.url || `https://news.ycombinator.com/item?id=${hit.objectID}`,
+            relevance: this.rankRelevance(index, hits.length),
+            publishedAt: hit.created_at,
+            engagement: { points: hit.points, comments: hit.num_comments }
+        }));
+    }
+}
+
+// Registry of the data sources available to the research workflow
+class SourceRegistry {
+    constructor(adapters = []) {
+        this.adapters = new Map();
+        adapters.forEach(adapter => this.register(adapter));
+    }
+
+    static createDefault(api = new MockAPIService()) {
+        return new SourceRegistry([
+            new MockWikipediaSource(api),
+            new MockHackerNewsSource(api)
+        ]);
+    }
+
+    // Options: { fetch, wikipedia: { baseUrl, limit, cacheTtl }, hackernews: { baseUrl, limit, cacheTtl } }
+    static createLive(options = {}) {
+        return new SourceRegistry([
+            new WikipediaSource({ fetch: options.fetch, ...options.wikipedia }),
+            new HackerNewsSource({ fetch: options.fetch, ...options.hackernews })
+        ]);
+    }
+
+    register(adapter) {
+        if (!adapter || !adapter.id || typeof adapter.search !== 'function') {
+            throw new Error('Source adapters need an id and a search() method');
+        }
+        if (this.adapters.has(adapter.id)) {
+            throw new Error(`Source "${adapter.id}" is already registered`);
+        }
+        
+        this.adapters.set(adapter.id, adapter);
+        return this;
+    }
+
+    unregister(id) {
+        return this.adapters.delete(id);
+    }
+
+    has(id) {
+        return this.adapters.has(id);
+    }
+
+    get(id) {
+        return this.adapters.get(id);
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+
+    defaultIds() {
+        return this.list()
+            .filter(adapter => adapter.enabledByDefault !== false)
+            .map(adapter => adapter.id);
+    }
+
+    // Returns the adapters for the given ids in registration order,
+    // skipping ids that are not registered
+    resolve(ids) {
+        const wanted = new Set(ids);
+        return this.list().filter(adapter => wanted.has(adapter.id));
+    }
+}
+
+// Source responses from earlier runs, kept in storage under
+// aiResearchSourceCache and keyed by data mode, source id and normalized
+// topic. Entries past their TTL are still returned, marked stale, so a run
+// without a network can fall back on them; the oldest entries are dropped
+// once there are more than maxEntries.
+class SourceCache {
+    constructor({ storage = new MemoryStorage(), key = 'aiResearchSourceCache', ttl = 6 * 60 * 60 * 1000, maxEntries = 100 } = {}) {
+        this.storage = storage;
+        this.key = key;
+        // How long (ms) a response counts as fresh, unless its adapter sets cacheTtl
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+    }
+
+    // Case, punctuation and spacing do not make a different topic
+    static normalizeTopic(topic) {
+        return String(topic).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    static entryKey(mode, sourceId, topic) {
+        return `${mode}:${sourceId}:${SourceCache.normalizeTopic(topic)}`;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save(entries) {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(entries));
+        } catch (e) {
+            console.warn('Could not save the source cache:', e);
+        }
+    }
+
+    // The cached { articles, fetchedAt, expiresAt, stale } for a source and
+    // topic, or null
+    get(mode, sourceId, topic) {
+        const entry = this.load()[SourceCache.entryKey(mode, sourceId, topic)];
+        if (!entry || !Array.isArray(entry.articles)) return null;
+        
+        return { ...entry, stale: Date.now() >= new Date(entry.expiresAt).getTime() };
+    }
+
+    set(mode, sourceId, topic, articles, ttl = this.ttl) {
+        const entries = this.load();
+        const key = SourceCache.entryKey(mode, sourceId, topic);
+        const now = Date.now();
+        
+        entries[key] = {
+            mode: mode,
+            source: sourceId,
+            topic: SourceCache.normalizeTopic(topic),
+            articles: articles,
+            fetchedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttl).toISOString()
+        };
+        
+        const keys = Object.keys(entries);
+        if (keys.length > this.maxEntries) {
+            keys.sort((a, b) => new Date(entries[a].fetchedAt) - new Date(entries[b].fetchedAt))
+                .slice(0, keys.length - this.maxEntries)
+                .forEach(old => delete entries[old]);
+        }
+        this.save(entries);
+    }
+
+    count() {
+        return Object.keys(this.load()).length;
+    }
+
+    clear() {
+        this.storage.removeItem(this.key);
+    }
+}
+
+const STOPWORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any',
+    'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both',
+    'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few',
+    'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers',
+    'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'like',
+    'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'no', 'nor', 'not', 'now', 'of',
+    'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'same',
+    'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+    'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until',
+    'up', 'upon', 'us', 'very', 'via', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+    'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'without', 'would', 'you', 'your',
+    'yours', 'called', 'including', 'used', 'using', 'uses', 'use', 'new', 'latest', 'way',
+    'across', 'various', 'several', 'many', 'based', 'allows', 'becomes', 'become', 'deals',
+    'part', 'type', 'well', 'one', 'two', 'first', 'real', 'recent'
+]);
+
+// Suffixes that steps 2 and 3 of the Porter stemmer rewrite, and their
+// replacements
+const PORTER_STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const PORTER_STEP3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+// Patterns of the Porter stemmer. A word is [C](VC){m}[V], with C a run of
+// consonants and V a run of vowels; m is its measure. y counts as a vowel
+// after a consonant.
+const PORTER_PATTERNS = (() => {
+    const consonant = '[^aeiou][^aeiouy]*';
+    const vowel = '[aeiouy][aeiou]*';
+    const suffixPattern = suffixes => new RegExp(`^(.+?)(${Object.keys(suffixes).join('|')})$`);
+    return {
+        measureAbove0: new RegExp(`^(${consonant})?${vowel}${consonant}`),
+        measureIs1: new RegExp(`^(${consonant})?${vowel}${consonant}(${vowel})?$`),
+        measureAbove1: new RegExp(`^(${consonant})?${vowel}${consonant}${vowel}${consonant}`),
+        hasVowel: new RegExp(`^(${consonant})?[aeiouy]`),
+        // Consonant-vowel-consonant, the last not w, x or y ("hop", "fil")
+        endsCVC: new RegExp(`^${consonant}[aeiouy][^aeiouwxy]$`),
+        step2: suffixPattern(PORTER_STEP2_SUFFIXES),
+        step3: suffixPattern(PORTER_STEP3_SUFFIXES)
+    };
+})();
+
+// Text helpers shared by the summarizer and the other analysis steps
+class TextAnalysis {
+    static tokenize(text) {
+        return String(text || '').toLowerCase().match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || [];
+    }
+
+    // Lowercased tokens without stopwords and single characters
+    static contentTokens(text) {
+        return TextAnalysis.tokenize(text).filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    static splitSentences(text) {
+        const pieces = String(text || '')
+            .replace(/\s+/g, ' ')
+            .split(/(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9])/);
+        
+        // Re-join pieces that were split after an abbreviation like "Dr."
+        const sentences = [];
+        pieces.forEach(piece => {
+            const previous = sentences[sentences.length - 1];
+            if (previous && /\b(?:Dr|Mr|Mrs|Ms|Prof|Sr|Jr|St|vs|etc|e\.g|i\.e|U\.S|No|Fig)\.$/i.test(previous)) {
+                sentences[sentences.length - 1] = `${previous} ${piece}`;
+            } else {
+                sentences.push(piece);
+            }
+        });
+        
+        return sentences.map(sentence => sentence.trim()).filter(Boolean);
+    }
+
+    // Porter (1980) stemmer, applied the same way to topics and documents,
+    // so "computing", "computer" and "compute" all become "comput" and
+    // "informative" and "information" "inform". Steps run in the order of
+    // the algorithm: plurals and -ed/-ing (1), then suffix rewrites (2, 3),
+    // then suffix removal (4) and a final -e and -ll tidy-up (5). A suffix
+    // is only rewritten or removed when enough of the word is left, counted
+    // in vowel-consonant sequences (the measure of the stem).
+    static stem(word) {
+        if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+        
+        const { measureAbove0, measureIs1, measureAbove1, hasVowel, endsCVC, step2, step3 } = PORTER_PATTERNS;
+        // A leading y is a consonant; uppercase keeps it out of the vowel classes
+        let stem = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+        let match;
+        
+        // Step 1a: plurals
+        if ((match = /^(.+?)(ss|i)es$/.exec(stem))) {
+            stem = match[1] + match[2];
+        } else if ((match = /^(.+?)([^s])s$/.exec(stem))) {
+            stem = match[1] + match[2];
+        }
+        
+        // Step 1b: -eed, -ed and -ing, restoring the e or undoubling the
+        // consonant they leave behind ("hoped" -> "hope", "hopping" -> "hop")
+        if ((match = /^(.+?)eed$/.exec(stem))) {
+            if (measureAbove0.test(match[1])) stem = stem.slice(0, -1);
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(stem)) && hasVowel.test(match[1])) {
+            stem = match[1];
+            if (/(at|bl|iz)$/.test(stem)) {
+                stem += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(stem)) {
+                stem = stem.slice(0, -1);
+            } else if (endsCVC.test(stem)) {
+                stem += 'e';
+            }
+        }
+        
+        // Step 1c: a final y after a vowel-bearing stem becomes i
+        if ((match = /^(.+?)y$/.exec(stem)) && hasVowel.test(match[1])) {
+            stem = `${match[1]}i`;
+        }
+        
+        // Steps 2 and 3: rewrite double and single suffixes
+        [[step2, PORTER_STEP2_SUFFIXES], [step3, PORTER_STEP3_SUFFIXES]].forEach(([pattern, suffixes]) => {
+            const found = pattern.exec(stem);
+            if (found && measureAbove0.test(found[1])) stem = found[1] + suffixes[found[2]];
+        });
+        
+        // Step 4: drop a suffix when the stem is long enough without it
+        if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(stem))) {
+            if (measureAbove1.test(match[1])) stem = match[1];
+        } else if ((match = /^(.+?)([st])ion$/.exec(stem))) {
+            if (measureAbove1.test(match[1] + match[2])) stem = match[1] + match[2];
+        }
+        
+        // Step 5: drop a final e, and the second l of a final ll
+        if ((match = /^(.+?)e$/.exec(stem))) {
+            const rest = match[1];
+            if (measureAbove1.test(rest) || (measureIs1.test(rest) && !endsCVC.test(rest))) stem = rest;
+        }
+        if (/ll$/.test(stem) && measureAbove1.test(stem)) stem = stem.slice(0, -1);
+        
+        return stem[0] === 'Y' ? `y${stem.slice(1)}` : stem;
+    }
+
+    // Stemmed content tokens, the terms used for ranking
+    static terms(text) {
+        return TextAnalysis.contentTokens(text).map(TextAnalysis.stem);
+    }
+
+    static jaccard(tokensA, tokensB) {
+        const a = new Set(tokensA);
+        const b = new Set(tokensB);
+        if (a.size === 0 && b.size === 0) return 1;
+        
+        let shared = 0;
+        a.forEach(token => {
+            if (b.has(token)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+
+    static cosine(vectorA, vectorB) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        
+        vectorA.forEach((weight, term) => {
+            normA += weight * weight;
+            if (vectorB.has(term)) dot += weight * vectorB.get(term);
+        });
+        vectorB.forEach(weight => {
+            normB += weight * weight;
+        });
+        
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+}
+
+// Deterministic BM25F relevance ranking over title and summary. Terms are
+// stemmed, title matches count double, and every result carries a score
+// breakdown (per term and per field) explaining its rank. Relevance is the
+// BM25 score divided by the highest score the topic could reach, so it
+// stays between 0 and 1 and means the same thing across runs.
+class RelevanceRanker {
+    constructor(options = {}) {
+        this.k1 = options.k1 || 1.2;
+        this.fields = options.fields || {
+            title: { boost: 2.0, b: 0.75 },
+            summary: { boost: 1.0, b: 0.75 }
+        };
+    }
+
+    rank(topic, documents) {
+        const queryTerms = [...new Set(TextAnalysis.terms(topic))];
+        const fieldNames = Object.keys(this.fields);
+        
+        // Term frequencies and lengths of every field of every document
+        const analyzed = documents.map(document => {
+            const fields = {};
+            fieldNames.forEach(field => {
+                const terms = TextAnalysis.terms(document[field]);
+                const frequencies = new Map();
+                terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+                fields[field] = { length: terms.length, frequencies };
+            });
+            return fields;
+        });
+        
+        const averageLength = {};
+        fieldNames.forEach(field => {
+            const total = analyzed.reduce((sum, fields) => sum + fields[field].length, 0);
+            averageLength[field] = analyzed.length ? total / analyzed.length || 1 : 1;
+        });
+        
+        const idf = {};
+        queryTerms.forEach(term => {
+            const documentFrequency = analyzed.filter(fields =>
+                fieldNames.some(field => fields[field].frequencies.has(term))
+            ).length;
+            idf[term] = Math.log(1 + (analyzed.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        });
+        
+        const maxScore = queryTerms.reduce((sum, term) => sum + idf[term], 0);
+        
+        const results = documents.map((document, index) => {
+            const fields = analyzed[index];
+            const fieldScores = {};
+            fieldNames.forEach(field => {
+                fieldScores[field] = { boost: this.fields[field].boost, score: 0 };
+            });
+            
+            const terms = queryTerms.map(term => {
+                // BM25F: combine length-normalized, boosted frequencies across fields
+                const weighted = {};
+                let combined = 0;
+                fieldNames.forEach(field => {
+                    const { boost, b } = this.fields[field];
+                    const frequency = fields[field].frequencies.get(term) || 0;
+                    const norm = 1 - b + b * (fields[field].length / averageLength[field]);
+                    weighted[field] = boost * frequency / norm;
+                    combined += weighted[field];
+                });
+                
+                const contribution = combined > 0 ? idf[term] * combined / (this.k1 + combined) : 0;
+                
+                // Split the term's contribution across the fields it came from
+                fieldNames.forEach(field => {
+                    if (combined > 0) fieldScores[field].score += contribution * weighted[field] / combined;
+                });
+                
+                const frequencies = {};
+                fieldNames.forEach(field => {
+                    frequencies[field] = fields[field].frequencies.get(term) || 0;
+                });
+                
+                return { term, frequencies, idf: idf[term], contribution };
+            });
+            
+            const score = terms.reduce((sum, term) => sum + term.contribution, 0);
+            const relevance = maxScore > 0 ? score / maxScore : 0;
+            
+            return {
+                document,
+                index,
+                score,
+                relevance,
+                breakdown: {
+                    score: Number(score.toFixed(4)),
+                    maxScore: Number(maxScore.toFixed(4)),
+                    relevance: Number(relevance.toFixed(4)),
+                    fields: fieldScores,
+                    terms: terms
+                }
+            };
+        });
+        
+        // Best first; ties fall back to the source's own relevance, then input order
+        return results.sort((a, b) =>
+            b.score - a.score ||
+            (Number(b.document.relevance) || 0) - (Number(a.document.relevance) || 0) ||
+            a.index - b.index
+        );
+    }
+}
+
+// Credibility of each kind of source before any other signal, 0-1
+const SOURCE_TYPE_CREDIBILITY = {
+    encyclopedia: 0.75,
+    news: 0.65,
+    web: 0.5,
+    discussion: 0.4
+};
+const SOURCE_TYPE_LABELS = {
+    encyclopedia: 'Encyclopedia article',
+    news: 'News article',
+    web: 'Web page',
+    discussion: 'Forum discussion'
+};
+// Domains with editorial or peer review, and platforms where anyone can
+// publish. An entry matches the domain and its subdomains; entries starting
+// with a dot match every domain ending in them.
+const REPUTABLE_DOMAINS = [
+    'wikipedia.org', 'britannica.com', 'arxiv.org', 'nature.com', 'science.org', 'acm.org', 'ieee.org',
+    'nih.gov', 'who.int', 'reuters.com', 'apnews.com', 'bbc.co.uk', '.gov', '.edu'
+];
+const USER_GENERATED_DOMAINS = [
+    'medium.com', 'substack.com', 'blogspot.com', 'wordpress.com', 'tumblr.com',
+    'reddit.com', 'quora.com', 'twitter.com', 'x.com'
+];
+
+// Rates how far a source can be trusted, 0-1, from its source type, its
+// domain's reputation, how recently it was published and (for discussions)
+// how much engagement it got. Every signal that applies is returned as a
+// reason with its effect on the score, so the rating can be explained.
+class CredibilityScorer {
+    constructor(options = {}) {
+        this.typeWeights = { ...SOURCE_TYPE_CREDIBILITY, ...options.typeWeights };
+        this.reputableDomains = options.reputableDomains || REPUTABLE_DOMAINS;
+        this.userGeneratedDomains = options.userGeneratedDomains || USER_GENERATED_DOMAINS;
+        this.now = options.now || (() => Date.now());
+    }
+
+    score(source) {
+        const type = this.typeWeights[source.type] !== undefined ? source.type : 'web';
+        const reasons = [{ factor: 'type', text: SOURCE_TYPE_LABELS[type] || type, effect: this.typeWeights[type] }];
+        
+        const domain = CredibilityScorer.domainOf(source.url);
+        const reputable = CredibilityScorer.matchDomain(domain, this.reputableDomains);
+        const userGenerated = CredibilityScorer.matchDomain(domain, this.userGeneratedDomains);
+        if (reputable) {
+            reasons.push({ factor: 'domain', text: `Reputable domain (${domain})`, effect: 0.15 });
+        } else if (userGenerated) {
+            reasons.push({ factor: 'domain', text: `Self-published platform (${domain})`, effect: -0.1 });
+        }
+        
+        // Recent sources get a little more weight, old ones a little less;
+        // sources without a date are left alone
+        const published = source.publishedAt ? new Date(source.publishedAt).getTime() : NaN;
+        if (!isNaN(published)) {
+            const days = Math.max(0, (this.now() - published) / 86400000);
+            const effect = days <= 90 ? 0.1 : days > 3 * 365 ? -0.1 : 0;
+            reasons.push({ factor: 'recency', text: `Published ${CredibilityScorer.describeAge(days)}`, effect });
+        }
+        
+        // Points and comments on a log scale: a handful is a small penalty,
+        // hundreds a clear bonus
+        if (source.engagement) {
+            const points = Number(source.engagement.points) || 0;
+            const comments = Number(source.engagement.comments) || 0;
+            const effect = Math.max(-0.08, Math.min((Math.log10(1 + points + comments) - 1) * 0.08, 0.2));
+            reasons.push({ factor: 'engagement', text: `${points} points and ${comments} comments`, effect: Number(effect.toFixed(2)) });
+        }
+        
+        const total = reasons.reduce((sum, reason) => sum + reason.effect, 0);
+        const score = Number(Math.max(0, Math.min(total, 1)).toFixed(2));
+        return { score, level: CredibilityScorer.level(score), reasons };
+    }
+
+    static level(score) {
+        if (score >= 0.7) return 'high';
+        if (score >= 0.45) return 'medium';
+        return 'low';
+    }
+
+    static describeAge(days) {
+        if (days < 1) return 'today';
+        if (days < 60) return `${Math.round(days)} day${Math.round(days) === 1 ? '' : 's'} ago`;
+        if (days < 730) return `${Math.round(days / 30)} months ago`;
+        return `${Math.round(days / 365)} years ago`;
+    }
+
+    // Host name without "www.", or '' for URLs that do not parse
+    static domainOf(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (e) {
+            return '';
+        }
+    }
+
+    // The first entry of list that domain falls under, or null
+    static matchDomain(domain, list) {
+        if (!domain) return null;
+        return list.find(entry => entry.startsWith('.')
+            ? domain.endsWith(entry)
+            : domain === entry || domain.endsWith('.' + entry)) || null;
+    }
+
+    // "https://www.Example.com/page" -> "example.com"; '' when it is not a
+    // domain name
+    static normalizeDomain(text) {
+        const domain = String(text).trim().toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/^(www|\*)\./, '');
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : '';
+    }
+
+    // The filters a research runs with: { minCredibility (0-1), excludeDomains }
+    static normalizeFilters({ minCredibility = 0, excludeDomains = [] } = {}) {
+        return {
+            minCredibility: Math.max(0, Math.min(Number(minCredibility) || 0, 1)),
+            excludeDomains: Array.isArray(excludeDomains)
+                ? [...new Set(excludeDomains.map(CredibilityScorer.normalizeDomain).filter(Boolean))]
+                : []
+        };
+    }
+}
+
+// Removes duplicate sources gathered from different places. Sources whose
+// URLs match after normalization are duplicates outright; otherwise titles
+// and title+summary text are compared through MinHash signatures of word
+// shingles, which estimate Jaccard similarity. The first of each group of
+// duplicates is kept, so gathering order decides which copy survives.
+class SourceDeduplicator {
+    constructor(options = {}) {
+        this.shingleSize = options.shingleSize || 3;
+        this.numHashes = options.numHashes || 64;
+        this.titleThreshold = options.titleThreshold || 0.8;
+        this.contentThreshold = options.contentThreshold || 0.5;
+        
+        // Fixed seeds keep signatures (and results) identical across runs
+        this.seeds = [];
+        let state = 0x9e3779b9;
+        for (let i = 0; i < this.numHashes; i++) {
+            state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+            const a = state | 1;
+            state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+            this.seeds.push([a, state]);
+        }
+    }
+
+    // Returns { sources, duplicates }: the kept sources in input order, and
+    // one { source, duplicateOf, reason, similarity } entry per removed
+    // source, duplicateOf being its index in the kept list
+    dedupe(sources) {
+        const kept = [];
+        const keptSignatures = [];
+        const urlIndex = new Map();
+        const duplicates = [];
+        
+        sources.forEach(source => {
+            const url = SourceDeduplicator.normalizeUrl(source.url);
+            if (url && urlIndex.has(url)) {
+                duplicates.push({ source, duplicateOf: urlIndex.get(url), reason: 'url', similarity: 1 });
+                return;
+            }
+            
+            const signature = {
+                title: this.signature(TextAnalysis.terms(source.title)),
+                content: this.signature(this.shingles(`${source.title} ${source.summary}`))
+            };
+            
+            for (let i = 0; i < kept.length; i++) {
+                const titleSimilarity = this.similarity(signature.title, keptSignatures[i].title);
+                const contentSimilarity = this.similarity(signature.content, keptSignatures[i].content);
+                
+                if (titleSimilarity >= this.titleThreshold || contentSimilarity >= this.contentThreshold) {
+                    duplicates.push({
+                        source,
+                        duplicateOf: i,
+                        reason: titleSimilarity >= this.titleThreshold ? 'title' : 'content',
+                        similarity: Math.max(titleSimilarity, contentSimilarity)
+                    });
+                    return;
+                }
+            }
+            
+            if (url) urlIndex.set(url, kept.length);
+            kept.push(source);
+            keptSignatures.push(signature);
+        });
+        
+        return { sources: kept, duplicates };
+    }
+
+    // Lowercases the host, drops "www." and mobile subdomains, the fragment,
+    // tracking parameters and trailing slashes, sorts the query and treats
+    // http and https as the same
+    static normalizeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(String(url || '').trim());
+        } catch (e) {
+            return String(url || '').trim().toLowerCase();
+        }
+        
+        const host = parsed.hostname.toLowerCase()
+            .replace(/^www\./, '')
+            .replace(/^(m|mobile)\./, '')
+            .replace(/\.m\.(wikipedia\.org)$/, '.$1');
+        
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([key]) => !/^(utm_\w+|fbclid|gclid|ref|ref_src)$/i.test(key))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+        
+        let path = parsed.pathname.replace(/\/+$/, '');
+        try {
+            path = decodeURIComponent(path);
+        } catch (e) {
+            // Keep malformed escapes as they are
+        }
+        
+        return `${host}${parsed.port ? `:${parsed.port}` : ''}${path}${query}`;
+    }
+
+    // Word n-grams over stemmed content terms; short texts fall back to the
+    // terms themselves
+    shingles(text) {
+        const terms = TextAnalysis.terms(text);
+        if (terms.length < this.shingleSize) return terms;
+        
+        const shingles = [];
+        for (let i = 0; i <= terms.length - this.shingleSize; i++) {
+            shingles.push(terms.slice(i, i + this.shingleSize).join(' '));
+        }
+        return shingles;
+    }
+
+    signature(shingles) {
+        const hashes = [...new Set(shingles)].map(SourceDeduplicator.hash);
+        
+        return this.seeds.map(([a, b]) => {
+            let min = Infinity;
+            hashes.forEach(hash => {
+                const value = (Math.imul(a, hash) + b) >>> 0;
+                if (value < min) min = value;
+            });
+            return min;
+        });
+    }
+
+    // Share of matching signature slots, an estimate of Jaccard similarity
+    similarity(signatureA, signatureB) {
+        if (signatureA[0] === Infinity || signatureB[0] === Infinity) return 0;
+        
+        let same = 0;
+        for (let i = 0; i < signatureA.length; i++) {
+            if (signatureA[i] === signatureB[i]) same++;
+        }
+        return same / signatureA.length;
+    }
+
+    // 32-bit FNV-1a
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Groups ranked sources into topical clusters. Sources are compared by
+// TF-IDF vectors of their title and summary, leaving out the topic's own
+// terms since every source shares them. Each source joins the most similar
+// existing cluster (cosine to the cluster centroid) or starts a new one,
+// in rank order, so the result is deterministic. Clusters are labelled with
+// their highest-weighted terms; single sources are pooled under "Other".
+class SourceClusterer {
+    constructor(options = {}) {
+        this.threshold = options.threshold || 0.2;
+        this.labelTerms = options.labelTerms || 2;
+    }
+
+    // Returns [{ id, label, terms, sourceIndices }] covering every source
+    cluster(topic, sources) {
+        if (sources.length === 0) return [];
+        
+        const topicTerms = new Set(TextAnalysis.terms(topic));
+        const surfaceForms = new Map();
+        const documents = sources.map(source => {
+            const tokens = TextAnalysis.contentTokens(`${source.title} ${source.title} ${source.summary}`);
+            const counts = new Map();
+            
+            tokens.forEach(token => {
+                const term = TextAnalysis.stem(token);
+                if (topicTerms.has(term)) return;
+                
+                counts.set(term, (counts.get(term) || 0) + 1);
+                
+                // Remember the most common spelling of each stem for labels
+                const forms = surfaceForms.get(term) || new Map();
+                forms.set(token, (forms.get(token) || 0) + 1);
+                surfaceForms.set(term, forms);
+            });
+            return counts;
+        });
+        
+        const documentFrequency = new Map();
+        documents.forEach(counts => counts.forEach((count, term) => {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }));
+        
+        const vectors = documents.map(counts => {
+            const vector = new Map();
+            counts.forEach((count, term) => {
+                vector.set(term, count * Math.log(1 + sources.length / documentFrequency.get(term)));
+            });
+            return vector;
+        });
+        
+        const groups = [];
+        vectors.forEach((vector, index) => {
+            let best = null;
+            let bestSimilarity = this.threshold;
+            
+            groups.forEach(group => {
+                const similarity = TextAnalysis.cosine(vector, group.centroid);
+                if (similarity >= bestSimilarity) {
+                    best = group;
+                    bestSimilarity = similarity;
+                }
+            });
+            
+            if (!best) {
+                best = { centroid: new Map(), sourceIndices: [] };
+                groups.push(best);
+            }
+            best.sourceIndices.push(index);
+            vector.forEach((weight, term) => best.centroid.set(term, (best.centroid.get(term) || 0) + weight));
+        });
+        
+        const clustered = groups.filter(group => group.sourceIndices.length > 1);
+        const singles = groups.filter(group => group.sourceIndices.length === 1);
+        const describe = group => this.describe(group, surfaceForms, group.sourceIndices.map(index => sources[index].title));
+        const clusters = clustered.map(describe);
+        
+        if (clustered.length && singles.length > 1) {
+            clusters.push({
+                label: 'Other',
+                terms: [],
+                sourceIndices: singles.flatMap(group => group.sourceIndices)
+            });
+        } else {
+            singles.forEach(group => clusters.push(describe(group)));
+        }
+        
+        return clusters.map((cluster, index) => ({ id: index + 1, ...cluster }));
+    }
+
+    describe(group, surfaceForms, titles) {
+        const terms = Array.from(group.centroid.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, this.labelTerms)
+            .map(([term]) => {
+                const forms = Array.from(surfaceForms.get(term).entries());
+                return forms.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+            });
+        
+        return { label: this.label(terms, titles), terms, sourceIndices: group.sourceIndices };
+    }
+
+    // Uses the terms as a phrase when a member title has them side by side
+    // ("Deep Learning"), otherwise joins them ("Ethics & AI"). Words keep
+    // the capitalization they have in the titles.
+    label(terms, titles) {
+        if (terms.length === 0) return 'General';
+        
+        const display = term => {
+            for (const title of titles) {
+                const match = title.match(new RegExp(`\\b${term}\\b`, 'i'));
+                if (match && match[0] !== match[0].toLowerCase()) return match[0];
+            }
+            return term.charAt(0).toUpperCase() + term.slice(1);
+        };
+        
+        if (terms.length === 2) {
+            for (const title of titles) {
+                const tokens = TextAnalysis.tokenize(title);
+                for (let i = 0; i < tokens.length - 1; i++) {
+                    const pair = [tokens[i], tokens[i + 1]];
+                    if (pair.includes(terms[0]) && pair.includes(terms[1]) && terms[0] !== terms[1]) {
+                        return pair.map(display).join(' ');
+                    }
+                }
+            }
+        }
+        
+        return terms.map(display).join(' & ');
+    }
+}
+
+// Extractive summarizer: splits the source summaries into sentences, scores
+// each one by TF-IDF similarity to the topic plus its centrality among the
+// other sentences, drops near-duplicates and keeps the best sentences for
+// the requested depth. Every sentence keeps the index of its source so the
+// summary can cite it.
+class ExtractiveSummarizer {
+    constructor(options = {}) {
+        this.sentencesPerDepth = options.sentencesPerDepth || { basic: 3, detailed: 5, comprehensive: 8 };
+        this.duplicateThreshold = options.duplicateThreshold || 0.6;
+        this.minTokens = options.minTokens || 4;
+    }
+
+    summarize(topic, sources, depth) {
+        const candidates = this.collectSentences(sources);
+        
+        if (candidates.length === 0) {
+            return {
+                text: `No source content was available to summarize "${topic}".`,
+                sentences: []
+            };
+        }
+        
+        this.scoreSentences(topic, candidates);
+        
+        // Greedily take the best sentences, skipping near-duplicates
+        const limit = this.sentencesPerDepth[depth] || this.sentencesPerDepth.detailed;
+        const selected = [];
+        const ranked = [...candidates].sort((a, b) => b.score - a.score);
+        
+        for (const candidate of ranked) {
+            if (selected.length >= limit) break;
+            
+            const duplicate = selected.some(chosen =>
+                TextAnalysis.jaccard(chosen.tokens, candidate.tokens) >= this.duplicateThreshold
+            );
+            if (!duplicate) selected.push(candidate);
+        }
+        
+        // Present the sentences in source order so the summary reads naturally
+        selected.sort((a, b) => a.sourceIndex - b.sourceIndex || a.position - b.position);
+        
+        const sentences = selected.map(candidate => ({
+            text: candidate.text,
+            sourceIndex: candidate.sourceIndex,
+            score: Number(candidate.score.toFixed(4))
+        }));
+        
+        return {
+            text: sentences.map(sentence => `${sentence.text} [${sentence.sourceIndex + 1}]`).join(' '),
+            sentences: sentences
+        };
+    }
+
+    collectSentences(sources) {
+        const candidates = [];
+        
+        sources.forEach((source, sourceIndex) => {
+            TextAnalysis.splitSentences(source.summary).forEach((text, position) => {
+                const tokens = TextAnalysis.contentTokens(text);
+                if (tokens.length < this.minTokens) return;
+                
+                // Make sure every sentence ends with punctuation before citing it
+                const sentence = /[.!?]$/.test(text) ? text : `${text}.`;
+                candidates.push({ text: sentence, tokens, sourceIndex, position, score: 0 });
+            });
+        });
+        
+        return candidates;
+    }
+
+    scoreSentences(topic, candidates) {
+        // Inverse document frequency, treating each sentence as a document
+        const documentFrequency = new Map();
+        candidates.forEach(candidate => {
+            new Set(candidate.tokens).forEach(token => {
+                documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+            });
+        });
+        
+        const idf = token => Math.log(1 + candidates.length / (documentFrequency.get(token) || 1));
+        const toVector = tokens => {
+            const vector = new Map();
+            tokens.forEach(token => vector.set(token, (vector.get(token) || 0) + 1));
+            vector.forEach((count, token) => vector.set(token, count * idf(token)));
+            return vector;
+        };
+        
+        const topicVector = toVector(TextAnalysis.contentTokens(topic));
+        const vectors = candidates.map(candidate => toVector(candidate.tokens));
+        
+        candidates.forEach((candidate, i) => {
+            const topicSimilarity = TextAnalysis.cosine(vectors[i], topicVector);
+            
+            let centrality = 0;
+            vectors.forEach((other, j) => {
+                if (i !== j) centrality += TextAnalysis.cosine(vectors[i], other);
+            });
+            centrality = candidates.length > 1 ? centrality / (candidates.length - 1) : 0;
+            
+            // Lead sentences usually define the subject, so give them a small boost
+            const leadBonus = candidate.position === 0 ? 0.05 : 0;
+            
+            candidate.score = 0.7 * topicSimilarity + 0.3 * centrality + leadBonus;
+        });
+    }
+}
+
+// Statistical keyphrase extraction. Candidate phrases are runs of up to
+// three content words between stopwords and punctuation (as in RAKE). Each
+// phrase is scored by the summed RAKE degree/frequency score of its words,
+// multiplied by its TF-IDF weight across the sources and boosted when it
+// shares words with the topic.
+class KeyphraseExtractor {
+    constructor(options = {}) {
+        this.limit = options.limit || 12;
+        this.maxWords = options.maxWords || 3;
+        this.topicBoost = options.topicBoost || 1.5;
+    }
+
+    extract(topic, sources, limit = this.limit) {
+        const documents = sources.map(source => this.candidateRuns(`${source.title}. ${source.summary}`));
+        const wordScores = this.rakeWordScores(documents);
+        const topicTokens = new Set(TextAnalysis.contentTokens(topic));
+        
+        // Phrase statistics: total frequency and which sources contain it
+        const phrases = new Map();
+        documents.forEach((runs, sourceIndex) => {
+            runs.forEach(run => {
+                this.ngrams(run).forEach(words => {
+                    const phrase = words.join(' ');
+                    if (!phrases.has(phrase)) {
+                        phrases.set(phrase, { words, frequency: 0, sourceIndices: new Set() });
+                    }
+                    const entry = phrases.get(phrase);
+                    entry.frequency++;
+                    entry.sourceIndices.add(sourceIndex);
+                });
+            });
+        });
+        
+        const scored = [];
+        phrases.forEach((entry, phrase) => {
+            if (entry.words.every(word => /^\d+$/.test(word))) return;
+            
+            const rake = entry.words.reduce((sum, word) => sum + wordScores.get(word), 0);
+            const tfidf = entry.frequency * Math.log(1 + sources.length / entry.sourceIndices.size);
+            const boost = entry.words.some(word => topicTokens.has(word)) ? this.topicBoost : 1;
+            
+            scored.push({
+                phrase: phrase,
+                score: rake * tfidf * boost,
+                sourceIndices: Array.from(entry.sourceIndices).sort((a, b) => a - b)
+            });
+        });
+        
+        scored.sort((a, b) => b.score - a.score || a.phrase.localeCompare(b.phrase));
+        
+        // Skip phrases that only repeat part of (or all of) a better phrase
+        const selected = [];
+        for (const candidate of scored) {
+            if (selected.length >= limit) break;
+            
+            const redundant = selected.some(chosen =>
+                ` ${chosen.phrase} `.includes(` ${candidate.phrase} `) ||
+                ` ${candidate.phrase} `.includes(` ${chosen.phrase} `)
+            );
+            if (!redundant) selected.push(candidate);
+        }
+        
+        const maxScore = selected.length ? selected[0].score : 1;
+        return selected.map(candidate => ({
+            phrase: candidate.phrase,
+            weight: Number((candidate.score / maxScore).toFixed(3)),
+            score: Number(candidate.score.toFixed(4)),
+            sourceCount: candidate.sourceIndices.length,
+            sourceIndices: candidate.sourceIndices
+        }));
+    }
+
+    // Splits text into runs of content words, breaking at punctuation and stopwords
+    candidateRuns(text) {
+        const runs = [];
+        
+        String(text || '').split(/[.,;:!?()[\]{}"\u2013\u2014|/]+|\s-\s/).forEach(fragment => {
+            let run = [];
+            TextAnalysis.tokenize(fragment).forEach(token => {
+                if (token.length > 1 && !STOPWORDS.has(token)) {
+                    run.push(token);
+                } else if (run.length) {
+                    runs.push(run);
+                    run = [];
+                }
+            });
+            if (run.length) runs.push(run);
+        });
+        
+        return runs;
+    }
+
+    // RAKE word score: degree (co-occurrence within runs) divided by frequency
+    rakeWordScores(documents) {
+        const frequency = new Map();
+        const degree = new Map();
+        
+        documents.forEach(runs => {
+            runs.forEach(run => {
+                const phraseDegree = Math.min(run.length, this.maxWords) - 1;
+                run.forEach(word => {
+                    frequency.set(word, (frequency.get(word) || 0) + 1);
+                    degree.set(word, (degree.get(word) || 0) + phraseDegree);
+                });
+            });
+        });
+        
+        const scores = new Map();
+        frequency.forEach((count, word) => {
+            scores.set(word, (degree.get(word) + count) / count);
+        });
+        return scores;
+    }
+
+    ngrams(run) {
+        const grams = [];
+        for (let size = 1; size <= Math.min(this.maxWords, run.length); size++) {
+            for (let start = 0; start + size <= run.length; start++) {
+                grams.push(run.slice(start, start + size));
+            }
+        }
+        return grams;
+    }
+
+    // Indices of the sources whose title or summary contains the phrase
+    static findMentions(phrase, sources) {
+        const needle = ` ${TextAnalysis.tokenize(phrase).join(' ')} `;
+        
+        return sources.reduce((indices, source, index) => {
+            const haystack = ` ${TextAnalysis.tokenize(`${source.title} ${source.summary}`).join(' ')} `;
+            if (needle.trim() && haystack.includes(needle)) indices.push(index);
+            return indices;
+        }, []);
+    }
+}
+
+const RESEARCH_EXPORT_FORMAT = 'ai-research-agent/research';
+const RESEARCH_EXPORT_VERSION = 1;
+const RESEARCH_TRACE_FORMAT = 'ai-research-agent/trace';
+
+// Turns a research object into downloadable documents: Markdown, a
+// versioned JSON document, BibTeX and CSL-JSON citations for the sources,
+// and a standalone print-friendly HTML report
+class ResearchExporter {
+    fileName(research) {
+        const slug = String(research.topic).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return `research-${slug.slice(0, 50) || 'untitled'}-${this.toDate(research.startTime).toISOString().slice(0, 10)}`;
+    }
+
+    toMarkdown(research) {
+        const results = research.results || {};
+        const sources = results.sources || [];
+        const lines = [
+            `# ${this.escapeMarkdown(research.topic)}`,
+            '',
+            `- **Status:** ${research.status}`,
+            `- **Depth:** ${research.depth}`,
+            `- **Started:** ${this.toDate(research.startTime).toISOString()}`
+        ];
+        
+        if (research.endTime) lines.push(`- **Finished:** ${this.toDate(research.endTime).toISOString()}`);
+        if (results.metadata) {
+            lines.push(`- **Sources analyzed:** ${results.metadata.totalSources}`);
+            if (results.metadata.duplicatesRemoved !== undefined) {
+                lines.push(`- **Duplicates removed:** ${results.metadata.duplicatesRemoved}`);
             }
-        } catch (e) {
-            console.warn('Could not load from localStorage:', e);
+            lines.push(`- **Processing time:** ${(results.metadata.processingTime / 1000).toFixed(1)}s`);
         }
-        return [];
+        if (this.describeCache(research)) lines.push(`- **Cached data:** ${this.describeCache(research)}`);
+        
+        lines.push('', '## Summary', '');
+        if (results.summarySentences && results.summarySentences.length) {
+            lines.push(results.summarySentences.map(sentence => `${this.escapeMarkdown(sentence.text)} [${sentence.sourceIndex + 1}]`).join(' '));
+        } else {
+            lines.push(results.summary ? this.escapeMarkdown(results.summary) : '_No summary was generated._');
+        }
+        
+        lines.push('', '## Sources', '');
+        if (sources.length) {
+            sources.forEach((source, index) => {
+                // Sources whose URL is not safe to link are listed unlinked
+                const url = SafeHTML.url(source.url);
+                const title = url
+                    ? `[${this.escapeMarkdown(source.title)}](${this.escapeMarkdownURL(url)})`
+                    : this.escapeMarkdown(source.title);
+                lines.push(`${index + 1}. ${title} (${this.escapeMarkdown(source.source)}, relevance ${(source.relevance * 100).toFixed(0)}%${this.describeCredibility(source)})`);
+                if (source.summary) lines.push(`   ${this.escapeMarkdown(source.summary)}`);
+            });
+        } else {
+            lines.push('_No sources._');
+        }
+        
+        lines.push('', '## Keywords', '');
+        const keywords = this.keywordPhrases(results.keywords);
+        lines.push(keywords.length ? keywords.map(keyword => `\`${keyword}\``).join(', ') : '_No keywords._');
+        
+        return lines.join('\n') + '\n';
     }
 
-    showError(message) {
-        alert(message); // Simple error handling - could be enhanced with custom modals
+    // One report for a whole batch: an overview table followed by the
+    // report of every run, headings shifted down a level
+    toBatchMarkdown(batch, researches) {
+        const byId = new Map(researches.map(research => [research.id, research]));
+        const lines = [
+            '# Batch research report',
+            '',
+            `- **Created:** ${this.toDate(batch.createdAt).toISOString()}`,
+            `- **Topics:** ${batch.items.length}`,
+            '',
+            '| # | Topic | Depth | Status | Sources |',
+            '| --- | --- | --- | --- | --- |'
+        ];
+        
+        batch.items.forEach((item, index) => {
+            const research = byId.get(item.researchId);
+            const sources = research ? this.sourcesOf(research).length : 0;
+            lines.push(`| ${index + 1} | ${this.escapeMarkdown(item.topic).replace(/\|/g, '\\|')} | ${item.depth} | ${item.status} | ${sources} |`);
+        });
+        
+        batch.items.forEach(item => {
+            const research = byId.get(item.researchId);
+            if (!research) return;
+            lines.push('', this.toMarkdown(research).trimEnd().replace(/^(#+) /gm, '#$1 '));
+        });
+        
+        return lines.join('\n') + '\n';
     }
-}
 
-// Mock API Service for simulating external data sources
-class MockAPIService {
-    constructor() {
-        this.wikipediaData = this.generateWikipediaData();
-        this.hackerNewsData = this.generateHackerNewsData();
+    // The run's spans and structured log records on their own, for looking
+    // at where a run spent its time
+    toTrace(research) {
+        return JSON.stringify({
+            format: RESEARCH_TRACE_FORMAT,
+            version: RESEARCH_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            research: {
+                id: research.id,
+                topic: research.topic,
+                depth: research.depth,
+                status: research.status,
+                startTime: this.toDate(research.startTime).toISOString(),
+                endTime: research.endTime ? this.toDate(research.endTime).toISOString() : null
+            },
+            spans: research.spans || [],
+            logs: research.logs
+        }, null, 2);
     }
 
-    async fetchWikipediaArticles(topic) {
-        // Simulate API delay
-        await this.delay(1000);
+    // Accepts one research or an array of them; both import back
+    toJSON(research) {
+        return JSON.stringify({
+            format: RESEARCH_EXPORT_FORMAT,
+            version: RESEARCH_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            research: research
+        }, null, 2);
+    }
+
+    toBibTeX(research) {
+        const accessed = this.toDate(research.endTime || research.startTime);
+        const usedKeys = new Set();
         
-        // Filter articles based on topic relevance
-        const relevantArticles = this.wikipediaData.filter(article => 
-            article.title.toLowerCase().includes(topic.toLowerCase()) ||
-            article.summary.toLowerCase().includes(topic.toLowerCase()) ||
-            this.calculateRelevance(topic, article.title + ' ' + article.summary) > 0.3
-        );
+        return this.sourcesOf(research).map(source => {
+            const key = this.citationKey(source, accessed, usedKeys);
+            const fields = [
+                ['title', `{${this.escapeBibTeX(source.title)}}`],
+                ['url', SafeHTML.url(source.url) ? `{${this.escapeBibTeXURL(SafeHTML.url(source.url))}}` : null],
+                ['organization', `{${this.escapeBibTeX(source.source)}}`],
+                ['urldate', `{${accessed.toISOString().slice(0, 10)}}`],
+                ['note', `{Retrieved for research on ${this.escapeBibTeX(research.topic)}}`]
+            ];
+            
+            // Sources whose URL is not safe to link are cited without one
+            return `@online{${key},\n${fields
+                .filter(([, value]) => value !== null)
+                .map(([name, value]) => `  ${name} = ${value}`).join(',\n')}\n}`;
+        }).join('\n\n') + '\n';
+    }
+
+    toCSLJSON(research) {
+        const accessed = this.toDate(research.endTime || research.startTime);
+        const usedKeys = new Set();
         
-        return relevantArticles.slice(0, 8); // Return top 8 articles
+        return JSON.stringify(this.sourcesOf(research).map(source => ({
+            id: this.citationKey(source, accessed, usedKeys),
+            type: source.source === 'HackerNews' ? 'post' : 'entry-encyclopedia',
+            title: source.title,
+            'container-title': source.source,
+            URL: source.url,
+            abstract: source.summary,
+            accessed: {
+                'date-parts': [[accessed.getFullYear(), accessed.getMonth() + 1, accessed.getDate()]]
+            }
+        })), null, 2);
     }
 
-    async fetchHackerNewsArticles(topic) {
-        // Simulate API delay
-        await this.delay(1200);
+    // ", credibility 82% (high)" for sources with a rating, '' otherwise
+    describeCredibility(source) {
+        const credibility = source.credibility;
+        if (!credibility) return '';
+        return `, credibility ${Math.round(credibility.score * 100)}% (${credibility.level})`;
+    }
+
+    // "wikipedia fetched <ISO date> (stale), ..." for sources answered from
+    // the source cache, or '' when everything was fetched for this run
+    describeCache(research) {
+        return Object.entries(research.cachedSources || {})
+            .map(([id, entry]) => `${id} fetched ${entry.fetchedAt}${entry.stale ? ' (stale)' : ''}`)
+            .join(', ');
+    }
+
+    toHTML(research) {
+        const results = research.results || {};
+        const sources = results.sources || [];
+        const escape = text => this.escapeHTML(text);
+        const link = source => SafeHTML.url(source.url)
+            ? `<a href="${escape(SafeHTML.url(source.url))}">${escape(source.title)}</a>`
+            : escape(source.title);
+        const summary = results.summarySentences && results.summarySentences.length
+            ? results.summarySentences.map(sentence => {
+                const number = escape(Number(sentence.sourceIndex) + 1);
+                return `${escape(sentence.text)}<sup><a href="#source-${number}">[${number}]</a></sup>`;
+            }).join(' ')
+            : escape(results.summary || 'No summary was generated.');
         
-        // Filter articles based on topic relevance
-        const relevantArticles = this.hackerNewsData.filter(article => 
-            article.title.toLowerCase().includes(topic.toLowerCase()) ||
-            article.summary.toLowerCase().includes(topic.toLowerCase()) ||
-            this.calculateRelevance(topic, article.title + ' ' + article.summary) > 0.3
-        );
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(research.topic)} - Research Report</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 780px; margin: 40px auto; padding: 0 20px; line-height: 1.6; }
+    h1 { font-size: 1.8rem; margin-bottom: 5px; }
+    h2 { font-size: 1.2rem; border-bottom: 1px solid #ccc; padding-bottom: 4px; margin-top: 30px; }
+    .meta { color: #555; font-size: 0.9rem; }
+    sup a { text-decoration: none; color: #444; }
+    ol li { margin-bottom: 10px; }
+    .source-meta, .keywords { color: #555; font-size: 0.9rem; }
+    @media print { body { margin: 0; } a { color: #222; } }
+</style>
+</head>
+<body>
+<h1>${escape(research.topic)}</h1>
+<p class="meta">
+    ${escape(research.depth)} research, ${escape(research.status)} |
+    ${escape(this.toDate(research.endTime || research.startTime).toLocaleString())}
+    ${results.metadata ? ` | ${escape(results.metadata.totalSources)} sources | ${escape((results.metadata.processingTime / 1000).toFixed(1))}s` : ''}
+    ${this.describeCache(research) ? `<br>Cached data: ${escape(this.describeCache(research))}` : ''}
+</p>
+<h2>Summary</h2>
+<p>${summary}</p>
+<h2>Sources</h2>
+${sources.length ? `<ol>
+${sources.map((source, index) => `    <li id="source-${index + 1}">
+        ${link(source)}
+        <div>${escape(source.summary)}</div>
+        <div class="source-meta">${escape(source.source)} | Relevance ${(source.relevance * 100).toFixed(0)}%${source.credibility ? ` | Credibility ${escape(Math.round(source.credibility.score * 100))}% (${escape(source.credibility.level)})` : ''} | ${escape(source.url)}</div>
+    </li>`).join('\n')}
+</ol>` : '<p>No sources.</p>'}
+<h2>Keywords</h2>
+<p class="keywords">${escape(this.keywordPhrases(results.keywords).join(', ') || 'No keywords.')}</p>
+</body>
+</html>
+`;
+    }
+
+    sourcesOf(research) {
+        return research.results && research.results.sources ? research.results.sources : [];
+    }
+
+    // Keywords are { phrase } objects, or plain strings in older research
+    keywordPhrases(keywords) {
+        return (keywords || []).map(keyword => typeof keyword === 'string' ? keyword : keyword.phrase);
+    }
+
+    citationKey(source, date, usedKeys) {
+        const firstWord = (TextAnalysis.contentTokens(source.title)[0] || 'source').replace(/[^a-z0-9]/g, '');
+        const base = `${String(source.source).toLowerCase().replace(/[^a-z0-9]/g, '')}${date.getFullYear()}${firstWord}`;
         
-        return relevantArticles.slice(0, 7); // Return top 7 articles
+        let key = base;
+        for (let suffix = 0; usedKeys.has(key); suffix++) {
+            key = base + String.fromCharCode(97 + (suffix % 26)) + (suffix >= 26 ? Math.floor(suffix / 26) : '');
+        }
+        usedKeys.add(key);
+        return key;
+    }
+
+    toDate(value) {
+        return value instanceof Date ? value : new Date(value);
+    }
+
+    escapeHTML(text) {
+        return SafeHTML.escape(text);
+    }
+
+    // Backslash-escapes the characters that start emphasis, code, links,
+    // headings, strikethrough and inline HTML, so remote text stays text
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]<>#~])/g, '\\$1');
+    }
+
+    // Percent-encodes what would end a link destination early
+    escapeMarkdownURL(url) {
+        return url.replace(/[()<>\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    }
+
+    escapeBibTeX(text) {
+        return String(text).replace(/([\\{}&%$#_])/g, '\\$1');
+    }
+
+    // url fields are read verbatim, so an escaping backslash would become
+    // part of the URL: braces and backslashes are percent-encoded instead,
+    // and % (a comment character) is written \% as \url expects
+    escapeBibTeXURL(url) {
+        return url
+            .replace(/[{}\\]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+            .replace(/%/g, '\\%');
+    }
+}
+
+// Compares two research runs: which sources were added, removed or moved
+// in the ranking, how the keywords changed, a sentence-level diff of the
+// summaries and the metadata that differs. "before" is usually the older run.
+class ResearchComparer {
+    // Total number of flagged changes in a changesBetween() result
+    static countChanges(changes) {
+        return changes.addedSources.length + changes.removedSources.length +
+            changes.addedKeywords.length + changes.removedKeywords.length + changes.shiftedKeywords.length;
+    }
+
+    compare(before, after) {
+        return {
+            sources: this.compareSources(before.results.sources, after.results.sources),
+            keywords: this.compareKeywords(before.results.keywords, after.results.keywords),
+            summary: this.diffSentences(this.sentences(before.results), this.sentences(after.results)),
+            metadata: this.compareMetadata(before, after)
+        };
     }
 
-    calculateRelevance(topic, content) {
-        const topicWords = topic.toLowerCase().split(' ');
-        const contentWords = content.toLowerCase().split(' ');
+    // Sources are matched by normalized URL, or by title when there is none.
+    // Ranks are 1-based like the [N] numbers in the results.
+    compareSources(beforeSources, afterSources) {
+        const key = source => SourceDeduplicator.normalizeUrl(source.url) || source.title.toLowerCase();
+        const beforeRanks = new Map(beforeSources.map((source, index) => [key(source), index + 1]));
+        const afterRanks = new Map(afterSources.map((source, index) => [key(source), index + 1]));
+        
+        const added = [];
+        const moved = [];
+        const unchanged = [];
         
-        let matches = 0;
-        topicWords.forEach(word => {
-            if (contentWords.some(cWord => cWord.includes(word) || word.includes(cWord))) {
-                matches++;
+        afterSources.forEach((source, index) => {
+            const rank = index + 1;
+            const previousRank = beforeRanks.get(key(source));
+            
+            if (previousRank === undefined) {
+                added.push({ source, rank });
+            } else if (previousRank !== rank) {
+                moved.push({ source, from: previousRank, to: rank, change: previousRank - rank });
+            } else {
+                unchanged.push({ source, rank });
             }
         });
         
-        return Math.min(matches / topicWords.length + Math.random() * 0.3, 1);
+        const removed = beforeSources
+            .map((source, index) => ({ source, rank: index + 1 }))
+            .filter(entry => !afterRanks.has(key(entry.source)));
+        
+        return { added, removed, moved, unchanged };
     }
 
-    generateWikipediaData() {
-        return [
-            {
-                title: "Artificial Intelligence",
-                summary: "Artificial intelligence (AI) is intelligence demonstrated by machines, in contrast to the natural intelligence displayed by humans and animals.",
-                url: "https://en.wikipedia.org/wiki/Artificial_intelligence",
-                source: "Wikipedia",
-                relevance: 0.95
-            },
-            {
-                title: "Machine Learning",
-                summary: "Machine learning (ML) is a type of artificial intelligence that allows software applications to become more accurate at predicting outcomes.",
-                url: "https://en.wikipedia.org/wiki/Machine_learning",
-                source: "Wikipedia",
-                relevance: 0.92
-            },
-            {
-                title: "Deep Learning",
-                summary: "Deep learning is part of a broader family of machine learning methods based on artificial neural networks with representation learning.",
-                url: "https://en.wikipedia.org/wiki/Deep_learning",
-                source: "Wikipedia",
-                relevance: 0.88
-            },
-            {
-                title: "Natural Language Processing",
-                summary: "Natural language processing (NLP) is a subfield of linguistics, computer science, and artificial intelligence concerned with interactions between computers and human language.",
-                url: "https://en.wikipedia.org/wiki/Natural_language_processing",
-                source: "Wikipedia",
-                relevance: 0.85
-            },
-            {
-                title: "Computer Vision",
-                summary: "Computer vision is an interdisciplinary scientific field that deals with how computers can gain high-level understanding from digital images or videos.",
-                url: "https://en.wikipedia.org/wiki/Computer_vision",
-                source: "Wikipedia",
-                relevance: 0.82
-            },
-            {
-                title: "Neural Network",
-                summary: "A neural network is a network or circuit of neurons, or in a modern sense, an artificial neural network, composed of artificial neurons or nodes.",
-                url: "https://en.wikipedia.org/wiki/Neural_network",
-                source: "Wikipedia",
-                relevance: 0.80
-            },
-            {
-                title: "Data Science",
-                summary: "Data science is an inter-disciplinary field that uses scientific methods, processes, algorithms and systems to extract knowledge and insights from data.",
-                url: "https://en.wikipedia.org/wiki/Data_science",
-                source: "Wikipedia",
-                relevance: 0.78
-            },
-            {
-                title: "Robotics",
-                summary: "Robotics is an interdisciplinary research area at the interface of computer science and engineering that deals with the design, construction, operation, and use of robots.",
-                url: "https://en.wikipedia.org/wiki/Robotics",
-                source: "Wikipedia",
-                relevance: 0.75
-            },
-            {
-                title: "Blockchain Technology",
-                summary: "A blockchain is a growing list of records, called blocks, that are linked and secured using cryptography for secure and transparent transactions.",
-                url: "https://en.wikipedia.org/wiki/Blockchain",
-                source: "Wikipedia",
-                relevance: 0.70
-            },
-            {
-                title: "Internet of Things",
-                summary: "The Internet of things (IoT) describes the network of physical objects that are embedded with sensors, software, and other technologies for connecting and exchanging data.",
-                url: "https://en.wikipedia.org/wiki/Internet_of_things",
-                source: "Wikipedia",
-                relevance: 0.68
+    // Compact, storable summary of what a watched topic's new run changed:
+    // sources that appeared or disappeared, keywords that appeared or were
+    // dropped, and shared keywords whose weight moved by keywordShift or more
+    changesBetween(before, after, { keywordShift = 0.15 } = {}) {
+        const sources = this.compareSources(before.results.sources, after.results.sources);
+        const keywords = this.compareKeywords(before.results.keywords, after.results.keywords);
+        const describe = ({ source }) => ({ title: source.title, url: source.url, source: source.source });
+        
+        return {
+            previousId: before.id,
+            addedSources: sources.added.map(describe),
+            removedSources: sources.removed.map(describe),
+            addedKeywords: keywords.added.map(keyword => keyword.phrase),
+            removedKeywords: keywords.removed.map(keyword => keyword.phrase),
+            shiftedKeywords: keywords.shared
+                .filter(keyword => Math.abs(keyword.change) >= keywordShift)
+                .map(keyword => ({ phrase: keyword.phrase, change: keyword.change }))
+        };
+    }
+
+    // overlap is the Jaccard similarity of the two keyword sets
+    compareKeywords(beforeKeywords, afterKeywords) {
+        const weights = keywords => new Map((keywords || []).map(keyword =>
+            typeof keyword === 'string' ? [keyword, null] : [keyword.phrase, keyword.weight]
+        ));
+        const beforeWeights = weights(beforeKeywords);
+        const afterWeights = weights(afterKeywords);
+        
+        const shared = [];
+        const added = [];
+        afterWeights.forEach((weight, phrase) => {
+            if (beforeWeights.has(phrase)) {
+                const previous = beforeWeights.get(phrase);
+                shared.push({
+                    phrase,
+                    before: previous,
+                    after: weight,
+                    change: previous !== null && weight !== null ? weight - previous : 0
+                });
+            } else {
+                added.push({ phrase, weight });
             }
-        ];
+        });
+        
+        const removed = Array.from(beforeWeights.entries())
+            .filter(([phrase]) => !afterWeights.has(phrase))
+            .map(([phrase, weight]) => ({ phrase, weight }));
+        
+        const union = beforeWeights.size + afterWeights.size - shared.length;
+        return { shared, added, removed, overlap: union ? shared.length / union : 1 };
     }
 
-    generateHackerNewsData() {
-        return [
-            {
-                title: "The Future of AI in Healthcare",
-                summary: "Discussion about how artificial intelligence is revolutionizing medical diagnosis, treatment planning, and patient care across various healthcare sectors.",
-                url: "https://news.ycombinator.com/item?id=12345",
-                source: "HackerNews",
-                relevance: 0.90
-            },
-            {
-                title: "Building Scalable Machine Learning Systems",
-                summary: "Technical discussion on architecture patterns, infrastructure choices, and best practices for deploying ML models at scale in production environments.",
-                url: "https://news.ycombinator.com/item?id=12346",
-                source: "HackerNews",
-                relevance: 0.87
-            },
-            {
-                title: "Open Source AI Tools and Frameworks",
-                summary: "Community discussion about the latest open-source tools, libraries, and frameworks that are driving innovation in artificial intelligence development.",
-                url: "https://news.ycombinator.com/item?id=12347",
-                source: "HackerNews",
-                relevance: 0.84
-            },
-            {
-                title: "Ethics in AI Development",
-                summary: "Important conversation about responsible AI development, bias mitigation, privacy concerns, and the societal impact of artificial intelligence systems.",
-                url: "https://news.ycombinator.com/item?id=12348",
-                source: "HackerNews",
-                relevance: 0.81
-            },
-            {
-                title: "Startup Success with AI Integration",
-                summary: "Real-world case studies and experiences from startups that have successfully integrated AI technologies into their products and business models.",
-                url: "https://news.ycombinator.com/item?id=12349",
-                source: "HackerNews",
-                relevance: 0.78
-            },
-            {
-                title: "Latest Breakthroughs in Research",
-                summary: "Discussion of recent academic papers, research findings, and technological breakthroughs that are pushing the boundaries of what's possible.",
-                url: "https://news.ycombinator.com/item?id=12350",
-                source: "HackerNews",
-                relevance: 0.75
-            },
-            {
-                title: "AI in Software Development",
-                summary: "How artificial intelligence is changing the way we write, test, and maintain code, including AI-powered development tools and automation.",
-                url: "https://news.ycombinator.com/item?id=12351",
-                source: "HackerNews",
-                relevance: 0.72
-            },
-            {
-                title: "Data Privacy and Security",
-                summary: "Technical discussion about protecting user data, implementing privacy-preserving technologies, and maintaining security in data-driven applications.",
-                url: "https://news.ycombinator.com/item?id=12352",
-                source: "HackerNews",
-                relevance: 0.69
-            },
-            {
-                title: "Cloud Computing Innovations",
-                summary: "Latest developments in cloud infrastructure, serverless computing, and distributed systems that enable modern application development.",
-                url: "https://news.ycombinator.com/item?id=12353",
-                source: "HackerNews",
-                relevance: 0.66
-            },
-            {
-                title: "Mobile Technology Trends",
-                summary: "Discussion about emerging mobile technologies, development frameworks, and user experience innovations in mobile application development.",
-                url: "https://news.ycombinator.com/item?id=12354",
-                source: "HackerNews",
-                relevance: 0.63
+    sentences(results) {
+        if (results.summarySentences && results.summarySentences.length) {
+            return results.summarySentences.map(sentence => sentence.text);
+        }
+        return TextAnalysis.splitSentences(String(results.summary || '').replace(/\s*\[\d+\]/g, ''));
+    }
+
+    // Longest-common-subsequence diff. Returns [{ type, text }] in reading
+    // order, type being 'same', 'removed' or 'added'.
+    diffSentences(beforeSentences, afterSentences) {
+        const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+        const a = beforeSentences.map(normalize);
+        const b = afterSentences.map(normalize);
+        
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        
+        const diff = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                diff.push({ type: 'same', text: afterSentences[j] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                diff.push({ type: 'removed', text: beforeSentences[i++] });
+            } else {
+                diff.push({ type: 'added', text: afterSentences[j++] });
             }
+        }
+        while (i < a.length) diff.push({ type: 'removed', text: beforeSentences[i++] });
+        while (j < b.length) diff.push({ type: 'added', text: afterSentences[j++] });
+        
+        return diff;
+    }
+
+    compareMetadata(before, after) {
+        const metadata = research => research.results.metadata || {};
+        const fields = [
+            { label: 'Topic', value: research => research.topic },
+            { label: 'Depth', value: research => research.depth },
+            { label: 'Date', value: research => research.startTime.toLocaleString() },
+            { label: 'Data mode', value: research => research.sourceMode || 'mock' },
+            { label: 'Sources', value: research => metadata(research).totalSources },
+            { label: 'Processing time', value: research => metadata(research).processingTime
+                ? `${(metadata(research).processingTime / 1000).toFixed(1)}s`
+                : 'Unknown' },
+            { label: 'Duplicates removed', value: research => metadata(research).duplicatesRemoved || 0 },
+            { label: 'Failed sources', value: research => (metadata(research).failedSources || []).join(', ') || 'None' }
         ];
+        
+        return fields.map(field => {
+            const beforeValue = field.value(before);
+            const afterValue = field.value(after);
+            return { label: field.label, before: beforeValue, after: afterValue, changed: beforeValue !== afterValue };
+        });
+    }
+}
+
+// Results tabs, in the order they are shown
+const RESULT_TABS = ['summary', 'sources', 'keywords', 'logs'];
+
+// Hash routes of the page: #/ (the form), #/running/<id>,
+// #/research/<id>[/<tab>] for a history entry and #/shared/<snapshot>[/<tab>]
+// for a share link. Routes are { name, id, tab }; anything unrecognized is
+// the form.
+class ResearchRoute {
+    static parse(hash) {
+        let parts;
+        try {
+            parts = String(hash || '').replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+            return { name: 'form' };
+        }
+        
+        const [name, id, tab] = parts;
+        if (name === 'running' && id) return { name, id };
+        if ((name === 'research' || name === 'shared') && id) {
+            return { name, id, tab: RESULT_TABS.includes(tab) ? tab : 'summary' };
+        }
+        return { name: 'form' };
+    }
+
+    static format(route) {
+        if (route.name === 'running') return `#/running/${encodeURIComponent(route.id)}`;
+        if (route.name === 'research' || route.name === 'shared') {
+            const tab = route.tab && route.tab !== 'summary' ? `/${route.tab}` : '';
+            return `#/${route.name}/${encodeURIComponent(route.id)}${tab}`;
+        }
+        return '#/';
+    }
+}
+
+const RESEARCH_SNAPSHOT_VERSION = 1;
+// Longest share link snapshot, in characters; beyond that source summaries
+// are left out, and if it is still too long the research cannot be shared
+const SHARE_SNAPSHOT_MAX_LENGTH = 16000;
+
+// Compact read-only copy of a research's results for share links: what the
+// results view shows, without logs, trace or score breakdowns. Encoded as
+// base64url deflate-raw JSON behind a "z", or plain JSON behind a "j" where
+// CompressionStream is not available.
+class ResearchSnapshot {
+    static create(research, { summaries = true } = {}) {
+        const results = research.results;
+        
+        return {
+            v: RESEARCH_SNAPSHOT_VERSION,
+            topic: research.topic,
+            depth: research.depth,
+            status: research.status,
+            sourceMode: research.sourceMode,
+            sources: research.sources,
+            startTime: research.startTime,
+            endTime: research.endTime,
+            offline: research.offline,
+            cachedSources: research.cachedSources,
+            filters: research.filters,
+            results: results && {
+                summary: results.summary,
+                summarySentences: (results.summarySentences || []).map(sentence => ({
+                    text: sentence.text,
+                    sourceIndex: sentence.sourceIndex
+                })),
+                sources: results.sources.map(source => ({
+                    title: source.title,
+                    summary: summaries ? source.summary : '',
+                    url: source.url,
+                    source: source.source,
+                    relevance: source.relevance,
+                    rankScore: source.rankScore,
+                    credibility: source.credibility
+                })),
+                keywords: results.keywords.map(keyword => ({
+                    phrase: keyword.phrase,
+                    weight: keyword.weight,
+                    sourceCount: keyword.sourceCount,
+                    sourceIndices: keyword.sourceIndices
+                })),
+                clusters: (results.clusters || []).map(cluster => ({
+                    label: cluster.label,
+                    sourceIndices: cluster.sourceIndices
+                })),
+                metadata: results.metadata
+            }
+        };
+    }
+
+    // Resolves to the text for a share link, or rejects when the results
+    // are too large for one
+    static async encode(research, { maxLength = SHARE_SNAPSHOT_MAX_LENGTH } = {}) {
+        for (const summaries of [true, false]) {
+            const text = await ResearchSnapshot.pack(JSON.stringify(ResearchSnapshot.create(research, { summaries })));
+            if (text.length <= maxLength) return text;
+        }
+        throw new Error('These results are too large for a share link. Export them instead.');
+    }
+
+    // Resolves to a research object for the read-only view; rejects when
+    // the text is damaged or not a snapshot
+    static async decode(text) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await ResearchSnapshot.unpack(String(text)));
+        } catch (e) {
+            throw new Error(e.name === 'SnapshotError' ? e.message : 'The share link is damaged or incomplete.');
+        }
+        if (!snapshot || snapshot.v !== RESEARCH_SNAPSHOT_VERSION) {
+            throw new Error('The share link was made by a different version of the app.');
+        }
+        
+        const { research, errors } = ResearchSchema.load({
+            schemaVersion: RESEARCH_SCHEMA_VERSION,
+            id: 'shared',
+            topic: snapshot.topic,
+            depth: snapshot.depth,
+            sources: snapshot.sources,
+            sourceMode: snapshot.sourceMode,
+            status: snapshot.status,
+            startTime: snapshot.startTime,
+            endTime: snapshot.endTime,
+            progress: 100,
+            currentStep: 1,
+            logs: [],
+            spans: [],
+            results: snapshot.results,
+            tags: [],
+            starred: false,
+            parentId: null,
+            refinement: null,
+            watchId: null,
+            changes: null,
+            offline: Boolean(snapshot.offline),
+            cachedSources: snapshot.cachedSources || {},
+            filters: CredibilityScorer.normalizeFilters(snapshot.filters)
+        });
+        if (errors) throw new Error(`The share link does not contain valid research: ${errors.join('; ')}`);
+        return research;
+    }
+
+    static async pack(json) {
+        const bytes = new TextEncoder().encode(json);
+        if (typeof CompressionStream === 'undefined') return 'j' + ResearchSnapshot.toBase64Url(bytes);
+        
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return 'z' + ResearchSnapshot.toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+    }
+
+    static async unpack(text) {
+        const bytes = ResearchSnapshot.fromBase64Url(text.slice(1));
+        if (text[0] === 'j') return new TextDecoder().decode(bytes);
+        if (text[0] !== 'z') throw new Error('Unknown snapshot encoding');
+        
+        if (typeof DecompressionStream === 'undefined') {
+            const error = new Error('This browser cannot open compressed share links.');
+            error.name = 'SnapshotError';
+            throw error;
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new TextDecoder().decode(await new Response(stream).arrayBuffer());
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    static toBase64Url(bytes) {
+        let binary = '';
+        // Chunked so large snapshots do not overflow the argument list
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
     }
 }
 
@@ -674,16 +6557,23 @@ function showTab(tabName) {
         pane.classList.remove('active');
     });
     
-    // Remove active class from all tab buttons
+    // Deselect all tab buttons; only the selected one is in the tab order
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.classList.remove('active');
+        btn.setAttribute('aria-selected', 'false');
+        btn.tabIndex = -1;
     });
     
     // Show selected tab pane
     document.getElementById(tabName + 'Tab').classList.add('active');
     
-    // Add active class to clicked button
-    event.target.classList.add('active');
+    // Select the matching button
+    const button = document.querySelector(`.tab-btn[data-tab="${tabName}"]`);
+    button.classList.add('active');
+    button.setAttribute('aria-selected', 'true');
+    button.tabIndex = 0;
+    
+    if (window.aiResearchAgent) window.aiResearchAgent.updateTabRoute(tabName);
 }
 
 // Reset Form Function
@@ -697,16 +6587,65 @@ function resetForm() {
     // Clear form
     document.getElementById('researchForm').reset();
     
-    // Scroll to top
+    if (window.aiResearchAgent) {
+        window.aiResearchAgent.sharedView = null;
+        window.aiResearchAgent.setRoute({ name: 'form' });
+        window.aiResearchAgent.updateOnlineState();
+        window.aiResearchAgent.updateCredibilityLabel();
+    }
+    
+    // Scroll to top and start typing the next topic
     window.scrollTo({ top: 0, behavior: 'smooth' });
+    document.getElementById('researchTopic').focus({ preventScroll: true });
 }
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.aiResearchAgent = new AIResearchAgent();
-});
+// Initialize the application when DOM is loaded (skipped when the file is
+// required from Node, e.g. to test the source adapters)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.aiResearchAgent = new AIResearchAgent();
+    });
+}
 
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AIResearchAgent, MockAPIService };
+    module.exports = {
+        RESEARCH_DEPTHS,
+        AIResearchAgent,
+        ResearchEngine,
+        EventEmitter,
+        MemoryStorage,
+        MockAPIService,
+        ResearchRunController,
+        ResearchPipeline,
+        ResearchBatch,
+        ErrorNotice,
+        CommandPalette,
+        SafeHTML,
+        retryWithBackoff,
+        withTimeout,
+        runWithConcurrency,
+        TextAnalysis,
+        ExtractiveSummarizer,
+        KeyphraseExtractor,
+        RelevanceRanker,
+        CredibilityScorer,
+        SourceDeduplicator,
+        SourceClusterer,
+        ResearchExporter,
+        ResearchComparer,
+        ResearchRoute,
+        ResearchSnapshot,
+        ResearchSchema,
+        IndexedDBHistoryStore,
+        MemoryHistoryStore,
+        SourceAdapter,
+        SourceRegistry,
+        SourceCache,
+        MockWikipediaSource,
+        MockHackerNewsSource,
+        LiveSourceAdapter,
+        WikipediaSource,
+        HackerNewsSource
+    };
 }
\ No newline at end of file
@@ -0,0 +1,89 @@
+// AI Research Agent - Service Worker
+//
+// Keeps the app shell (the page, its script and styles and the Font Awesome
+// stylesheet and fonts) in a versioned cache so the app opens without a
+// network. Research data is not cached here: the ResearchEngine keeps source
+// responses in its own SourceCache.
+
+const SHELL_CACHE = 'ai-research-shell-v2';
+const ICONS_ORIGIN = 'https://cdnjs.cloudflare.com';
+const ICONS_PATH = `${ICONS_ORIGIN}/ajax/libs/font-awesome/6.0.0`;
+// The stylesheet loads its fonts itself, so they are listed here too;
+// otherwise the icons are missing offline until each font has loaded once
+// while the service worker was in control
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    `${ICONS_PATH}/css/all.min.css`,
+    `${ICONS_PATH}/webfonts/fa-solid-900.woff2`,
+    `${ICONS_PATH}/webfonts/fa-regular-400.woff2`,
+    `${ICONS_PATH}/webfonts/fa-brands-400.woff2`
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shell caches left behind by older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('ai-research-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Pages try the network first so a new version shows up as soon as
+    // there is one, and fall back to the cached shell
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(SHELL_CACHE).then(cache => cache.put('index.html', copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match('index.html'))
+        );
+        return;
+    }
+
+    // Shell files and icons are served from the cache. Shell files are
+    // refreshed in the background, so an update shows up on the next load;
+    // the versioned icon files never change and are not fetched again. Any
+    // other icon file the stylesheet asks for is cached when it first loads.
+    // API requests are left to the page.
+    if (url.origin === self.location.origin || url.origin === ICONS_ORIGIN) {
+        event.respondWith(caches.open(SHELL_CACHE).then(cache =>
+            cache.match(request).then(cached => {
+                const refresh = cached && url.origin === ICONS_ORIGIN
+                    ? null
+                    : fetch(request).then(response => {
+                        if (response.ok) cache.put(request, response.clone());
+                        return response;
+                    });
+                if (cached) {
+                    if (refresh) refresh.catch(() => {});
+                    return cached;
+                }
+                return refresh;
+            })
+        ));
+    }
+});
@@ -0,0 +1,100 @@
+// Batch research: parsing pasted lists and CSV files into topic rows, and
+// runBatch() keeping to the batch's concurrency limit.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchBatch, SourceAdapter } = require('../script.js');
+const { scriptedSource, hang, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+test('parseCSVLine() splits on commas outside quotes', () => {
+    const cases = [
+        ['Quantum computing,basic', ['Quantum computing', 'basic']],
+        ['"Machine learning, deep learning",detailed', ['Machine learning, deep learning', 'detailed']],
+        ['"The ""attention"" paper",basic', ['The "attention" paper', 'basic']],
+        ['"a,b","c,d"', ['a,b', 'c,d']],
+        ['Topic only', ['Topic only']],
+        [',basic', ['', 'basic']],
+        ['Trailing comma,', ['Trailing comma', '']]
+    ];
+    cases.forEach(([line, fields]) => assert.deepEqual(ResearchBatch.parseCSVLine(line), fields, line));
+});
+
+test('parse() reads a topic and an optional depth per row', () => {
+    const { rows, errors } = ResearchBatch.parse([
+        'topic,depth',
+        'Quantum computing,basic',
+        '  "Machine learning, deep learning" , Comprehensive ',
+        '',
+        'Neural networks'
+    ].join('\r\n'), 'detailed');
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rows, [
+        { topic: 'Quantum computing', depth: 'basic' },
+        { topic: 'Machine learning, deep learning', depth: 'comprehensive' },
+        { topic: 'Neural networks', depth: 'detailed' }
+    ]);
+});
+
+test('parse() skips a header row after a byte order mark', () => {
+    const { rows, errors } = ResearchBatch.parse('\uFEFFtopic,depth\nQuantum computing,basic\n', 'detailed');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rows, [{ topic: 'Quantum computing', depth: 'basic' }]);
+
+    // Without a header the first topic keeps its first character
+    assert.deepEqual(ResearchBatch.parse('\uFEFFQubits').rows, [{ topic: 'Qubits', depth: 'detailed' }]);
+});
+
+test('parse() reports rows with a bad depth or no topic by row number', () => {
+    const { rows, errors } = ResearchBatch.parse('topic,depth\nQuantum computing,deep\n,basic\nQubits,basic\nGates,BASIC ');
+    assert.deepEqual(rows, [{ topic: 'Qubits', depth: 'basic' }, { topic: 'Gates', depth: 'basic' }]);
+    assert.deepEqual(errors, [
+        'Row 2: unknown depth "deep" (use basic, detailed, comprehensive)',
+        'Row 3: missing topic'
+    ]);
+});
+
+test('runBatch() researches at most `concurrency` topics at once', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const source = scriptedSource(SourceAdapter, {
+        search: async (topic, options, adapter) => {
+            running++;
+            mostRunning = Math.max(mostRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            running--;
+            return QUANTUM_ARTICLES.map(article => adapter.normalize(article));
+        }
+    });
+    const engine = createEngine([source]);
+    await engine.ready;
+    const updates = [];
+    engine.on('batch:update', ({ batch }) => updates.push(batch.counts().running));
+
+    const topics = ['Quantum computing', 'Qubits', 'Quantum error correction', 'Quantum gates', 'Quantum annealing'];
+    const batch = new ResearchBatch(topics.map(topic => ({ topic, depth: 'basic' })), { concurrency: 2, sources: ['fixture'] });
+    assert.equal(await engine.runBatch(batch), batch);
+
+    assert.equal(mostRunning, 2);
+    assert.equal(Math.max(...updates), 2);
+    assert.deepEqual(batch.counts(), { queued: 0, running: 0, done: 5, failed: 0, cancelled: 0 });
+    assert.deepEqual(
+        batch.items.map(item => engine.researchHistory.find(research => research.id === item.researchId).topic),
+        topics
+    );
+});
+
+test('cancelling a batch cancels running items and leaves queued ones unrun', async () => {
+    const engine = createEngine([scriptedSource(SourceAdapter, { search: hang })], { fetchPolicy: { concurrency: 1, timeout: 60000 } });
+    await engine.ready;
+
+    const batch = new ResearchBatch(['One', 'Two', 'Three'].map(topic => ({ topic, depth: 'basic' })), { concurrency: 1, sources: ['fixture'] });
+    engine.on('source:update', ({ changes }) => {
+        if (changes.state === 'fetching') batch.cancel();
+    });
+    await engine.runBatch(batch);
+
+    assert.deepEqual(batch.items.map(item => item.status), ['cancelled', 'cancelled', 'cancelled']);
+    assert.deepEqual(batch.items.map(item => item.researchId !== null), [true, false, false]);
+    assert.equal(engine.researchHistory.length, 1);
+});
@@ -0,0 +1,156 @@
+// The command-line front end: exit statuses, topics files with their own
+// depths, reusing runs from a history file and how that file is written.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { ResearchSchema } = require('../script.js');
+const { FileHistoryStore } = require('../cli.js');
+const { ROOT } = require('./helpers');
+
+const CLI = path.join(ROOT, 'cli.js');
+const FAILING_TOPIC = path.join(__dirname, 'fixtures', 'failing-topic.js');
+
+// Runs cli.js in its own process and resolves with its exit status and
+// output; preload is a module loaded before it
+function runCLI(args, { preload = null, input = null } = {}) {
+    const argv = preload ? ['--require', preload, CLI, ...args] : [CLI, ...args];
+    return new Promise(resolve => {
+        const child = execFile(process.execPath, argv, { cwd: ROOT, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ status: error ? error.code : 0, stdout, stderr });
+        });
+        child.stdin.end(input === null ? '' : input);
+    });
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'research-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function readHistory(file) {
+    return ResearchSchema.extractRecords(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+test('usage errors exit with status 2', async (t) => {
+    const dir = tempDir(t);
+    const badTopics = path.join(dir, 'topics.csv');
+    fs.writeFileSync(badTopics, 'topic,depth\nQuantum computing,deep\n');
+
+    const cases = [
+        [[], /No topic given/],
+        [['Quantum computing', '--depth', 'deep'], /Unknown depth "deep"/],
+        [['Quantum computing', '--format', 'pdf'], /Unknown format "pdf"/],
+        [['Quantum computing', '--concurrency', '0'], /--concurrency must be a whole number/],
+        [['Quantum computing', '--reuse'], /--reuse needs a --history file/],
+        [['Quantum computing', '--bogus'], /Unknown option --bogus/],
+        [['Quantum computing', '--depth'], /--depth needs a value/],
+        [['Quantum computing', '--sources', 'arxiv'], /Unknown source arxiv/],
+        [['--topics', badTopics], /Row 2: unknown depth "deep"/]
+    ];
+    for (const [args, message] of cases) {
+        const { status, stdout, stderr } = await runCLI(args);
+        assert.equal(status, 2, args.join(' '));
+        assert.match(stderr, message);
+        assert.match(stderr, /Run with --help for usage/);
+        assert.equal(stdout, '');
+    }
+});
+
+test('--help prints the usage and exits with status 0', async () => {
+    const { status, stdout } = await runCLI(['--help']);
+    assert.equal(status, 0);
+    assert.match(stdout, /^Usage: node cli\.js/);
+});
+
+test('--topics rows keep their own depth', async (t) => {
+    const dir = tempDir(t);
+    const history = path.join(dir, 'history.json');
+
+    const { status, stdout } = await runCLI(
+        ['--topics', '-', '--depth', 'detailed', '--format', 'json', '--history', history, '-c', '2', '-q'],
+        { input: 'topic,depth\nQuantum computing,basic\n"Machine learning, deep learning",comprehensive\nNeural networks\n' }
+    );
+    assert.equal(status, 0);
+
+    const depths = research => Object.fromEntries(research.map(entry => [entry.topic, entry.depth]));
+    const expected = {
+        'Quantum computing': 'basic',
+        'Machine learning, deep learning': 'comprehensive',
+        'Neural networks': 'detailed'
+    };
+    assert.deepEqual(depths(ResearchSchema.extractRecords(JSON.parse(stdout))), expected);
+    assert.deepEqual(depths(readHistory(history)), expected);
+});
+
+test('--reuse prints a matching run from history and researches the rest', async (t) => {
+    const dir = tempDir(t);
+    const history = path.join(dir, 'history.json');
+
+    const first = await runCLI(['Quantum computing', '--depth', 'basic', '--history', history, '-q']);
+    assert.equal(first.status, 0);
+    const [stored] = readHistory(history);
+
+    // Same topic, depth and sources: printed from history
+    const hit = await runCLI(['quantum computing', '--depth', 'basic', '--history', history, '--reuse']);
+    assert.equal(hit.status, 0);
+    assert.match(hit.stderr, new RegExp(`Reusing "Quantum computing" \\(${stored.id}\\) from history`));
+    assert.doesNotMatch(hit.stderr, /Research workflow completed/);
+    assert.equal(hit.stdout, first.stdout);
+    assert.equal(readHistory(history).length, 1);
+
+    // Another depth is not a match, so it is researched and appended
+    const miss = await runCLI(['Quantum computing', '--depth', 'detailed', '--history', history, '--reuse']);
+    assert.equal(miss.status, 0);
+    assert.doesNotMatch(miss.stderr, /Reusing/);
+    assert.match(miss.stderr, /Research workflow completed/);
+    assert.deepEqual(readHistory(history).map(research => research.depth), ['detailed', 'basic']);
+});
+
+test('a failed topic exits with status 1 and is listed in the batch report', async () => {
+    const { status, stdout, stderr } = await runCLI(
+        ['Quantum computing', 'Failing topic', '--depth', 'basic', '-c', '2'],
+        { preload: FAILING_TOPIC }
+    );
+    assert.equal(status, 1);
+    assert.match(stderr, /"Failing topic" failed: Keyword extraction failed/);
+    assert.match(stdout, /\| 1 \| Quantum computing \| basic \| done \|/);
+    assert.match(stdout, /\| 2 \| Failing topic \| basic \| failed \|/);
+});
+
+test('a single failed topic exits with status 1 and prints no report', async () => {
+    const { status, stdout, stderr } = await runCLI(['Failing topic', '--depth', 'basic'], { preload: FAILING_TOPIC });
+    assert.equal(status, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /"Failing topic" failed/);
+});
+
+test('FileHistoryStore writes a temporary file and renames it over the history', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'history.json');
+    fs.writeFileSync(file, '[]');
+
+    const calls = [];
+    const { writeFileSync, renameSync } = fs;
+    fs.writeFileSync = (target, ...rest) => {
+        calls.push(['write', target]);
+        return writeFileSync(target, ...rest);
+    };
+    fs.renameSync = (from, to) => {
+        calls.push(['rename', from, to]);
+        return renameSync(from, to);
+    };
+    t.after(() => Object.assign(fs, { writeFileSync, renameSync }));
+
+    const store = new FileHistoryStore(file);
+    await store.getAll();
+    await store.put({ id: 'research_1', topic: 'Quantum computing', startTime: '2024-05-01T10:00:00.000Z' });
+
+    assert.deepEqual(calls, [['write', `${file}.tmp`], ['rename', `${file}.tmp`, file]]);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+    assert.deepEqual(readHistory(file).map(research => research.id), ['research_1']);
+});
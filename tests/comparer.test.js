@@ -0,0 +1,117 @@
+// ResearchComparer: the LCS diff of summary sentences, added, removed and
+// re-ranked sources, keyword changes and the metadata table.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchComparer } = require('../script.js');
+
+const comparer = new ResearchComparer();
+
+function research(id, { sentences, sources, keywords, metadata = {} }) {
+    return {
+        id,
+        topic: 'Quantum computing',
+        depth: 'basic',
+        sourceMode: 'mock',
+        startTime: new Date('2024-05-01T10:00:00Z'),
+        results: {
+            summary: sentences.join(' '),
+            summarySentences: sentences.map(text => ({ text, sourceIndex: 0 })),
+            sources: sources.map(([title, url]) => ({ title, url, source: 'Fixture' })),
+            keywords: keywords.map(([phrase, weight]) => ({ phrase, weight })),
+            metadata: { totalSources: sources.length, ...metadata }
+        }
+    };
+}
+
+const before = research('research_1', {
+    sentences: ['Qubits keep superposition.', 'Gates act on qubits.', 'Error rates are high.', 'Cooling is expensive.'],
+    sources: [
+        ['Qubits', 'https://example.com/qubits'],
+        ['Gates', 'https://example.com/gates'],
+        ['Errors', 'https://example.com/errors'],
+        ['Untitled', '']
+    ],
+    keywords: [['qubits', 1], ['gates', 0.6], ['cooling', 0.3]],
+    metadata: { processingTime: 1200, failedSources: [] }
+});
+const after = research('research_2', {
+    sentences: ['Qubits  keep SUPERPOSITION.', 'Error rates are falling.', 'Gates act on qubits.', 'Cooling is expensive.'],
+    sources: [
+        ['Gates', 'https://www.example.com/gates/'],
+        ['Qubits', 'http://example.com/qubits?utm_source=feed'],
+        ['Annealing', 'https://example.com/annealing'],
+        ['untitled', '']
+    ],
+    keywords: [['qubits', 0.7], ['gates', 0.65], ['annealing', 0.4]],
+    metadata: { processingTime: 900, duplicatesRemoved: 2, failedSources: ['hackernews'] }
+});
+
+test('diffSentences() keeps the longest common run of sentences', () => {
+    // Case and spacing do not count as changes; the text shown is the new one
+    assert.deepEqual(comparer.compare(before, after).summary, [
+        { type: 'same', text: 'Qubits  keep SUPERPOSITION.' },
+        { type: 'added', text: 'Error rates are falling.' },
+        { type: 'same', text: 'Gates act on qubits.' },
+        { type: 'removed', text: 'Error rates are high.' },
+        { type: 'same', text: 'Cooling is expensive.' }
+    ]);
+    assert.deepEqual(comparer.diffSentences(['A.', 'B.', 'C.'], ['B.', 'C.', 'D.']), [
+        { type: 'removed', text: 'A.' },
+        { type: 'same', text: 'B.' },
+        { type: 'same', text: 'C.' },
+        { type: 'added', text: 'D.' }
+    ]);
+    assert.deepEqual(comparer.diffSentences([], ['A.']), [{ type: 'added', text: 'A.' }]);
+    assert.deepEqual(comparer.diffSentences(['A.'], []), [{ type: 'removed', text: 'A.' }]);
+});
+
+test('sentences() falls back to the summary text without citations', () => {
+    assert.deepEqual(comparer.sentences({ summary: 'One thing [1]. Two things [2].' }), ['One thing.', 'Two things.']);
+});
+
+test('compareSources() matches sources by normalized URL, or title without one', () => {
+    const { added, removed, moved, unchanged } = comparer.compare(before, after).sources;
+    const titles = entries => entries.map(entry => [entry.source.title, entry.rank]);
+
+    assert.deepEqual(titles(added), [['Annealing', 3]]);
+    assert.deepEqual(titles(removed), [['Errors', 3]]);
+    assert.deepEqual(moved.map(({ source, from, to, change }) => [source.title, from, to, change]), [
+        ['Gates', 2, 1, 1],
+        ['Qubits', 1, 2, -1]
+    ]);
+    assert.deepEqual(titles(unchanged), [['untitled', 4]]);
+});
+
+test('compareKeywords() reports shared, added and removed keywords', () => {
+    const { shared, added, removed, overlap } = comparer.compare(before, after).keywords;
+    assert.deepEqual(shared.map(keyword => [keyword.phrase, keyword.before, keyword.after]), [['qubits', 1, 0.7], ['gates', 0.6, 0.65]]);
+    assert.deepEqual(added, [{ phrase: 'annealing', weight: 0.4 }]);
+    assert.deepEqual(removed, [{ phrase: 'cooling', weight: 0.3 }]);
+    assert.equal(overlap, 2 / 4);
+});
+
+test('changesBetween() keeps keyword shifts of at least keywordShift', () => {
+    const changes = comparer.changesBetween(before, after);
+    assert.equal(changes.previousId, 'research_1');
+    assert.deepEqual(changes.addedSources, [{ title: 'Annealing', url: 'https://example.com/annealing', source: 'Fixture' }]);
+    assert.deepEqual(changes.removedSources, [{ title: 'Errors', url: 'https://example.com/errors', source: 'Fixture' }]);
+    assert.deepEqual(changes.addedKeywords, ['annealing']);
+    assert.deepEqual(changes.removedKeywords, ['cooling']);
+    assert.deepEqual(changes.shiftedKeywords.map(keyword => keyword.phrase), ['qubits']);
+    assert.ok(Math.abs(changes.shiftedKeywords[0].change + 0.3) < 1e-9);
+    assert.equal(ResearchComparer.countChanges(changes), 5);
+
+    assert.deepEqual(comparer.changesBetween(before, after, { keywordShift: 0.01 }).shiftedKeywords.map(keyword => keyword.phrase), ['qubits', 'gates']);
+});
+
+test('compareMetadata() flags the fields that changed', () => {
+    const changed = comparer.compare(before, after).metadata
+        .filter(field => field.changed)
+        .map(({ label, before, after }) => [label, before, after]);
+    assert.deepEqual(changed, [
+        ['Processing time', '1.2s', '0.9s'],
+        ['Duplicates removed', 0, 2],
+        ['Failed sources', 'None', 'hackernews']
+    ]);
+});
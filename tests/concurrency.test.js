@@ -0,0 +1,96 @@
+// runWithConcurrency() on its own, then Data Gathering keeping to the
+// fetch policy's concurrency and reporting progress per source.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runWithConcurrency, SourceAdapter } = require('../script.js');
+const { scriptedSource, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A worker that records how many calls are in flight at once
+function countingWorker(wait = item => item) {
+    const counter = { running: 0, most: 0, started: [] };
+    counter.worker = async (item, index) => {
+        counter.running++;
+        counter.most = Math.max(counter.most, counter.running);
+        counter.started.push(index);
+        await delay(wait(item));
+        counter.running--;
+        return item * 10;
+    };
+    return counter;
+}
+
+test('runWithConcurrency() keeps at most `limit` calls in flight', async () => {
+    const cases = [[1, 1], [2, 2], [3, 3], [10, 5], [0, 1], [-1, 1]];
+    for (const [limit, most] of cases) {
+        const counter = countingWorker();
+        const results = await runWithConcurrency([5, 1, 3, 2, 4], limit, counter.worker);
+        assert.equal(counter.most, most, `limit ${limit}`);
+        assert.deepEqual(results, [50, 10, 30, 20, 40], `limit ${limit}`);
+        assert.deepEqual(counter.started, [0, 1, 2, 3, 4], `limit ${limit}`);
+    }
+});
+
+test('runWithConcurrency() starts the next item as soon as a call finishes', async () => {
+    // With two lanes the slow first item holds one while the rest go
+    // through the other
+    const finished = [];
+    await runWithConcurrency([40, 1, 1, 1], 2, async (wait, index) => {
+        await delay(wait);
+        finished.push(index);
+    });
+    assert.deepEqual(finished, [1, 2, 3, 0]);
+    assert.deepEqual(await runWithConcurrency([], 3, async () => 1), []);
+});
+
+test('runWithConcurrency() rejects with the first error', async () => {
+    await assert.rejects(runWithConcurrency([1, 2, 3], 2, async item => {
+        if (item === 2) throw new Error('Item 2 failed');
+        return item;
+    }), { message: 'Item 2 failed' });
+});
+
+test('Data Gathering queries at most fetchPolicy.concurrency sources at once', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const search = async (topic, options, adapter) => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await delay(10);
+        running--;
+        return QUANTUM_ARTICLES.map(article => adapter.normalize(article));
+    };
+    const ids = ['one', 'two', 'three', 'four', 'five'];
+    const engine = createEngine(
+        ids.map(id => scriptedSource(SourceAdapter, { id, name: id.toUpperCase(), search })),
+        { fetchPolicy: { concurrency: 2, timeout: 1000 } }
+    );
+    await engine.ready;
+
+    const states = {};
+    engine.on('source:update', ({ id, changes }) => {
+        if (changes.state) (states[id] = states[id] || []).push(changes.state);
+    });
+    let gathering = false;
+    const progress = [];
+    engine.on('step:start', ({ step }) => {
+        gathering = step.name === 'Data Gathering';
+    });
+    engine.on('progress', event => {
+        if (gathering) progress.push(event.progress);
+    });
+
+    const research = engine.createResearch('Quantum computing', 'basic', ids);
+    await engine.run(research);
+
+    assert.equal(research.status, 'completed');
+    assert.equal(mostRunning, 2);
+    assert.ok(research.logs.some(entry => entry.message === 'Querying 5 sources, 2 at a time'));
+    ids.forEach(id => assert.deepEqual(states[id], ['fetching', 'done'], id));
+
+    // Progress moves through the step once per finished source
+    const index = engine.pipeline.indexOf('Data Gathering');
+    assert.deepEqual(progress, [1, 2, 3, 4, 5, 5].map(done => engine.pipeline.progressAt(index, done / ids.length)));
+});
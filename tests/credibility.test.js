@@ -0,0 +1,140 @@
+// CredibilityScorer: the type, domain, recency and engagement weights that
+// make up a score, the filter helpers, and runs with minCredibility and
+// excludeDomains set.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CredibilityScorer, SourceAdapter } = require('../script.js');
+const { fixedSource, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const DAY = 86400000;
+const scorer = new CredibilityScorer({ now: () => NOW });
+
+const effects = source => Object.fromEntries(scorer.score(source).reasons.map(reason => [reason.factor, reason.effect]));
+
+test('the source type sets the starting score', () => {
+    const cases = [['encyclopedia', 0.75], ['news', 0.65], ['web', 0.5], ['discussion', 0.4], ['unknown', 0.5], [undefined, 0.5]];
+    cases.forEach(([type, score]) => {
+        assert.equal(scorer.score({ type, url: 'https://example.com/page' }).score, score, String(type));
+    });
+    assert.equal(new CredibilityScorer({ typeWeights: { web: 0.3 } }).score({ type: 'web' }).score, 0.3);
+});
+
+test('reputable domains add to the score and self-published platforms take away', () => {
+    const cases = [
+        ['https://en.wikipedia.org/wiki/Qubit', 0.15],
+        ['https://www.nature.com/articles/1', 0.15],
+        ['https://cs.stanford.edu/qubits', 0.15],
+        ['https://www.nasa.gov/quantum', 0.15],
+        ['https://someone.medium.com/qubits', -0.1],
+        ['https://www.reddit.com/r/QuantumComputing', -0.1],
+        ['https://notwikipedia.org/qubits', undefined],
+        ['https://example.com/qubits', undefined],
+        ['not a url', undefined]
+    ];
+    cases.forEach(([url, effect]) => assert.equal(effects({ type: 'web', url }).domain, effect, url));
+});
+
+test('recent sources gain and old sources lose', () => {
+    const cases = [
+        [new Date(NOW - 10 * DAY).toISOString(), 0.1],
+        [new Date(NOW - 90 * DAY).toISOString(), 0.1],
+        [new Date(NOW - 91 * DAY).toISOString(), 0],
+        [new Date(NOW - 3 * 365 * DAY).toISOString(), 0],
+        [new Date(NOW - 4 * 365 * DAY).toISOString(), -0.1],
+        [new Date(NOW + 5 * DAY).toISOString(), 0.1],
+        ['not a date', undefined],
+        [null, undefined]
+    ];
+    cases.forEach(([publishedAt, effect]) => assert.equal(effects({ type: 'web', publishedAt }).recency, effect, String(publishedAt)));
+});
+
+test('engagement counts on a log scale within its limits', () => {
+    const cases = [[0, 0, -0.08], [5, 4, 0], [90, 9, 0.08], [100000, 5000, 0.2]];
+    cases.forEach(([points, comments, effect]) => {
+        assert.equal(effects({ type: 'discussion', engagement: { points, comments } }).engagement, effect, `${points}/${comments}`);
+    });
+});
+
+test('the signals add up to a score between 0 and 1 with a level', () => {
+    const result = scorer.score({
+        type: 'encyclopedia',
+        url: 'https://en.wikipedia.org/wiki/Qubit',
+        publishedAt: new Date(NOW - 30 * DAY).toISOString()
+    });
+    assert.equal(result.score, 1);
+    assert.equal(result.level, 'high');
+    assert.deepEqual(result.reasons.map(reason => reason.text), [
+        'Encyclopedia article',
+        'Reputable domain (en.wikipedia.org)',
+        'Published 30 days ago'
+    ]);
+
+    const low = scorer.score({ type: 'discussion', url: 'https://reddit.com/r/x', engagement: { points: 0, comments: 0 } });
+    assert.equal(low.score, 0.22);
+    assert.equal(low.level, 'low');
+
+    const levels = [[0.7, 'high'], [0.69, 'medium'], [0.45, 'medium'], [0.44, 'low']];
+    levels.forEach(([score, level]) => assert.equal(CredibilityScorer.level(score), level, String(score)));
+});
+
+test('normalizeDomain() and normalizeFilters() clean up what the form sends', () => {
+    const cases = [
+        ['https://www.Example.com/page?q=1', 'example.com'],
+        ['*.medium.com', 'medium.com'],
+        ['  reddit.com  ', 'reddit.com'],
+        ['localhost', ''],
+        ['not a domain', '']
+    ];
+    cases.forEach(([text, domain]) => assert.equal(CredibilityScorer.normalizeDomain(text), domain, text));
+
+    assert.deepEqual(CredibilityScorer.normalizeFilters(), { minCredibility: 0, excludeDomains: [] });
+    assert.deepEqual(
+        CredibilityScorer.normalizeFilters({ minCredibility: '1.5', excludeDomains: ['www.reddit.com', 'reddit.com', 'nope'] }),
+        { minCredibility: 1, excludeDomains: ['reddit.com'] }
+    );
+    assert.deepEqual(CredibilityScorer.normalizeFilters({ minCredibility: -1, excludeDomains: 'reddit.com' }), { minCredibility: 0, excludeDomains: [] });
+});
+
+async function runWithFilters(filters) {
+    const engine = createEngine([fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES })]);
+    await engine.ready;
+    const research = engine.createResearch('Quantum computing', 'basic', ['fixture'], { filters });
+    await engine.run(research);
+    return { research, messages: research.logs.map(entry => entry.message) };
+}
+
+test('a run leaves out sources below minCredibility', async () => {
+    // The two Wikipedia articles score 0.65 as web pages, the other one 0.5
+    const { research, messages } = await runWithFilters({ minCredibility: 0.6 });
+
+    assert.equal(research.status, 'completed');
+    assert.deepEqual(research.results.sources.map(source => source.title).sort(), ['Quantum computing', 'Qubit']);
+    assert.equal(research.results.sources.every(source => source.credibility.score >= 0.6), true);
+    assert.equal(research.results.metadata.filteredSources, 1);
+    assert.ok(messages.includes('Dropped 1 source below 60% credibility'));
+});
+
+test('a run leaves out sources from excluded domains and their subdomains', async () => {
+    const { research, messages } = await runWithFilters({ excludeDomains: ['https://www.Wikipedia.org/wiki'] });
+
+    assert.equal(research.status, 'completed');
+    assert.deepEqual(research.filters.excludeDomains, ['wikipedia.org']);
+    assert.deepEqual(research.results.sources.map(source => source.url), ['https://example.com/error-correction']);
+    assert.equal(research.results.metadata.filteredSources, 2);
+    assert.ok(messages.includes('Excluded 2 sources from wikipedia.org'));
+});
+
+test('a run fails when no source passes the filters', async () => {
+    const { research, messages } = await runWithFilters({ minCredibility: 0.6, excludeDomains: ['wikipedia.org'] });
+
+    assert.equal(research.status, 'failed');
+    assert.equal(research.error.stepName, 'Processing');
+    assert.equal(
+        research.error.message,
+        'None of the 3 gathered sources passed the credibility filters. Lower the minimum credibility or exclude fewer domains.'
+    );
+    assert.ok(messages.includes('Excluded 2 sources from wikipedia.org'));
+    assert.ok(messages.includes('Dropped 1 source below 60% credibility'));
+});
@@ -0,0 +1,102 @@
+// SourceDeduplicator (URL normalization and MinHash near-duplicates, and
+// the duplicatesRemoved count a run records) and SourceClusterer labels.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SourceDeduplicator, SourceClusterer, SourceAdapter } = require('../script.js');
+const { fixedSource, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+test('normalizeUrl() maps the forms of one page to the same key', () => {
+    const cases = [
+        ['https://en.wikipedia.org/wiki/Qubit', 'en.wikipedia.org/wiki/Qubit'],
+        ['http://en.m.wikipedia.org/wiki/Qubit/', 'en.wikipedia.org/wiki/Qubit'],
+        ['https://WWW.Example.com/a/?b=2&a=1#top', 'example.com/a?a=1&b=2'],
+        ['https://m.example.com/a?utm_source=feed&utm_medium=rss&fbclid=x&id=7', 'example.com/a?id=7'],
+        ['https://mobile.example.com:8080/caf%C3%A9', 'example.com:8080/café'],
+        ['https://example.com/bad%E0%A4%A', 'example.com/bad%E0%A4%A'],
+        ['  Not a URL  ', 'not a url'],
+        [null, '']
+    ];
+    cases.forEach(([url, key]) => assert.equal(SourceDeduplicator.normalizeUrl(url), key, String(url)));
+});
+
+test('dedupe() removes the same URL, similar titles and similar text', () => {
+    const sources = [
+        { title: 'Quantum computing', summary: 'Quantum computing uses qubits to run quantum algorithms on hardware.', url: 'https://en.wikipedia.org/wiki/Quantum_computing' },
+        { title: 'Quantum computing - Wikipedia', summary: 'Another copy.', url: 'http://en.m.wikipedia.org/wiki/Quantum_computing/?utm_source=x#History' },
+        { title: 'Quantum Computing!', summary: 'Totally different words about nothing at all.', url: 'https://example.com/1' },
+        { title: 'A primer', summary: 'Quantum computing uses qubits to run quantum algorithms on real hardware.', url: 'https://example.com/2' },
+        { title: 'Superconducting qubits', summary: 'Transmon qubits need cryogenic refrigerators.', url: 'https://example.com/3' }
+    ];
+    const { sources: kept, duplicates } = new SourceDeduplicator().dedupe(sources);
+
+    assert.deepEqual(kept, [sources[0], sources[4]]);
+    assert.deepEqual(
+        duplicates.map(({ source, duplicateOf, reason }) => [source.url, duplicateOf, reason]),
+        [
+            ['http://en.m.wikipedia.org/wiki/Quantum_computing/?utm_source=x#History', 0, 'url'],
+            ['https://example.com/1', 0, 'title'],
+            ['https://example.com/2', 0, 'content']
+        ]
+    );
+    assert.equal(duplicates[0].similarity, 1);
+    assert.equal(duplicates[1].similarity, 1);
+    assert.ok(duplicates[2].similarity >= 0.5 && duplicates[2].similarity < 1, String(duplicates[2].similarity));
+});
+
+test('dedupe() gives the same result every time', () => {
+    const sources = QUANTUM_ARTICLES.concat(QUANTUM_ARTICLES.map(article => ({ ...article, url: `${article.url}?copy=1` })));
+    const first = new SourceDeduplicator().dedupe(sources);
+    const second = new SourceDeduplicator().dedupe(sources);
+    assert.deepEqual(first, second);
+    assert.equal(first.sources.length, QUANTUM_ARTICLES.length);
+});
+
+test('a run records how many duplicates it removed', async () => {
+    // The second source returns the first article again under a mobile URL
+    const copy = { ...QUANTUM_ARTICLES[0], url: 'https://en.m.wikipedia.org/wiki/Quantum_computing' };
+    const engine = createEngine([
+        fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES }),
+        fixedSource(SourceAdapter, { id: 'mirror', name: 'Mirror', articles: [copy] })
+    ]);
+    await engine.ready;
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+
+    assert.equal(research.status, 'completed');
+    assert.equal(research.results.metadata.duplicatesRemoved, 1);
+    assert.equal(research.results.sources.length, QUANTUM_ARTICLES.length);
+    const messages = research.logs.map(entry => entry.message);
+    assert.ok(messages.includes('Removed duplicate "Quantum computing" (Mirror): same URL as "Quantum computing"'));
+    assert.ok(messages.includes(`Kept ${QUANTUM_ARTICLES.length} of ${QUANTUM_ARTICLES.length + 1} gathered sources`));
+});
+
+test('SourceClusterer labels clusters by their shared terms', () => {
+    const sources = [
+        { title: 'Deep Learning for image recognition', summary: 'Deep learning networks recognize images with convolutional layers.' },
+        { title: 'Deep Learning in speech', summary: 'Deep learning networks transcribe speech with recurrent layers.' },
+        { title: 'AI ethics and bias', summary: 'Ethics of AI covers bias and fairness in decisions.' },
+        { title: 'Bias in AI hiring', summary: 'Hiring tools show bias; ethics boards review fairness.' },
+        { title: 'Robot vacuum review', summary: 'A vacuum robot cleans floors.' },
+        { title: 'Chess engines', summary: 'Engines play chess.' }
+    ];
+    const clusters = new SourceClusterer().cluster('artificial intelligence', sources);
+
+    // Adjacent terms in a title read as a phrase, others are joined with
+    // "&"; sources that match nothing are pooled under "Other"
+    assert.deepEqual(clusters.map(({ id, label, sourceIndices }) => ({ id, label, sourceIndices })), [
+        { id: 1, label: 'Deep Learning', sourceIndices: [0, 1] },
+        { id: 2, label: 'Bias & AI', sourceIndices: [2, 3] },
+        { id: 3, label: 'Other', sourceIndices: [4, 5] }
+    ]);
+});
+
+test('SourceClusterer keeps unrelated sources as their own clusters when nothing groups', () => {
+    const clusters = new SourceClusterer().cluster('household', [
+        { title: 'Robot vacuum review', summary: 'A vacuum robot cleans floors.' },
+        { title: 'Chess engines', summary: 'Engines play chess.' }
+    ]);
+    assert.deepEqual(clusters.map(cluster => cluster.label), ['Robot Vacuum', 'Chess Engines']);
+    assert.deepEqual(new SourceClusterer().cluster('anything', []), []);
+});
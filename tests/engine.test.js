@@ -0,0 +1,132 @@
+// ResearchEngine without a page: built from in-memory history and settings
+// and a fixture source registry, checked through the events it emits.
+// run() resolves with the research however the run ends.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ResearchEngine,
+    ResearchRunController,
+    MemoryHistoryStore,
+    MemoryStorage,
+    SourceRegistry,
+    SourceAdapter
+} = require('../script.js');
+const { fixedSource, QUANTUM_ARTICLES } = require('./helpers');
+
+const EVENTS = ['step:start', 'step:skip', 'step:complete', 'log', 'progress', 'complete', 'cancel', 'error'];
+
+function createHeadlessEngine() {
+    return new ResearchEngine({
+        historyStore: new MemoryHistoryStore(),
+        storage: new MemoryStorage(),
+        sources: new SourceRegistry([fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES })])
+    });
+}
+
+// Every event as [name, detail]: the step name, log message or progress
+function recordEvents(engine) {
+    const events = [];
+    EVENTS.forEach(name => engine.on(name, payload => {
+        const detail = payload.step ? payload.step.name
+            : payload.entry ? payload.entry.message
+            : name === 'progress' ? payload.progress
+            : payload.error ? payload.error.message
+            : null;
+        events.push([name, detail]);
+    }));
+    return events;
+}
+
+test('the engine runs in Node without a page', async () => {
+    assert.equal(typeof document, 'undefined');
+    const engine = createHeadlessEngine();
+    assert.deepEqual(await engine.ready, []);
+    assert.deepEqual(engine.sources.defaultIds(), ['fixture']);
+});
+
+test('a completed run emits its events in workflow order', async () => {
+    const engine = createHeadlessEngine();
+    await engine.ready;
+    const events = recordEvents(engine);
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    assert.equal(await engine.run(research), research);
+    assert.equal(research.status, 'completed');
+
+    // Every step starts in pipeline order. Steps whose condition does not
+    // hold are skipped; the others log, complete and then move progress.
+    const steps = engine.pipeline.list().map(step => step.name);
+    const skipped = ['Refinement Filters', 'Change Detection'];
+    assert.deepEqual(events.filter(([name]) => name === 'step:start').map(([, step]) => step), steps);
+    steps.forEach(step => {
+        const start = events.findIndex(event => event[0] === 'step:start' && event[1] === step);
+        if (skipped.includes(step)) {
+            const [skip, log, progress] = events.slice(start + 1, start + 4);
+            assert.deepEqual(skip, ['step:skip', step]);
+            assert.deepEqual(log, ['log', `Skipping ${step}`]);
+            assert.equal(progress[0], 'progress');
+            return;
+        }
+        const complete = events.findIndex(event => event[0] === 'step:complete' && event[1] === step);
+        assert.deepEqual(events[start + 1], ['log', `Starting ${step}...`]);
+        assert.ok(complete > start);
+        assert.deepEqual(events[complete + 1], ['log', `${step} completed successfully`]);
+        assert.equal(events[complete + 2][0], 'progress');
+    });
+
+    // Progress only moves forward, and the run ends at 100% with one
+    // complete event
+    const progress = events.filter(([name]) => name === 'progress').map(([, value]) => value);
+    assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+    assert.equal(progress.at(-1), 100);
+    assert.deepEqual(events.at(-1), ['complete', null]);
+    assert.equal(events.filter(([name]) => ['complete', 'cancel', 'error'].includes(name)).length, 1);
+
+    // Every log event is a record in the research's log
+    assert.deepEqual(
+        events.filter(([name]) => name === 'log').map(([, message]) => message),
+        research.logs.map(entry => entry.message)
+    );
+});
+
+test('a run whose step throws settles as failed', async () => {
+    const engine = createHeadlessEngine();
+    await engine.ready;
+    engine.pipeline.add({
+        name: 'Explode',
+        run: () => {
+            throw new TypeError('Cannot read properties of undefined');
+        }
+    }, { before: 'Processing' });
+    const events = recordEvents(engine);
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    assert.equal(await engine.run(research), research);
+
+    assert.equal(research.status, 'failed');
+    assert.deepEqual(research.error, { step: 5, stepName: 'Explode', message: 'Cannot read properties of undefined' });
+    assert.deepEqual(events.slice(-2), [
+        ['log', 'Research failed at step 5/9: Cannot read properties of undefined'],
+        ['error', 'Cannot read properties of undefined']
+    ]);
+    assert.equal(events.some(([name, step]) => name === 'step:start' && step === 'Processing'), false);
+    assert.equal(events.some(([name]) => name === 'complete'), false);
+});
+
+test('a run cancelled before it starts settles as cancelled', async () => {
+    const engine = createHeadlessEngine();
+    await engine.ready;
+    const events = recordEvents(engine);
+    const controller = new ResearchRunController();
+    controller.cancel();
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    assert.equal(await engine.run(research, { controller }), research);
+
+    assert.equal(research.status, 'cancelled');
+    assert.deepEqual(events, [
+        ['log', 'Research cancelled during step 1/8: Input Parsing'],
+        ['cancel', null]
+    ]);
+});
@@ -0,0 +1,65 @@
+// ResearchExporter with remote content that carries Markdown, HTML and
+// BibTeX control characters.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchExporter } = require('../script.js');
+
+const research = {
+    id: 'research_1',
+    topic: 'C# <b>generics</b>',
+    depth: 'basic',
+    status: 'completed',
+    startTime: new Date('2024-05-01T10:00:00Z'),
+    endTime: new Date('2024-05-01T10:00:05Z'),
+    results: {
+        summary: 'Unused when there are summary sentences',
+        summarySentences: [{ text: 'Generics use <T> and **type** parameters.', sourceIndex: 0 }],
+        sources: [
+            {
+                title: 'Generics [guide]',
+                summary: '<img src=x onerror=alert(1)> # not a heading ~~struck~~',
+                url: 'https://example.com/a_{b}/50%(c)',
+                source: 'Docs <i>site</i>',
+                relevance: 0.8
+            },
+            {
+                title: 'Unsafe link',
+                summary: '',
+                url: 'javascript:alert(1)',
+                source: 'Web',
+                relevance: 0.5
+            }
+        ],
+        keywords: [],
+        metadata: { totalSources: 2, duplicatesRemoved: 1, processingTime: 5000 }
+    }
+};
+
+test('toMarkdown escapes remote text and link destinations', () => {
+    const markdown = new ResearchExporter().toMarkdown(research);
+
+    assert.match(markdown, /^# C\\# \\<b\\>generics\\<\/b\\>$/m);
+    assert.match(markdown, /^Generics use \\<T\\> and \\\*\\\*type\\\*\\\* parameters\. \[1\]$/m);
+    // The ( and ) of the URL are percent-encoded so they cannot end the link
+    assert.match(markdown, /^1\. \[Generics \\\[guide\\\]\]\(https:\/\/example\.com\/a_\{b\}\/50%%28c%29\) \(Docs \\<i\\>site\\<\/i\\>, relevance 80%\)$/m);
+    assert.match(markdown, /^ {3}\\<img src=x onerror=alert\(1\)\\> \\# not a heading \\~\\~struck\\~\\~$/m);
+    assert.match(markdown, /^2\. Unsafe link \(Web, relevance 50%\)$/m);
+    assert.match(markdown, /^- \*\*Duplicates removed:\*\* 1$/m);
+    // Every < is escaped, and the unsafe URL is not linked
+    assert.doesNotMatch(markdown, /(?<!\\)</);
+    assert.doesNotMatch(markdown, /javascript:/);
+});
+
+test('toBibTeX escapes URLs and leaves out unsafe ones', () => {
+    const bibtex = new ResearchExporter().toBibTeX(research);
+    const [first, second] = bibtex.trim().split('\n\n');
+
+    assert.match(first, /^ {2}url = \{https:\/\/example\.com\/a_\\%7Bb\\%7D\/50\\%\(c\)\},$/m);
+    assert.match(first, /^ {2}organization = \{Docs <i>site<\/i>\},$/m);
+    assert.doesNotMatch(second, /url =/);
+    // Every entry's braces still balance
+    [first, second].forEach(entry => {
+        assert.equal((entry.match(/(?<!\\)\{/g) || []).length, (entry.match(/(?<!\\)\}/g) || []).length);
+    });
+});
@@ -0,0 +1,193 @@
+// Step-level error handling: retryWithBackoff and withTimeout on their own,
+// then engine runs where some or all fixture sources throw or never answer,
+// the failed run kept in history and a retry from the failed step.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { retryWithBackoff, withTimeout, SourceAdapter } = require('../script.js');
+const { fixedSource, scriptedSource, hang, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+// A search() that fails the first `failures` calls, then returns the
+// quantum articles
+function flaky(failures) {
+    let calls = 0;
+    return (topic, options, adapter) => {
+        calls++;
+        if (calls <= failures) return Promise.reject(new Error(`HTTP 503 (call ${calls})`));
+        return Promise.resolve(QUANTUM_ARTICLES.map(article => adapter.normalize(article)));
+    };
+}
+
+const broken = (id, name) => scriptedSource(SourceAdapter, { id, name, search: flaky(Infinity) });
+
+test('retryWithBackoff', async (t) => {
+    await t.test('retries with doubling waits up to maxDelay', async () => {
+        const retries = [];
+        let attempts = 0;
+        const result = await retryWithBackoff(async attempt => {
+            attempts++;
+            if (attempt < 3) throw new Error(`failure ${attempt}`);
+            return 'done';
+        }, {
+            retries: 3,
+            baseDelay: 2,
+            maxDelay: 5,
+            onRetry: (error, attempt, wait) => retries.push([error.message, attempt, wait])
+        });
+
+        assert.equal(result, 'done');
+        assert.equal(attempts, 4);
+        assert.deepEqual(retries, [['failure 0', 1, 2], ['failure 1', 2, 4], ['failure 2', 3, 5]]);
+    });
+
+    await t.test('rethrows the last error once the retries are used up', async () => {
+        let attempts = 0;
+        await assert.rejects(
+            retryWithBackoff(async attempt => {
+                attempts++;
+                throw new Error(`failure ${attempt}`);
+            }, { retries: 2, baseDelay: 1 }),
+            { message: 'failure 2' }
+        );
+        assert.equal(attempts, 3);
+    });
+
+    await t.test('does not retry a cancellation', async () => {
+        let attempts = 0;
+        await assert.rejects(retryWithBackoff(async () => {
+            attempts++;
+            const error = new Error('Research cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }, { retries: 2, baseDelay: 1 }), { name: 'AbortError' });
+        assert.equal(attempts, 1);
+    });
+
+    await t.test('stops waiting when the signal aborts', async () => {
+        const controller = new AbortController();
+        const retrying = retryWithBackoff(async () => {
+            throw new Error('HTTP 503');
+        }, { retries: 2, baseDelay: 60000, signal: controller.signal, onRetry: () => controller.abort() });
+        await assert.rejects(retrying, { name: 'AbortError' });
+    });
+});
+
+test('withTimeout', async (t) => {
+    await t.test('resolves with the result when fn is in time', async () => {
+        assert.equal(await withTimeout(async () => 42, 1000), 42);
+    });
+
+    await t.test('rejects with a TimeoutError and aborts the signal fn got', async () => {
+        let innerSignal;
+        await assert.rejects(
+            withTimeout(signal => {
+                innerSignal = signal;
+                return new Promise(() => {});
+            }, 10, { message: 'Slow did not respond within 10ms' }),
+            { name: 'TimeoutError', message: 'Slow did not respond within 10ms' }
+        );
+        assert.equal(innerSignal.aborted, true);
+    });
+
+    await t.test('aborts the signal fn got when the parent signal aborts', async () => {
+        const parent = new AbortController();
+        const pending = withTimeout(signal => hang('topic', { signal }), 60000, { signal: parent.signal });
+        parent.abort();
+        await assert.rejects(pending, { name: 'AbortError' });
+    });
+
+    await t.test('rejects when the parent signal aborts, even if fn ignores its signal', async () => {
+        const parent = new AbortController();
+        const pending = withTimeout(() => new Promise(() => {}), 60000, { signal: parent.signal });
+        parent.abort();
+        await assert.rejects(pending, { name: 'AbortError' });
+    });
+
+    await t.test('does not call fn when the parent signal has already aborted', async () => {
+        const parent = new AbortController();
+        parent.abort();
+        let called = false;
+        await assert.rejects(withTimeout(() => {
+            called = true;
+        }, 60000, { signal: parent.signal }), { name: 'AbortError' });
+        assert.equal(called, false);
+    });
+});
+
+test('a run continues without a source that keeps failing', async () => {
+    const engine = createEngine([
+        fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES }),
+        broken('broken', 'Broken')
+    ]);
+    await engine.ready;
+    const updates = [];
+    engine.on('source:update', ({ id, changes }) => {
+        if (id === 'broken') updates.push(changes.state || changes.note);
+    });
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+
+    assert.equal(research.status, 'completed');
+    assert.deepEqual(research.results.metadata.failedSources, ['broken']);
+    assert.deepEqual(research.sourceErrors, { broken: 'HTTP 503 (call 2)' });
+    assert.equal(research.results.sources.every(source => source.source === 'Fixture'), true);
+    assert.deepEqual(updates, ['fetching', 'retry 1/1', 'failed']);
+
+    const warnings = research.logs.filter(entry => entry.level === 'warn').map(entry => entry.message);
+    assert.deepEqual(warnings, [
+        'Broken request failed (HTTP 503 (call 1)), retry 1/1 in 1ms',
+        'Broken failed after 2 attempts: HTTP 503 (call 2)',
+        'Continuing with 1 of 2 sources'
+    ]);
+});
+
+test('a run fails when every source fails, and is kept in history as failed', async () => {
+    const engine = createEngine([
+        broken('broken', 'Broken'),
+        scriptedSource(SourceAdapter, { id: 'silent', name: 'Silent', search: hang })
+    ], { fetchPolicy: { concurrency: 2, timeout: 20 } });
+    await engine.ready;
+    const errors = [];
+    engine.on('error', ({ error }) => errors.push(error.message));
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    assert.equal(await engine.run(research), research);
+
+    assert.equal(research.status, 'failed');
+    assert.deepEqual(research.error, { step: 2, stepName: 'Data Gathering', message: 'All data sources failed' });
+    assert.deepEqual(errors, ['All data sources failed']);
+    assert.equal(research.sourceErrors.silent, 'Silent did not respond within 20ms');
+    assert.equal(research.spans.find(span => span.name === 'Data Gathering').status, 'error');
+    assert.equal(research.logs.at(-1).message, 'Research failed at step 2/8: All data sources failed');
+
+    const [stored] = await engine.historyStore.getAll();
+    assert.equal(stored.status, 'failed');
+    assert.deepEqual(stored.error, research.error);
+});
+
+test('a failed run can be retried from the failed step', async () => {
+    const engine = createEngine([scriptedSource(SourceAdapter, { search: flaky(2) })]);
+    await engine.ready;
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+    assert.equal(research.status, 'failed');
+    assert.equal(research.error.step, 2);
+
+    // What the page's "Retry from failed step" does
+    const fromStep = engine.pipeline.indexOf(research.error.stepName) + 1;
+    research.status = 'running';
+    research.endTime = null;
+    research.error = null;
+    const started = [];
+    engine.on('step:start', ({ step }) => started.push(step.name));
+    await engine.run(research, { fromStep });
+
+    assert.equal(research.status, 'completed');
+    assert.equal(started[0], 'Data Gathering');
+    assert.equal(started.includes('Input Parsing'), false);
+    assert.deepEqual(research.results.metadata.failedSources, []);
+
+    const stored = await engine.historyStore.getAll();
+    assert.deepEqual(stored.map(entry => [entry.id, entry.status]), [[research.id, 'completed']]);
+});
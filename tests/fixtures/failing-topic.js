@@ -0,0 +1,9 @@
+// Preloaded into cli.js with --require by cli.test.js: research on a topic
+// that mentions "fail" fails at its keyword step
+const { ResearchEngine } = require('../../script.js');
+
+const extractKeywords = ResearchEngine.prototype.extractKeywords;
+ResearchEngine.prototype.extractKeywords = function (topic, sources) {
+    if (/fail/i.test(topic)) throw new Error('Keyword extraction failed');
+    return extractKeywords.call(this, topic, sources);
+};
@@ -0,0 +1,87 @@
+// Shared setup for the tests: loads script.js in Node, or the whole page
+// (index.html with script.js) in jsdom.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// The page with script.js run in it and the AIResearchAgent that
+// DOMContentLoaded creates. History stays in memory (jsdom has no
+// IndexedDB). Call window.close() when done, which also stops the timers.
+async function loadPage() {
+    const { JSDOM } = require('jsdom');
+    const markup = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="[^"]*"><\/script>/g, '');
+    const dom = new JSDOM(markup, { runScripts: 'outside-only', url: 'http://localhost/', pretendToBeVisual: true });
+    const window = dom.window;
+    // Layout APIs jsdom does not implement
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.scrollTo = () => {};
+    
+    const context = dom.getInternalVMContext();
+    const run = code => new vm.Script(code, { filename: 'script.js' }).runInContext(context);
+    run(fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'));
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+    const agent = window.aiResearchAgent;
+    await agent.ready;
+    
+    // Classes are script-level bindings rather than window properties
+    const global = name => run(name);
+    return { window, document: window.document, agent, global };
+}
+
+// A source adapter that returns the given articles for every topic
+function fixedSource(SourceAdapter, { id = 'fixture', name = 'Fixture', articles }) {
+    const adapter = new SourceAdapter({ id, name });
+    adapter.search = async () => articles.map(article => adapter.normalize(article));
+    return adapter;
+}
+
+// A source adapter whose search(topic, options) is the given function, for
+// sources that fail, hang or change between calls
+function scriptedSource(SourceAdapter, { id = 'fixture', name = 'Fixture', search }) {
+    const adapter = new SourceAdapter({ id, name });
+    adapter.search = (topic, options) => search(topic, options, adapter);
+    return adapter;
+}
+
+// search() for a source that never answers: it settles only when its
+// request is aborted, by a timeout or a cancelled run
+function hang(topic, { signal }) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            const error = new Error('Request aborted');
+            error.name = 'AbortError';
+            reject(error);
+        };
+        if (signal.aborted) abort();
+        signal.addEventListener('abort', abort, { once: true });
+    });
+}
+
+// Articles on quantum computing every fixture source can return
+const QUANTUM_ARTICLES = [
+    { title: 'Quantum computing', summary: 'Quantum computing uses qubits to run quantum algorithms. Qubits keep superposition while they compute.', url: 'https://en.wikipedia.org/wiki/Quantum_computing', relevance: 0.9 },
+    { title: 'Qubit', summary: 'A qubit is the basic unit of quantum information. Superconducting qubits need very low temperatures.', url: 'https://en.wikipedia.org/wiki/Qubit', relevance: 0.8 },
+    { title: 'Quantum error correction', summary: 'Quantum error correction protects qubits from noise. Surface codes are a leading approach to error correction.', url: 'https://example.com/error-correction', relevance: 0.7 }
+];
+
+// A ResearchEngine that runs in Node with history and settings in memory,
+// queries only the given adapters, and retries and times out quickly
+function createEngine(adapters, options = {}) {
+    const { ResearchEngine, MemoryHistoryStore, MemoryStorage, SourceRegistry } = require('../script.js');
+    return new ResearchEngine({
+        historyStore: new MemoryHistoryStore(),
+        storage: new MemoryStorage(),
+        sources: new SourceRegistry(adapters),
+        retryPolicy: { retries: 1, baseDelay: 1, maxDelay: 1 },
+        fetchPolicy: { concurrency: 2, timeout: 200 },
+        ...options
+    });
+}
+
+module.exports = { ROOT, loadPage, fixedSource, scriptedSource, hang, QUANTUM_ARTICLES, createEngine };
@@ -0,0 +1,55 @@
+// History retention when the store fails: loading history and saving a new
+// policy report the failed delete as a history:error instead of rejecting.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchEngine, MemoryHistoryStore, MemoryStorage } = require('../script.js');
+
+// A store holding three finished entries, a day apart, whose deletes fail
+async function failingStore() {
+    const store = new MemoryHistoryStore();
+    const seed = new ResearchEngine({ historyStore: new MemoryHistoryStore(), storage: new MemoryStorage() });
+    await seed.ready;
+    await store.putMany([1, 2, 3].map(day => ({
+        ...seed.createResearch(`Topic ${day}`, 'basic'),
+        id: `research_${day}`,
+        status: 'cancelled',
+        startTime: new Date(Date.UTC(2024, 0, day)),
+        endTime: new Date(Date.UTC(2024, 0, day))
+    })));
+    store.deleteMany = async () => { throw new Error('Quota exceeded'); };
+    return store;
+}
+
+function collectErrors(engine) {
+    const errors = [];
+    engine.on('history:error', error => errors.push(error));
+    return errors;
+}
+
+test('loading history reports a retention delete that fails', async () => {
+    const engine = new ResearchEngine({
+        historyStore: await failingStore(),
+        storage: new MemoryStorage({ aiResearchRetention: JSON.stringify({ maxEntries: 1, maxAgeDays: 0 }) })
+    });
+    const errors = collectErrors(engine);
+
+    const history = await engine.ready;
+    assert.deepEqual(history.map(research => research.id), ['research_3']);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].title, 'Old history not removed');
+    assert.equal(errors[0].tone, 'warning');
+    assert.match(errors[0].message, /Quota exceeded/);
+});
+
+test('saving a retention policy reports a delete that fails', async () => {
+    const engine = new ResearchEngine({ historyStore: await failingStore(), storage: new MemoryStorage() });
+    await engine.ready;
+    const errors = collectErrors(engine);
+
+    const removed = await engine.updateRetention({ maxEntries: 2, maxAgeDays: 0 });
+    assert.equal(removed, 0);
+    assert.equal(engine.researchHistory.length, 2);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /Quota exceeded/);
+});
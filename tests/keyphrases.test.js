@@ -0,0 +1,70 @@
+// KeyphraseExtractor: RAKE candidate runs broken at stopwords and
+// punctuation, word scores, and the phrases extract() ranks and keeps.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KeyphraseExtractor } = require('../script.js');
+
+const extractor = new KeyphraseExtractor();
+
+const sources = [
+    { title: 'Quantum error correction', summary: 'Quantum error correction protects qubits. Surface codes encode logical qubits.' },
+    { title: 'Surface codes', summary: 'Surface codes need many physical qubits for quantum error correction.' },
+    { title: 'Trapped ions', summary: 'Trapped ion qubits stay coherent in 2024.' }
+];
+
+test('candidateRuns() breaks at stopwords and punctuation', () => {
+    const cases = [
+        ['The quantum computer is a machine for the people, and it runs Shor\'s algorithm.', [['quantum', 'computer'], ['machine'], ['people'], ['runs', 'shor\'s', 'algorithm']]],
+        ['Error correction - the key; (surface codes) and "logical qubits" in 2024 | x y', [['error', 'correction'], ['key'], ['surface', 'codes'], ['logical', 'qubits'], ['2024']]],
+        ['the and of', []],
+        [null, []]
+    ];
+    cases.forEach(([text, runs]) => assert.deepEqual(extractor.candidateRuns(text), runs, String(text)));
+});
+
+test('rakeWordScores() divides degree plus frequency by frequency', () => {
+    const scores = extractor.rakeWordScores([
+        [['quantum', 'error', 'correction'], ['qubits']],
+        [['quantum', 'error'], ['qubits']]
+    ]);
+    assert.deepEqual(Object.fromEntries(scores), { quantum: 2.5, error: 2.5, correction: 3, qubits: 1 });
+});
+
+test('ngrams() stops at maxWords', () => {
+    assert.deepEqual(extractor.ngrams(['a', 'b', 'c', 'd']).map(words => words.join(' ')), [
+        'a', 'b', 'c', 'd', 'a b', 'b c', 'c d', 'a b c', 'b c d'
+    ]);
+});
+
+test('extract() ranks phrases and records the sources that use them', () => {
+    const keywords = extractor.extract('quantum error correction', sources, 5);
+
+    assert.deepEqual(keywords.map(({ phrase, weight, sourceIndices }) => [phrase, weight, sourceIndices]), [
+        ['quantum error correction', 1, [0, 1]],
+        ['error correction protects', 0.504, [0]],
+        ['correction protects qubits', 0.49, [0]],
+        ['surface codes', 0.395, [0, 1]],
+        ['encode logical qubits', 0.327, [0]]
+    ]);
+    keywords.forEach(keyword => assert.equal(keyword.sourceCount, keyword.sourceIndices.length));
+});
+
+test('extract() skips stopwords, bare numbers and parts of a better phrase', () => {
+    const phrases = extractor.extract('quantum error correction', sources, 50).map(keyword => keyword.phrase);
+    const words = new Set(phrases.flatMap(phrase => phrase.split(' ')));
+
+    ['many', 'for', 'in', 'the'].forEach(stopword => assert.equal(words.has(stopword), false, stopword));
+    assert.equal(phrases.includes('2024'), false);
+    ['quantum', 'error correction', 'quantum error', 'surface', 'codes'].forEach(part => {
+        assert.equal(phrases.includes(part), false, part);
+    });
+    assert.deepEqual(extractor.extract('anything', []), []);
+});
+
+test('findMentions() matches whole words in titles and summaries', () => {
+    assert.deepEqual(KeyphraseExtractor.findMentions('Surface Codes', sources), [0, 1]);
+    assert.deepEqual(KeyphraseExtractor.findMentions('ion', sources), [2]);
+    assert.deepEqual(KeyphraseExtractor.findMentions('ions qubits', sources), []);
+    assert.deepEqual(KeyphraseExtractor.findMentions('', sources), []);
+});
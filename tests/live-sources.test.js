@@ -0,0 +1,140 @@
+// The live Wikipedia and HackerNews adapters against an injected fetch:
+// the requests they make, how they read responses and how they fail.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WikipediaSource, HackerNewsSource, SourceRegistry } = require('../script.js');
+
+// A fetch that records its calls and answers each with the next response
+// (a Response or a function returning one)
+function fakeFetch(...responses) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, init });
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        return typeof next === 'function' ? next(url, init) : next.clone();
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+test('WikipediaSource', async (t) => {
+    await t.test('queries the REST search API under the configured base URL', async () => {
+        const fetch = fakeFetch(json({ pages: [] }));
+        const source = new WikipediaSource({ baseUrl: 'http://stub.test/', fetch, limit: 3 });
+        const controller = new AbortController();
+
+        await source.search('C++ & Rust', { signal: controller.signal });
+
+        assert.equal(fetch.calls.length, 1);
+        assert.equal(fetch.calls[0].url, 'http://stub.test/w/rest.php/v1/search/page?q=C%2B%2B%20%26%20Rust&limit=3');
+        assert.equal(fetch.calls[0].init.headers.Accept, 'application/json');
+        assert.equal(fetch.calls[0].init.signal, controller.signal);
+    });
+
+    await t.test('turns pages into sources', async () => {
+        const fetch = fakeFetch(json({
+            pages: [
+                { key: 'Quantum_computing', title: 'Quantum computing', excerpt: 'A <span class="searchmatch">quantum</span> computer &amp; more', description: 'Computation using qubits' },
+                { key: 'Qubit/Basics', title: 'Qubit', excerpt: '', description: 'Unit of quantum information' }
+            ]
+        }));
+        const source = new WikipediaSource({ baseUrl: 'http://stub.test', fetch });
+
+        const articles = await source.search('quantum');
+
+        assert.deepEqual(articles.map(({ title, summary, url, source: name, type }) => ({ title, summary, url, source: name, type })), [
+            { title: 'Quantum computing', summary: 'A quantum computer & more', url: 'http://stub.test/wiki/Quantum_computing', source: 'Wikipedia', type: 'encyclopedia' },
+            { title: 'Qubit', summary: 'Unit of quantum information', url: 'http://stub.test/wiki/Qubit%2FBasics', source: 'Wikipedia', type: 'encyclopedia' }
+        ]);
+        assert.deepEqual(articles.map(article => article.relevance), [1, 0.75]);
+    });
+
+    await t.test('reads a response without pages as no results', async () => {
+        for (const body of [{}, { pages: 'none' }, null]) {
+            const source = new WikipediaSource({ fetch: fakeFetch(json(body)) });
+            assert.deepEqual(await source.search('quantum'), []);
+        }
+    });
+
+    await t.test('fails on HTTP errors', async () => {
+        const source = new WikipediaSource({ fetch: fakeFetch(json({ error: 'busy' }, 503)) });
+        await assert.rejects(source.search('quantum'), { message: 'Wikipedia request failed with status 503' });
+    });
+
+    await t.test('fails on malformed JSON', async () => {
+        const source = new WikipediaSource({ fetch: fakeFetch(new Response('<html>Gateway timeout', { status: 200 })) });
+        await assert.rejects(source.search('quantum'), { message: 'Wikipedia returned a response that is not valid JSON' });
+    });
+});
+
+test('HackerNewsSource', async (t) => {
+    await t.test('queries the Algolia story search under the configured base URL', async () => {
+        const fetch = fakeFetch(json({ hits: [] }));
+        const source = new HackerNewsSource({ baseUrl: 'http://stub.test/api/v1', fetch, limit: 5 });
+
+        await source.search('machine learning');
+
+        assert.equal(fetch.calls[0].url, 'http://stub.test/api/v1/search?query=machine%20learning&tags=story&hitsPerPage=5');
+    });
+
+    await t.test('turns hits into sources', async () => {
+        const fetch = fakeFetch(json({
+            hits: [
+                { objectID: '1', title: 'Show HN: A compiler', url: 'https://example.com/compiler', story_text: '<p>Built in &quot;Rust&quot;</p>', points: 120, num_comments: 30, created_at: '2024-05-01T10:00:00Z' },
+                { objectID: '2', story_title: 'Ask HN: Compilers?', points: null, num_comments: 4 }
+            ]
+        }));
+        const source = new HackerNewsSource({ fetch });
+
+        const [story, question] = await source.search('compilers');
+
+        assert.deepEqual(story, {
+            title: 'Show HN: A compiler',
+            summary: 'Built in "Rust"',
+            url: 'https://example.com/compiler',
+            source: 'HackerNews',
+            relevance: 1,
+            type: 'discussion',
+            publishedAt: '2024-05-01T10:00:00Z',
+            engagement: { points: 120, comments: 30 }
+        });
+        assert.equal(question.title, 'Ask HN: Compilers?');
+        assert.equal(question.summary, '0 points and 4 comments on HackerNews');
+        assert.equal(question.url, 'https://news.ycombinator.com/item?id=2');
+        assert.equal(question.publishedAt, null);
+        assert.deepEqual(question.engagement, { points: 0, comments: 4 });
+    });
+
+    await t.test('fails on HTTP errors', async () => {
+        const source = new HackerNewsSource({ fetch: fakeFetch(new Response('Too many requests', { status: 429 })) });
+        await assert.rejects(source.search('compilers'), { message: 'HackerNews request failed with status 429' });
+    });
+
+    await t.test('fails on malformed JSON', async () => {
+        const source = new HackerNewsSource({ fetch: fakeFetch(new Response('{"hits": [', { status: 200 })) });
+        await assert.rejects(source.search('compilers'), { message: 'HackerNews returned a response that is not valid JSON' });
+    });
+});
+
+test('SourceRegistry.createLive passes fetch and per-source options to the adapters', async () => {
+    const fetch = fakeFetch(url => json(url.includes('/w/rest.php/') ? { pages: [] } : { hits: [] }));
+    const registry = SourceRegistry.createLive({
+        fetch,
+        wikipedia: { baseUrl: 'http://wiki.test', limit: 2 },
+        hackernews: { baseUrl: 'http://hn.test', limit: 4 }
+    });
+
+    await registry.get('wikipedia').search('topic');
+    await registry.get('hackernews').search('topic');
+
+    assert.deepEqual(fetch.calls.map(call => call.url), [
+        'http://wiki.test/w/rest.php/v1/search/page?q=topic&limit=2',
+        'http://hn.test/search?query=topic&tags=story&hitsPerPage=4'
+    ]);
+});
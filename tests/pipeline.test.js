@@ -0,0 +1,123 @@
+// ResearchPipeline: adding and removing steps, progress weights, and runs
+// where a step's condition skips it or its timeout fails it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchPipeline, SourceAdapter } = require('../script.js');
+const { fixedSource, hang, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+const step = (name, fields = {}) => ({ name, run: () => {}, ...fields });
+const names = pipeline => pipeline.list().map(entry => entry.name);
+
+async function createQuantumEngine() {
+    const engine = createEngine([fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES })]);
+    await engine.ready;
+    return engine;
+}
+
+test('add() places steps at the end or next to another step', () => {
+    const pipeline = new ResearchPipeline([step('Gather'), step('Process')]);
+    pipeline.add(step('Report'));
+    pipeline.add(step('Parse'), { before: 'Gather' });
+    pipeline.add(step('Dedupe'), { after: 'Gather' });
+
+    assert.deepEqual(names(pipeline), ['Parse', 'Gather', 'Dedupe', 'Process', 'Report']);
+    assert.equal(pipeline.get('Dedupe').weight, 1);
+    assert.equal(pipeline.remove('Dedupe'), true);
+    assert.equal(pipeline.remove('Dedupe'), false);
+    assert.equal(pipeline.has('Dedupe'), false);
+    assert.equal(pipeline.length, 4);
+});
+
+test('add() refuses steps it cannot run', () => {
+    const pipeline = new ResearchPipeline([step('Gather')]);
+    const cases = [
+        [() => pipeline.add(null), 'Pipeline steps need a name and a run() function'],
+        [() => pipeline.add({ name: '  ', run: () => {} }), 'Pipeline steps need a name and a run() function'],
+        [() => pipeline.add({ name: 'No run' }), 'Pipeline steps need a name and a run() function'],
+        [() => pipeline.add(step('Gather')), 'Step "Gather" is already in the pipeline'],
+        [() => pipeline.add(step('Report'), { after: 'Missing' }), 'Unknown pipeline step "Missing"']
+    ];
+    cases.forEach(([add, message]) => assert.throws(add, { message }));
+    assert.deepEqual(names(pipeline), ['Gather']);
+});
+
+test('progressAt() weighs each step by its weight', () => {
+    const pipeline = new ResearchPipeline([step('Parse'), step('Gather', { weight: 3 })]);
+    const cases = [[0, 0, 0], [0, 1, 25], [1, 0, 25], [1, 0.5, 62.5], [1, 1, 100], [1, 2, 100]];
+    cases.forEach(([index, fraction, percent]) => assert.equal(pipeline.progressAt(index, fraction), percent, `${index}/${fraction}`));
+    assert.equal(new ResearchPipeline().progressAt(0, 0), 100);
+});
+
+test('a step whose condition does not hold is skipped', async () => {
+    const engine = await createQuantumEngine();
+    const ran = [];
+    const seen = [];
+    engine.pipeline.add(step('Qubit Notes', {
+        condition: context => {
+            seen.push(typeof context.log);
+            return /qubit/i.test(context.research.topic);
+        },
+        run: ({ research }) => ran.push(research.topic)
+    }), { after: 'Processing' });
+    const skipped = [];
+    engine.on('step:skip', ({ step: { name } }) => skipped.push(name));
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+    const qubits = engine.createResearch('Qubits', 'basic');
+    await engine.run(qubits);
+
+    assert.deepEqual([research.status, qubits.status], ['completed', 'completed']);
+    assert.deepEqual(ran, ['Qubits']);
+    assert.deepEqual(seen, ['function', 'function']);
+    assert.deepEqual(skipped.filter(name => name === 'Qubit Notes'), ['Qubit Notes']);
+    assert.ok(research.logs.some(entry => entry.message === 'Skipping Qubit Notes'));
+    assert.equal(research.spans.find(span => span.name === 'Qubit Notes').status, 'skipped');
+    assert.equal(qubits.spans.find(span => span.name === 'Qubit Notes').status, 'ok');
+});
+
+test('a step that runs past its timeout fails the run and has its signal aborted', async () => {
+    const engine = await createQuantumEngine();
+    let stepSignal;
+    engine.pipeline.add(step('Slow Step', {
+        timeout: 20,
+        run: ({ signal }) => {
+            stepSignal = signal;
+            return hang(null, { signal });
+        }
+    }), { before: 'Processing' });
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+
+    assert.equal(research.status, 'failed');
+    assert.deepEqual(research.error, { step: 5, stepName: 'Slow Step', message: 'Slow Step timed out after 20ms' });
+    assert.equal(stepSignal.aborted, true);
+    assert.equal(research.spans.find(span => span.name === 'Slow Step').status, 'error');
+    assert.equal(research.logs.at(-1).message, 'Research failed at step 5/9: Slow Step timed out after 20ms');
+});
+
+test('a timeout fails a step that ignores its signal', async () => {
+    const engine = await createQuantumEngine();
+    engine.pipeline.add(step('Stuck Step', { timeout: 20, run: () => new Promise(() => {}) }));
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+
+    assert.equal(research.status, 'failed');
+    assert.equal(research.error.message, 'Stuck Step timed out after 20ms');
+});
+
+test('a step within its timeout completes', async () => {
+    const engine = await createQuantumEngine();
+    engine.pipeline.add(step('Quick Step', { timeout: 1000, run: async ({ research }) => {
+        research.quick = true;
+    } }));
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+
+    assert.equal(research.status, 'completed');
+    assert.equal(research.quick, true);
+});
@@ -0,0 +1,129 @@
+// Pausing, resuming and cancelling runs through ResearchRunController:
+// the controller on its own, then whole engine runs against fixture sources
+// that answer at once or never.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchRunController, SourceAdapter } = require('../script.js');
+const { fixedSource, scriptedSource, hang, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Settles with 'resolved', 'rejected' or 'pending' after a short wait
+async function state(promise) {
+    let settled = 'pending';
+    promise.then(() => { settled = 'resolved'; }, () => { settled = 'rejected'; });
+    await tick();
+    return settled;
+}
+
+function recordSteps(engine) {
+    const started = [];
+    engine.on('step:start', ({ step }) => started.push(step.name));
+    return started;
+}
+
+test('ResearchRunController', async (t) => {
+    await t.test('checkpoint() waits while paused and continues on resume', async () => {
+        const controller = new ResearchRunController();
+        assert.equal(await state(controller.checkpoint()), 'resolved');
+
+        controller.pause();
+        const waiting = controller.checkpoint();
+        assert.equal(await state(waiting), 'pending');
+        controller.resume();
+        assert.equal(await state(waiting), 'resolved');
+    });
+
+    await t.test('cancel() rejects checkpoints with an AbortError, also while paused', async () => {
+        const controller = new ResearchRunController();
+        controller.pause();
+        const waiting = controller.checkpoint();
+        controller.cancel();
+
+        await assert.rejects(waiting, { name: 'AbortError' });
+        await assert.rejects(controller.checkpoint(), { name: 'AbortError' });
+        assert.equal(controller.cancelled, true);
+        assert.equal(controller.signal.aborted, true);
+    });
+});
+
+test('a paused run holds before its next step until resumed', async () => {
+    const engine = createEngine([fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES })]);
+    await engine.ready;
+    const started = recordSteps(engine);
+    const controller = new ResearchRunController();
+
+    // Pause as soon as the sources are gathered
+    engine.on('step:complete', ({ step }) => {
+        if (step.name === 'Data Gathering') controller.pause();
+    });
+    const research = engine.createResearch('Quantum computing', 'basic');
+    const run = engine.run(research, { controller });
+
+    assert.equal(await state(run), 'pending');
+    assert.deepEqual(started, ['Input Parsing', 'Data Gathering']);
+    assert.equal(research.status, 'running');
+
+    controller.resume();
+    assert.equal(await run, research);
+    assert.equal(research.status, 'completed');
+    assert.equal(started.includes('Deduplication'), true);
+});
+
+test('cancelling a run with a source that never answers', async () => {
+    const engine = createEngine(
+        [
+            fixedSource(SourceAdapter, { id: 'fixture', articles: QUANTUM_ARTICLES }),
+            scriptedSource(SourceAdapter, { id: 'silent', name: 'Silent', search: hang })
+        ],
+        { fetchPolicy: { concurrency: 2, timeout: 60000 } }
+    );
+    await engine.ready;
+    const controller = new ResearchRunController();
+    const events = [];
+    ['complete', 'cancel', 'error'].forEach(name => engine.on(name, () => events.push(name)));
+
+    // Cancel once the silent source is being fetched
+    engine.on('source:update', ({ id, changes }) => {
+        if (id === 'silent' && changes.state === 'fetching') setTimeout(() => controller.cancel(), 10);
+    });
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research, { controller });
+
+    assert.equal(research.status, 'cancelled');
+    assert.equal(research.currentStep, 2);
+    assert.ok(research.endTime instanceof Date);
+    assert.deepEqual(events, ['cancel']);
+    assert.equal(research.logs.at(-1).message, 'Research cancelled during step 2/8: Data Gathering');
+    assert.equal(research.logs.at(-1).level, 'warn');
+
+    // The hanging fetch and its step end as cancelled, not as errors
+    const spans = Object.fromEntries(research.spans.map(span => [span.source || span.name, span.status]));
+    assert.equal(spans.silent, 'cancelled');
+    assert.equal(spans['Data Gathering'], 'cancelled');
+
+    // The partial run is kept in history
+    const [stored] = await engine.historyStore.getAll();
+    assert.equal(stored.id, research.id);
+    assert.equal(stored.status, 'cancelled');
+});
+
+test('cancelling a paused run ends it without running another step', async () => {
+    const engine = createEngine([fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES })]);
+    await engine.ready;
+    const started = recordSteps(engine);
+    const controller = new ResearchRunController();
+    controller.pause();
+
+    const research = engine.createResearch('Quantum computing', 'basic');
+    const run = engine.run(research, { controller });
+    assert.equal(await state(run), 'pending');
+    assert.deepEqual(started, []);
+
+    controller.cancel();
+    await run;
+    assert.equal(research.status, 'cancelled');
+    assert.deepEqual(started, []);
+    assert.equal(engine.researchHistory[0], research);
+});
@@ -0,0 +1,153 @@
+// SafeHTML against hostile input: the helpers on their own, then the
+// results view and history rendering research whose remote content carries
+// markup and script URLs.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, fixedSource } = require('./helpers');
+
+const PAYLOAD = '<img src=x onerror="window.pwned = true">';
+const SCRIPT_URLS = [
+    'javascript:window.pwned = true',
+    'JaVaScRiPt:window.pwned = true',
+    '  javascript:window.pwned = true',
+    '\tjava\nscript:window.pwned = true',
+    'data:text/html,<script>window.pwned = true</script>',
+    ' DATA:text/html;base64,PHNjcmlwdD4=',
+    'vbscript:msgbox(1)'
+];
+
+// Anything in root that could run script: script or img elements, event
+// handler attributes, or links and sources whose URL has a refused scheme
+function findActiveContent(root, SafeHTML) {
+    const found = [];
+    root.querySelectorAll('script, img, iframe, object, embed').forEach(element => {
+        found.push(`<${element.tagName.toLowerCase()}>`);
+    });
+    root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            if (/^on/i.test(attribute.name)) found.push(`${element.tagName.toLowerCase()}[${attribute.name}]`);
+            if (['href', 'src', 'action'].includes(attribute.name) && attribute.value && !SafeHTML.url(attribute.value)) {
+                found.push(`${element.tagName.toLowerCase()}[${attribute.name}="${attribute.value}"]`);
+            }
+        });
+    });
+    return found;
+}
+
+test('SafeHTML helpers', async (t) => {
+    const { window, document, global } = await loadPage();
+    t.after(() => window.close());
+    const SafeHTML = global('SafeHTML');
+    const html = global('html');
+
+    await t.test('escape() encodes every markup character', () => {
+        assert.equal(
+            SafeHTML.escape(`${PAYLOAD}'&`),
+            '&lt;img src=x onerror=&quot;window.pwned = true&quot;&gt;&#39;&amp;'
+        );
+        assert.equal(SafeHTML.escape(null), '');
+        assert.equal(SafeHTML.escape(42), '42');
+    });
+
+    await t.test('url() refuses script schemes however they are written', () => {
+        SCRIPT_URLS.forEach(url => assert.equal(SafeHTML.url(url), '', JSON.stringify(url)));
+    });
+
+    await t.test('url() keeps web, mail and relative URLs', () => {
+        ['https://example.com/a?b=c', 'http://example.com', 'mailto:someone@example.com', '#/research/1', '/docs/page', 'page.html']
+            .forEach(url => assert.equal(SafeHTML.url(url), url));
+        assert.equal(SafeHTML.url('  https://example.com  '), 'https://example.com');
+    });
+
+    await t.test('html escapes interpolated values, in text and attributes', () => {
+        const markup = html`<a title="${'" onmouseover="window.pwned = true'}">${PAYLOAD}</a>`;
+        const container = document.createElement('div');
+        SafeHTML.render(container, markup);
+        assert.deepEqual(findActiveContent(container, SafeHTML), []);
+        assert.equal(container.querySelector('a').textContent, PAYLOAD);
+        assert.equal(container.querySelector('a').title, '" onmouseover="window.pwned = true');
+    });
+
+    await t.test('html composes nested templates and lists without double escaping', () => {
+        const items = ['<b>one</b>', 'two & three'].map(item => html`<li>${item}</li>`);
+        const markup = html`<ul>${items}</ul>${null}${undefined}${false}`;
+        assert.equal(String(markup), '<ul><li>&lt;b&gt;one&lt;/b&gt;</li><li>two &amp; three</li></ul>');
+    });
+
+    await t.test('render() only takes html markup', () => {
+        const container = document.createElement('div');
+        assert.throws(() => SafeHTML.render(container, PAYLOAD), { name: 'TypeError' });
+        assert.equal(container.innerHTML, '');
+    });
+
+    await t.test('element() sets text, refuses handlers and drops unsafe URLs', () => {
+        const link = SafeHTML.element('a', { href: SCRIPT_URLS[1], title: PAYLOAD }, PAYLOAD);
+        assert.equal(link.hasAttribute('href'), false);
+        assert.equal(link.title, PAYLOAD);
+        assert.equal(link.textContent, PAYLOAD);
+        assert.equal(link.children.length, 0);
+        assert.throws(() => SafeHTML.element('button', { onclick: 'window.pwned = true' }), { name: 'TypeError' });
+        assert.throws(() => SafeHTML.element('button', { OnClick: 'window.pwned = true' }), { name: 'TypeError' });
+        assert.equal(SafeHTML.element('a', { href: 'https://example.com' }).getAttribute('href'), 'https://example.com');
+    });
+});
+
+test('results and history render hostile research as text', async (t) => {
+    const { window, document, agent, global } = await loadPage();
+    t.after(() => window.close());
+    const SafeHTML = global('SafeHTML');
+    const SourceRegistry = global('SourceRegistry');
+
+    // One hostile article per refused URL scheme
+    const articles = SCRIPT_URLS.map((url, index) => ({
+        title: `${PAYLOAD} Quantum computing article ${index}`,
+        summary: `Quantum computing uses qubits. <script>window.pwned = true</script> ${PAYLOAD} Qubits keep superposition ${index}.`,
+        url: url,
+        relevance: 0.9 - index * 0.05,
+        publishedAt: '2024-01-01T00:00:00Z'
+    }));
+    const registry = new SourceRegistry([fixedSource(global('SourceAdapter'), { name: `Fixture ${PAYLOAD}`, articles })]);
+    agent.engine.sourceRegistries.mock = registry;
+    agent.engine.sources = registry;
+
+    await agent.startResearch(`quantum computing ${PAYLOAD}`, 'basic', ['fixture']);
+    const research = agent.currentResearch;
+    assert.equal(research.status, 'completed');
+
+    // Keywords and tags normally come from the extractor and the user; make
+    // them hostile too
+    research.results.keywords.unshift({ phrase: PAYLOAD, weight: 1, sourceCount: 1, sourceIndices: [0] });
+    await agent.engine.updateResearch(research, { tags: [PAYLOAD, 'javascript:alert(1)'] });
+    agent.populateResults();
+
+    const results = document.getElementById('resultsSection');
+    assert.equal(document.getElementById('resultTopic').textContent.includes(PAYLOAD), true);
+
+    ['summary', 'sources', 'keywords', 'logs'].forEach(tab => {
+        window.showTab(tab);
+        const pane = document.getElementById(`${tab}Tab`);
+        assert.equal(pane.classList.contains('active'), true);
+        assert.deepEqual(findActiveContent(pane, SafeHTML), [], `${tab} tab`);
+    });
+    assert.deepEqual(findActiveContent(results, SafeHTML), []);
+
+    // The payload is shown, as text
+    assert.equal(document.getElementById('sourcesList').textContent.includes(PAYLOAD), true);
+    assert.equal(document.getElementById('keywordsContainer').textContent.includes(PAYLOAD), true);
+    // Sources with a refused URL are listed without a link
+    const links = Array.from(document.querySelectorAll('#sourcesList a[href]')).map(link => link.getAttribute('href'));
+    assert.equal(links.every(href => SafeHTML.url(href) === href), true);
+
+    agent.renderHistory();
+    const history = document.getElementById('historyList');
+    assert.equal(history.querySelectorAll('.history-item').length, 1);
+    assert.deepEqual(findActiveContent(history, SafeHTML), []);
+    assert.equal(history.querySelector('.history-open').textContent.includes(PAYLOAD), true);
+    assert.deepEqual(
+        Array.from(history.querySelectorAll('.history-tag')).map(tag => tag.firstChild.textContent.trim()),
+        [PAYLOAD, 'javascript:alert(1)']
+    );
+
+    assert.equal(window.pwned, undefined);
+});
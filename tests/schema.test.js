@@ -0,0 +1,164 @@
+// ResearchSchema migrations from every older version, the quarantine for
+// stored records that fail validation, and merging imported history.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchSchema, ResearchEngine, MemoryHistoryStore, MemoryStorage } = require('../script.js');
+
+const START = '2024-05-01T10:00:00.000Z';
+const END = '2024-05-01T10:00:05.000Z';
+
+// The research below as schema version `version` stored it. Each version
+// has the fields added by the migrations before it.
+function storedAt(version) {
+    const record = {
+        schemaVersion: version,
+        id: 'research_1',
+        topic: 'Quantum computing',
+        depth: 'basic',
+        status: 'completed',
+        startTime: START,
+        endTime: END,
+        sources: ['wikipedia'],
+        results: {
+            summary: 'Qubits keep superposition.',
+            sources: [{ title: 'Qubits', summary: 'Qubits keep superposition.', url: 'https://example.com/a', source: 'Wikipedia', relevance: 0.9 }],
+            keywords: [{ phrase: 'qubits', weight: 0.5, sourceCount: 1, sourceIndices: [0] }],
+            metadata: { totalSources: 1, researchDepth: 'basic', failedSources: [] }
+        },
+        logs: [{ timestamp: '10:00:00', message: 'Research started' }]
+    };
+
+    if (version === 1) {
+        // The original format: no version, plain keywords, history saved
+        // before the run was marked completed
+        delete record.schemaVersion;
+        delete record.sources;
+        delete record.endTime;
+        delete record.results.metadata.failedSources;
+        record.status = 'running';
+        record.results.keywords = ['qubits'];
+    }
+    if (version >= 3) Object.assign(record, { tags: ['physics'], starred: true });
+    if (version >= 4) Object.assign(record, { parentId: null, refinement: null });
+    if (version >= 5) Object.assign(record, { watchId: null, changes: null });
+    if (version >= 6) {
+        record.logs = [{ timestamp: START, level: 'info', message: 'Research started', step: null, source: null, duration: null, data: null }];
+        record.spans = [];
+    }
+    if (version >= 7) Object.assign(record, { offline: false, cachedSources: {} });
+    if (version >= 8) record.filters = { minCredibility: 0, excludeDomains: [] };
+    return record;
+}
+
+// What loading storedAt(version) should give
+function migratedFrom(version) {
+    return {
+        schemaVersion: 8,
+        id: 'research_1',
+        topic: 'Quantum computing',
+        depth: 'basic',
+        status: 'completed',
+        startTime: new Date(START),
+        endTime: new Date(version === 1 ? START : END),
+        sources: ['wikipedia'],
+        results: storedAt(8).results,
+        logs: version >= 6
+            ? storedAt(8).logs
+            : [{ timestamp: null, time: '10:00:00', level: 'info', message: 'Research started', step: null, source: null, duration: null, data: null }],
+        spans: [],
+        tags: version >= 3 ? ['physics'] : [],
+        starred: version >= 3,
+        parentId: null,
+        refinement: null,
+        watchId: null,
+        changes: null,
+        offline: false,
+        cachedSources: {},
+        filters: { minCredibility: 0, excludeDomains: [] }
+    };
+}
+
+test('load() migrates records from every older schema version', async (t) => {
+    for (let version = 1; version <= 8; version++) {
+        await t.test(`version ${version}`, () => {
+            const { research, errors } = ResearchSchema.load(storedAt(version));
+            assert.equal(errors, undefined);
+            assert.deepEqual(research, migratedFrom(version));
+        });
+    }
+});
+
+test('load() leaves the raw record unchanged', () => {
+    const raw = storedAt(1);
+    ResearchSchema.load(raw);
+    assert.deepEqual(raw, storedAt(1));
+});
+
+test('load() refuses records it cannot migrate or validate', () => {
+    const cases = [
+        [null, /Entry is not an object/],
+        [{ ...storedAt(8), schemaVersion: 9 }, /newer than this app supports/],
+        [{ ...storedAt(8), schemaVersion: 'two' }, /Unknown schema version/],
+        [{ ...storedAt(8), depth: 'deep' }, /Unknown depth "deep"/],
+        [{ ...storedAt(8), status: 'completed', results: null }, /A completed research needs results/],
+        [{ ...storedAt(8), tags: [''] }, /tags must be a list/]
+    ];
+    cases.forEach(([raw, message]) => {
+        const { research, errors } = ResearchSchema.load(raw);
+        assert.equal(research, undefined);
+        assert.match(errors.join('; '), message);
+    });
+});
+
+test('loading history quarantines stored records that fail validation', async () => {
+    const store = new MemoryHistoryStore();
+    const valid = storedAt(8);
+    const missingTopic = { ...storedAt(8), id: 'research_2', topic: '' };
+    const unknownStatus = { ...storedAt(8), id: 'research_3', status: 'paused' };
+    await store.putMany([valid, missingTopic, unknownStatus]);
+    const storage = new MemoryStorage();
+
+    const engine = new ResearchEngine({ historyStore: store, storage });
+    const history = await engine.ready;
+
+    assert.deepEqual(history.map(research => research.id), ['research_1']);
+    assert.deepEqual(
+        engine.quarantine.map(({ id, topic, origin, errors }) => ({ id, topic, origin, errors })),
+        [
+            { id: 'research_2', topic: '', origin: 'history', errors: ['Missing topic'] },
+            { id: 'research_3', topic: 'Quantum computing', origin: 'history', errors: ['Unknown status "paused"'] }
+        ]
+    );
+    assert.deepEqual(engine.quarantine.map(entry => entry.raw), [missingTopic, unknownStatus]);
+
+    // Quarantined records leave the store and are kept in storage instead
+    assert.deepEqual((await store.getAll()).map(research => research.id), ['research_1']);
+    assert.deepEqual(JSON.parse(storage.getItem('aiResearchQuarantine')).map(entry => entry.id), ['research_2', 'research_3']);
+});
+
+test('importing merges new entries and reports duplicate ids', async () => {
+    const store = new MemoryHistoryStore();
+    await store.put(storedAt(8));
+    const engine = new ResearchEngine({ historyStore: store, storage: new MemoryStorage() });
+    await engine.ready;
+
+    const older = { ...storedAt(3), id: 'research_2', topic: 'Qubit gates', startTime: '2024-04-01T10:00:00.000Z', endTime: '2024-04-01T10:00:05.000Z' };
+    const report = await engine.importDocuments([
+        { name: 'export.json', text: JSON.stringify({ format: 'ai-research-agent/research', version: 1, research: [storedAt(8), older] }) },
+        // The same entry again in a second file, and one that is invalid
+        { name: 'copy.json', text: JSON.stringify([older, { ...older, id: 'research_3', depth: 'deep' }]) },
+        { name: 'notes.txt', text: 'not JSON' }
+    ]);
+
+    assert.equal(report.imported, 1);
+    assert.deepEqual(report.duplicates, ['Quantum computing (research_1)', 'Qubit gates (research_2)']);
+    assert.equal(report.invalid, 1);
+    assert.equal(report.unreadable.length, 1);
+    assert.match(report.unreadable[0], /^notes\.txt: /);
+
+    assert.deepEqual(engine.researchHistory.map(research => research.id), ['research_1', 'research_2']);
+    assert.equal(engine.researchHistory[1].schemaVersion, 8);
+    assert.deepEqual((await store.getAll()).map(research => research.id), ['research_1', 'research_2']);
+    assert.deepEqual(engine.quarantine.map(entry => [entry.id, entry.origin]), [['research_3', 'import from copy.json']]);
+});
@@ -0,0 +1,79 @@
+// Share link snapshots: a genuine snapshot round-trips, and hostile ones
+// whose indices point outside the sources are refused by decode() and by
+// the shared results route.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchSnapshot } = require('../script.js');
+const { loadPage } = require('./helpers');
+
+const research = {
+    topic: 'Quantum computing',
+    depth: 'basic',
+    status: 'completed',
+    sourceMode: 'mock',
+    sources: ['fixture'],
+    startTime: new Date('2024-05-01T10:00:00Z'),
+    endTime: new Date('2024-05-01T10:00:05Z'),
+    offline: false,
+    cachedSources: {},
+    filters: { minCredibility: 0, excludeDomains: [] },
+    results: {
+        summary: 'Qubits keep superposition. [1]',
+        summarySentences: [{ text: 'Qubits keep superposition.', sourceIndex: 0 }],
+        sources: [
+            { title: 'Qubits', summary: 'Qubits keep superposition.', url: 'https://example.com/a', source: 'Fixture', relevance: 0.9 },
+            { title: 'Gates', summary: 'Gates act on qubits.', url: 'https://example.com/b', source: 'Fixture', relevance: 0.7 }
+        ],
+        keywords: [{ phrase: 'qubits', weight: 1, sourceCount: 2, sourceIndices: [0, 1] }],
+        clusters: [{ label: 'Qubits', sourceIndices: [0, 1] }],
+        metadata: { totalSources: 2, researchDepth: 'basic', failedSources: [] }
+    }
+};
+
+// Encodes a snapshot of the research above after letting damage() change it,
+// the way a hand-made share link would
+function hostileLink(damage) {
+    const snapshot = JSON.parse(JSON.stringify(ResearchSnapshot.create(research)));
+    damage(snapshot.results);
+    return 'j' + ResearchSnapshot.toBase64Url(new TextEncoder().encode(JSON.stringify(snapshot)));
+}
+
+const HOSTILE = {
+    'cluster index past the sources': results => { results.clusters[0].sourceIndices = [0, 5]; },
+    'negative cluster index': results => { results.clusters[0].sourceIndices = [-1]; },
+    'cluster index that is not an integer': results => { results.clusters[0].sourceIndices = ['0']; },
+    'keyword index past the sources': results => { results.keywords[0].sourceIndices = [2]; },
+    'summary sentence index past the sources': results => { results.summarySentences[0].sourceIndex = 99; },
+    'fractional summary sentence index': results => { results.summarySentences[0].sourceIndex = 0.5; },
+    'summary sentence without an index': results => { delete results.summarySentences[0].sourceIndex; },
+    'failedSources that is not a list': results => { results.metadata.failedSources = 'fixture'; }
+};
+
+test('decode() keeps a genuine snapshot', async () => {
+    const decoded = await ResearchSnapshot.decode(hostileLink(() => {}));
+    assert.equal(decoded.topic, research.topic);
+    assert.deepEqual(decoded.results.clusters[0].sourceIndices, [0, 1]);
+});
+
+test('decode() refuses snapshots whose indices do not point at a source', async (t) => {
+    for (const [name, damage] of Object.entries(HOSTILE)) {
+        await t.test(name, async () => {
+            await assert.rejects(ResearchSnapshot.decode(hostileLink(damage)), /does not contain valid research/);
+        });
+    }
+});
+
+test('a hostile share link falls back to the form with an error', async (t) => {
+    const { window, document, agent } = await loadPage();
+    t.after(() => window.close());
+
+    window.location.hash = `#/shared/${hostileLink(HOSTILE['cluster index past the sources'])}`;
+    await agent.handleRoute();
+
+    assert.equal(document.getElementById('resultsSection').style.display, 'none');
+    assert.equal(document.querySelector('.research-form-section').style.display, 'block');
+    assert.match(document.getElementById('formError').textContent, /Cannot open the share link/);
+    assert.equal(agent.sharedView, null);
+    assert.equal(window.location.hash, '#/');
+});
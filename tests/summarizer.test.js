@@ -0,0 +1,67 @@
+// ExtractiveSummarizer: how many sentences each depth keeps, the source
+// index every sentence cites, and near-duplicate sentences left out.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExtractiveSummarizer } = require('../script.js');
+
+const sources = [
+    { title: 'Quantum computing', summary: 'Quantum computers use qubits to perform calculations. Qubits can hold superposition of zero and one states. Too short here.' },
+    { title: 'Qubit', summary: 'Quantum computers use qubits to perform many calculations. Superconducting qubits operate near absolute zero temperature.' },
+    { title: 'Error correction', summary: 'Quantum error correction protects fragile qubits against decoherence. Surface codes spread logical qubits over many physical qubits.' },
+    { title: 'Algorithms', summary: 'Shor algorithm factors large integers on a quantum computer. Grover algorithm searches unsorted databases with quadratic speedup.' },
+    { title: 'Hardware', summary: 'Trapped ion hardware keeps qubits coherent for long periods. Photonic quantum processors route single photons through waveguides' }
+];
+const NEAR_DUPLICATE = 'Quantum computers use qubits to perform many calculations.';
+
+const summarizer = new ExtractiveSummarizer();
+
+test('each depth keeps its number of sentences', () => {
+    const cases = [['basic', 3], ['detailed', 5], ['comprehensive', 8], ['unknown', 5]];
+    cases.forEach(([depth, count]) => {
+        assert.equal(summarizer.summarize('quantum computing', sources, depth).sentences.length, count, depth);
+    });
+});
+
+test('every sentence cites the source it came from', () => {
+    const { text, sentences } = summarizer.summarize('quantum computing', sources, 'comprehensive');
+
+    sentences.forEach(sentence => {
+        const summary = sources[sentence.sourceIndex].summary;
+        assert.ok(summary.includes(sentence.text.replace(/\.$/, '')), sentence.text);
+    });
+    assert.equal(text, sentences.map(sentence => `${sentence.text} [${sentence.sourceIndex + 1}]`).join(' '));
+
+    // Shown in source order, and a sentence without final punctuation gets it
+    const order = sentences.map(sentence => sentence.sourceIndex);
+    assert.deepEqual(order, [...order].sort((a, b) => a - b));
+    assert.ok(sentences.some(sentence => sentence.text === 'Photonic quantum processors route single photons through waveguides.'));
+});
+
+test('the basic summary takes the sentences closest to the topic', () => {
+    assert.equal(
+        summarizer.summarize('quantum computing', sources, 'basic').text,
+        'Quantum computers use qubits to perform calculations. [1] ' +
+        'Quantum error correction protects fragile qubits against decoherence. [3] ' +
+        'Shor algorithm factors large integers on a quantum computer. [4]'
+    );
+});
+
+test('near-duplicate and very short sentences are left out', () => {
+    const everything = new ExtractiveSummarizer({ sentencesPerDepth: { basic: 20 } });
+    const texts = everything.summarize('quantum computing', sources, 'basic').sentences.map(sentence => sentence.text);
+
+    // Ten sentences with at least four content words, one of them a near
+    // copy of a better one
+    assert.equal(texts.length, 9);
+    assert.equal(texts.includes(NEAR_DUPLICATE), false);
+    assert.equal(texts.includes('Quantum computers use qubits to perform calculations.'), true);
+    assert.equal(texts.includes('Too short here.'), false);
+});
+
+test('sources without usable text give a placeholder summary', () => {
+    assert.deepEqual(summarizer.summarize('quantum computing', [{ title: 'Empty', summary: '' }], 'basic'), {
+        text: 'No source content was available to summarize "quantum computing".',
+        sentences: []
+    });
+});
@@ -0,0 +1,56 @@
+// TextAnalysis.stem follows the Porter algorithm, so topic and source
+// terms that share a stem match in ranking.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TextAnalysis, RelevanceRanker } = require('../script.js');
+
+// Words and their expected stems, mostly from Porter's paper
+const STEMS = {
+    // Step 1a: plurals
+    caresses: 'caress', ponies: 'poni', ties: 'ti', caress: 'caress', cats: 'cat',
+    // Step 1b: -eed, -ed, -ing
+    feed: 'feed', agreed: 'agre', plastered: 'plaster', bled: 'bled', motoring: 'motor', sing: 'sing',
+    conflated: 'conflat', troubled: 'troubl', sized: 'size', hopping: 'hop', tanned: 'tan',
+    falling: 'fall', hissing: 'hiss', fizzed: 'fizz', failing: 'fail', filing: 'file',
+    // Step 1c
+    happy: 'happi', sky: 'sky',
+    // Steps 2 and 3
+    relational: 'relat', conditional: 'condit', rational: 'ration', digitizer: 'digit',
+    operator: 'oper', feudalism: 'feudal', hopefulness: 'hope', sensitivity: 'sensit',
+    triplicate: 'triplic', formative: 'form', electrical: 'electr', goodness: 'good',
+    // Step 4
+    allowance: 'allow', adjustable: 'adjust', adoption: 'adopt', effective: 'effect',
+    // Step 5
+    probate: 'probat', rate: 'rate', cease: 'ceas', controlling: 'control', rolling: 'roll',
+    // Word families the research topics rely on
+    computing: 'comput', compute: 'comput', computer: 'comput', computation: 'comput',
+    information: 'inform', informative: 'inform', networks: 'network', networking: 'network',
+    networked: 'network', learning: 'learn', learned: 'learn',
+    // Short and non-alphabetic words are left alone
+    ai: 'ai', 'c++': 'c++', '5g': '5g'
+};
+
+test('stem() gives the Porter stems', () => {
+    const actual = Object.fromEntries(Object.keys(STEMS).map(word => [word, TextAnalysis.stem(word)]));
+    assert.deepEqual(actual, STEMS);
+});
+
+test('stem() is stable: stemming a stem changes nothing for these families', () => {
+    ['comput', 'inform', 'network', 'learn'].forEach(stem => assert.equal(TextAnalysis.stem(stem), stem));
+});
+
+test('ranking matches topic and source words that share a stem', () => {
+    const ranked = new RelevanceRanker().rank('quantum computing information', [
+        { title: 'Gardening in spring', summary: 'Planting bulbs and pruning roses' },
+        { title: 'How quantum computers compute', summary: 'Qubits carry informative states' }
+    ]);
+
+    assert.equal(ranked[0].document.title, 'How quantum computers compute');
+    assert.deepEqual(
+        ranked[0].breakdown.terms.map(term => [term.term, term.frequencies.title + term.frequencies.summary]),
+        [['quantum', 1], ['comput', 2], ['inform', 1]]
+    );
+    assert.equal(ranked[0].relevance > 0, true);
+    assert.equal(ranked[1].relevance, 0);
+});
@@ -0,0 +1,153 @@
+// Structured logs and trace spans: the step and fetch spans a run records,
+// the fields of its log records, cached fetches, runs interrupted by
+// closing the page, and the trace export.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchEngine, ResearchExporter, MemoryHistoryStore, MemoryStorage, SourceAdapter } = require('../script.js');
+const { fixedSource, scriptedSource, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+const LOG_FIELDS = ['timestamp', 'level', 'message', 'step', 'source', 'duration', 'data'];
+
+// A fixture source, and one whose first request fails
+async function runTraced() {
+    let calls = 0;
+    const engine = createEngine([
+        fixedSource(SourceAdapter, { articles: QUANTUM_ARTICLES }),
+        scriptedSource(SourceAdapter, {
+            id: 'flaky',
+            name: 'Flaky',
+            search: async (topic, options, adapter) => {
+                if (calls++ === 0) throw new Error('HTTP 503');
+                return [adapter.normalize(QUANTUM_ARTICLES[0])];
+            }
+        })
+    ]);
+    await engine.ready;
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+    return { engine, research };
+}
+
+const time = value => new Date(value).getTime();
+
+test('a run records a span per step and per source fetch', async () => {
+    const { engine, research } = await runTraced();
+    assert.equal(research.status, 'completed');
+
+    const steps = research.spans.filter(span => span.kind === 'step');
+    assert.deepEqual(
+        steps.map(span => [span.name, span.step, span.status]),
+        engine.pipeline.list().map(step => [step.name, step.name, step.condition ? 'skipped' : 'ok'])
+    );
+    assert.deepEqual(
+        research.spans.filter(span => span.kind === 'fetch').map(span => [span.name, span.step, span.source, span.status]),
+        [['Fixture', 'Data Gathering', 'fixture', 'ok'], ['Flaky', 'Data Gathering', 'flaky', 'ok']]
+    );
+    assert.deepEqual(research.spans.map(span => span.id), research.spans.map((span, index) => index + 1));
+
+    research.spans.forEach(span => {
+        assert.equal(span.duration, time(span.end) - time(span.start), span.name);
+    });
+
+    // Fetches happen inside the Data Gathering span
+    const gathering = steps.find(span => span.name === 'Data Gathering');
+    research.spans.filter(span => span.kind === 'fetch').forEach(span => {
+        assert.ok(time(span.start) >= time(gathering.start) && time(span.end) <= time(gathering.end), span.name);
+    });
+});
+
+test('log records say where they came from and carry their details', async () => {
+    const { research } = await runTraced();
+
+    research.logs.forEach(entry => {
+        assert.deepEqual(Object.keys(entry), LOG_FIELDS);
+        assert.ok(entry.step, entry.message);
+    });
+
+    // Records that close a span carry its duration
+    research.spans.filter(span => span.status === 'ok').forEach(span => {
+        const message = span.kind === 'step' ? `${span.name} completed successfully` : `Found `;
+        const entry = research.logs.find(log => log.message.startsWith(message) && log.step === span.step && log.source === span.source);
+        assert.equal(entry.duration, span.duration, span.name);
+    });
+
+    const bySource = source => research.logs.filter(entry => entry.source === source)
+        .map(({ level, data }) => [level, data && { ...data }]);
+    assert.deepEqual(bySource('fixture'), [
+        ['debug', { cache: 'miss' }],
+        ['info', { count: 3, attempts: 1 }]
+    ]);
+    assert.deepEqual(bySource('flaky'), [
+        ['debug', { cache: 'miss' }],
+        ['warn', { attempt: 1, wait: 1, error: 'HTTP 503' }],
+        ['info', { count: 1, attempts: 2 }]
+    ]);
+});
+
+test('a fetch answered from the cache records a cached span and a cache hit', async () => {
+    const { engine } = await runTraced();
+    const research = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(research);
+
+    assert.deepEqual(
+        research.spans.filter(span => span.kind === 'fetch').map(span => [span.source, span.status, span.duration]),
+        [['fixture', 'cached', 0], ['flaky', 'cached', 0]]
+    );
+    const hits = research.logs.filter(entry => entry.data && entry.data.cache === 'hit');
+    assert.deepEqual(hits.map(entry => [entry.source, entry.level, entry.data.stale]), [['fixture', 'info', false], ['flaky', 'info', false]]);
+    assert.ok(hits.every(entry => entry.message.startsWith('Cache hit: ')));
+});
+
+test('a run interrupted by closing the page is loaded with its spans closed', async () => {
+    const store = new MemoryHistoryStore();
+    const seed = new ResearchEngine({ historyStore: new MemoryHistoryStore(), storage: new MemoryStorage() });
+    await seed.ready;
+    const interrupted = {
+        ...seed.createResearch('Quantum computing', 'basic'),
+        id: 'research_interrupted',
+        startTime: new Date('2024-05-01T10:00:00.000Z'),
+        currentStep: 2,
+        logs: [
+            { timestamp: '2024-05-01T10:00:00.100Z', level: 'info', message: 'Starting Data Gathering...', step: 'Data Gathering', source: null, duration: null, data: null },
+            { timestamp: '2024-05-01T10:00:00.900Z', level: 'debug', message: 'Cache miss for Fixture', step: 'Data Gathering', source: 'fixture', duration: null, data: { cache: 'miss' } }
+        ],
+        spans: [
+            { id: 1, kind: 'step', name: 'Input Parsing', step: 'Input Parsing', source: null, start: '2024-05-01T10:00:00.000Z', end: '2024-05-01T10:00:00.050Z', duration: 50, status: 'ok' },
+            { id: 2, kind: 'step', name: 'Data Gathering', step: 'Data Gathering', source: null, start: '2024-05-01T10:00:00.100Z', end: null, duration: null, status: 'running' },
+            { id: 3, kind: 'fetch', name: 'Fixture', step: 'Data Gathering', source: 'fixture', start: '2024-05-01T10:00:00.200Z', end: null, duration: null, status: 'running' }
+        ]
+    };
+    await store.putMany([interrupted]);
+
+    const engine = new ResearchEngine({ historyStore: store, storage: new MemoryStorage() });
+    const [research] = await engine.ready;
+
+    assert.equal(research.status, 'cancelled');
+    assert.deepEqual(research.spans.map(span => [span.id, span.end, span.duration, span.status]), [
+        [1, '2024-05-01T10:00:00.050Z', 50, 'ok'],
+        [2, '2024-05-01T10:00:00.900Z', 800, 'cancelled'],
+        [3, '2024-05-01T10:00:00.900Z', 700, 'cancelled']
+    ]);
+    assert.deepEqual(
+        [research.logs.at(-1).level, research.logs.at(-1).message],
+        ['warn', 'Research interrupted: the page was closed before it finished']
+    );
+});
+
+test('the trace export holds the spans and log records', async () => {
+    const { research } = await runTraced();
+    const trace = JSON.parse(new ResearchExporter().toTrace(research));
+
+    assert.equal(trace.format, 'ai-research-agent/trace');
+    assert.deepEqual(trace.research, {
+        id: research.id,
+        topic: 'Quantum computing',
+        depth: 'basic',
+        status: 'completed',
+        startTime: research.startTime.toISOString(),
+        endTime: research.endTime.toISOString()
+    });
+    assert.deepEqual(trace.spans, research.spans);
+    assert.deepEqual(trace.logs, research.logs);
+});
@@ -0,0 +1,88 @@
+// Watched topics: a watch run compared with the watch's previous run, the
+// unseen flag it sets, and a run with nothing new.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResearchComparer, SourceAdapter } = require('../script.js');
+const { scriptedSource, QUANTUM_ARTICLES, createEngine } = require('./helpers');
+
+const ANNEALING = {
+    title: 'Quantum annealing',
+    summary: 'Quantum annealing finds low energy states of optimization problems. Annealers use thousands of qubits.',
+    url: 'https://example.com/annealing',
+    relevance: 0.75
+};
+
+// An engine whose source returns the next list of articles on every search
+async function createChangingEngine(responses) {
+    const calls = { count: 0 };
+    const engine = createEngine([scriptedSource(SourceAdapter, {
+        search: async (topic, options, adapter) => responses[calls.count++].map(article => adapter.normalize(article))
+    })]);
+    await engine.ready;
+    return { engine, calls };
+}
+
+async function startWatching(engine) {
+    const first = engine.createResearch('Quantum computing', 'basic');
+    await engine.run(first);
+    await engine.watchResearch(first, 24);
+    return { first, watch: engine.watches[0] };
+}
+
+test('a watch run records what changed since the previous run', async () => {
+    const { engine, calls } = await createChangingEngine([
+        QUANTUM_ARTICLES,
+        [QUANTUM_ARTICLES[0], QUANTUM_ARTICLES[2], ANNEALING]
+    ]);
+    const { first, watch } = await startWatching(engine);
+    assert.equal(first.watchId, watch.id);
+    assert.equal(watch.unseen, false);
+
+    await engine.runWatch(watch);
+    const second = engine.researchHistory[0];
+
+    // Watched runs fetch again even though the first response is cached
+    assert.equal(calls.count, 2);
+    assert.equal(second.status, 'completed');
+    assert.equal(second.watchId, watch.id);
+    assert.equal(second.changes.previousId, first.id);
+    assert.deepEqual(second.changes.addedSources.map(source => source.title), ['Quantum annealing']);
+    assert.deepEqual(second.changes.removedSources.map(source => source.title), ['Qubit']);
+    assert.ok(second.changes.addedKeywords.includes('quantum annealing'));
+    assert.ok(second.changes.removedKeywords.includes('quantum information'));
+    assert.ok(second.logs.some(entry => entry.step === 'Change Detection' &&
+        entry.message.endsWith(`1 new and 1 disappeared sources, ${second.changes.addedKeywords.length + second.changes.removedKeywords.length} keyword shifts`)));
+
+    assert.equal(watch.latestId, second.id);
+    assert.equal(watch.unseen, true);
+    assert.equal(engine.markChangesSeen(second), true);
+    assert.equal(engine.markChangesSeen(second), false);
+
+    // The changes are stored with the run
+    const [stored] = await engine.historyStore.getAll();
+    assert.deepEqual(stored.changes, second.changes);
+});
+
+test('a watch run that finds nothing new leaves the watch seen', async () => {
+    const { engine } = await createChangingEngine([QUANTUM_ARTICLES, QUANTUM_ARTICLES]);
+    const { first, watch } = await startWatching(engine);
+
+    await engine.runWatch(watch);
+    const second = engine.researchHistory[0];
+
+    assert.equal(second.changes.previousId, first.id);
+    assert.equal(ResearchComparer.countChanges(second.changes), 0);
+    assert.equal(watch.latestId, second.id);
+    assert.equal(watch.unseen, false);
+});
+
+test('the first run of a watch has nothing to compare with', async () => {
+    const { engine } = await createChangingEngine([QUANTUM_ARTICLES]);
+    const research = engine.createResearch('Quantum computing', 'basic', ['fixture'], { watch: { id: 'watch_new' } });
+    await engine.run(research);
+
+    assert.equal(research.status, 'completed');
+    assert.equal(research.changes, null);
+    assert.ok(research.logs.some(entry => entry.message === 'No previous run to compare with'));
+});